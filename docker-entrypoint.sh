@@ -1,7 +1,8 @@
 #!/bin/sh
 set -eu
 
-CONFIG_PATH="/app/config.json"
+CONFIG_PATH="${CONFIG_PATH:-/app/config.json}"
+export CONFIG_PATH
 
 if [ ! -f "$CONFIG_PATH" ]; then
   echo "[entrypoint] config.json not found, creating default one..."
@@ -10,20 +11,119 @@ if [ ! -f "$CONFIG_PATH" ]; then
   "debug": false,
   "pan115": {
     "cookie": "",
-    "userId": "",
     "baseURL": "https://webapi.115.com",
     "accessToken": "",
     "refreshToken": "",
+    "appId": "",
+    "qrcodeApp": "alipaymini",
     "listConcurrency": 1,
     "listMinIntervalMs": 400,
     "fileListTtlMs": 60000,
-    "downloadUrlTtlMs": 60000
+    "downloadUrlTtlMs": 60000,
+    "downloadUrlExpiryMarginMs": 60000,
+    "roots": [],
+    "include": [],
+    "exclude": []
   },
   "webdav": {
     "port": 3000,
     "username": "admin",
     "password": "admin",
-    "blockGoHttpClient": true
+    "users": [],
+    "blockGoHttpClient": true,
+    "clientRules": [],
+    "readOnly": true,
+    "proxy": {
+      "mode": "redirect",
+      "userAgents": [],
+      "allowQuery": false,
+      "maxRetries": 2,
+      "timeoutMs": 30000,
+      "verifyCachedLinks": false
+    },
+    "upload": {
+      "tempDir": "",
+      "partSize": 10485760
+    },
+    "propfind": {
+      "allowInfinity": false,
+      "infinityMaxItems": 5000
+    },
+    "search": {
+      "maxResults": 1000
+    }
+  },
+  "cache": {
+    "persistent": false,
+    "file": "",
+    "flushIntervalMs": 2000
+  },
+  "strm": {
+    "enabled": false,
+    "outputDir": "./strm",
+    "baseUrl": "http://127.0.0.1:3000",
+    "folders": ["/"],
+    "sidecarMode": "skip",
+    "urlMode": "path",
+    "signed": false,
+    "signTtlSec": 2592000,
+    "intervalMs": 0
+  },
+  "watch": {
+    "enabled": false,
+    "folders": ["/"],
+    "intervalMs": 300000,
+    "source": "poll",
+    "fullScanIntervalMs": 3600000,
+    "maxDirs": 1000,
+    "syncStrm": false
+  },
+  "admin": {
+    "enabled": false,
+    "username": "admin",
+    "password": ""
+  },
+  "health": {
+    "intervalMs": 120000
+  },
+  "throttle": {
+    "baseDelayMs": 1000,
+    "maxDelayMs": 30000,
+    "threshold": 3,
+    "openMs": 60000,
+    "maxOpenMs": 900000,
+    "probeIntervalMs": 10000,
+    "staleMaxAgeMs": 1800000,
+    "riskCodes": []
+  },
+  "retry": {
+    "maxRetries": 2,
+    "baseDelayMs": 500,
+    "maxDelayMs": 10000,
+    "timeoutMs": 15000
+  },
+  "sign": {
+    "secret": "",
+    "keyId": "1",
+    "previousKeys": [],
+    "defaultTtlSec": 21600,
+    "maxTtlSec": 31536000,
+    "trustProxy": false
+  },
+  "logging": {
+    "level": "info",
+    "format": "text",
+    "modules": {},
+    "file": {
+      "path": "",
+      "rotate": "size",
+      "maxSizeMb": 50,
+      "maxFiles": 5
+    },
+    "accessLog": {
+      "enabled": false,
+      "path": ""
+    }
   }
 }
 EOF
@@ -1,76 +1,360 @@
+import readline from 'node:readline';
 import { Pan115API } from './src/115api.js';
 import { WebDAVServer } from './src/webdav-server.js';
-import { ensureConfigFile, loadConfig, saveConfig, CONFIG_PATH } from './src/config.js';
+import { PersistentCacheStore } from './src/persistent-cache.js';
+import { StrmSyncer } from './src/strm.js';
+import { ChangeWatcher } from './src/watcher.js';
+import { HealthChecker } from './src/health.js';
+import { QrLoginManager } from './src/login.js';
+import { MountTable } from './src/mounts.js';
+import { ensureConfigFile, loadConfig, saveConfig, getAccounts, watchConfig, validateConfig, collectOverrides, CONFIG_PATH, CACHE_PATH } from './src/config.js';
+import { hashPassword } from './src/auth.js';
+import { UrlSigner } from './src/signer.js';
+import { Logger, configureLogging } from './src/logger.js';
+
+// 0) 生成 webdav.users 的密码哈希：node index.js --hash-password [密码]
+//    不带密码时从标准输入读一行（避免密码留在 shell 历史里）
+if (process.argv[2] === '--hash-password') {
+  let password = process.argv[3];
+  if (password === undefined) {
+    if (process.stdin.isTTY) process.stderr.write('请输入密码: ');
+    const rl = readline.createInterface({ input: process.stdin });
+    for await (const line of rl) {
+      password = line;
+      break;
+    }
+    rl.close();
+  }
+  if (!password) {
+    console.error('密码不能为空');
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+  process.exit(0);
+}
+
+// 0) 生成签名 URL：node index.js --sign-url <路径> [--ttl=秒] [--ip=CIDR] [--base=http://host:port]
+//    路径为完整 WebDAV 路径（或 /__pc/...、/__fid/...），密钥取 config.json 的 sign
+if (process.argv[2] === '--sign-url') {
+  const [target, ...rest] = process.argv.slice(3);
+  const opt = (k) => rest.find(a => a.startsWith(`--${k}=`))?.slice(k.length + 3);
+  try {
+    const signer = new UrlSigner(validateConfig(loadConfig({ applyOverrides: false })).sign);
+    if (!target) throw new Error('缺少路径，例如 node index.js --sign-url /影视/a.mkv --ttl=3600');
+    if (!signer.enabled) throw new Error('config.json 中 sign.secret 为空');
+
+    const path = `/${decodeURIComponent(target)}`.replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
+    const ttl = opt('ttl');
+    const { url, expiresAt } = signer.signUrl(path, { ttlSec: ttl ? Number(ttl) : undefined, ip: opt('ip') });
+    console.log(`${(opt('base') || '').replace(/\/+$/, '')}${url}`);
+    console.error(`有效期至 ${new Date(expiresAt * 1000).toISOString()}`);
+    process.exit(0);
+  } catch (e) {
+    console.error(`生成签名 URL 失败：${e.message}`);
+    process.exit(1);
+  }
+}
+
+const logger = new Logger(false, 'main');
 
 // 1) 确保 config.json 存在，不存在就生成模板
+//    通过环境变量 / 命令行给了配置时直接用默认模板启动（容器场景）
 const created = ensureConfigFile();
 if (created) {
-  console.log(`[config] 已生成配置文件: ${CONFIG_PATH}`);
-  console.log('[config] 请编辑 config.json 填入 115 cookie/token 等信息，然后重新启动。');
-  process.exit(0);
+  logger.info(`[config] 已生成配置文件: ${CONFIG_PATH}`);
+  let hasOverrides = false;
+  try { hasOverrides = collectOverrides(loadConfig({ applyOverrides: false })).length > 0; } catch {}
+  if (!hasOverrides) {
+    logger.info('[config] 请编辑 config.json 填入 115 cookie/token 等信息，然后重新启动。');
+    process.exit(0);
+  }
 }
 
-// 2) 只从 config.json 加载
+// 2) 加载并校验：默认值 <- config.json <- 环境变量 <- 命令行
 let config;
 try {
-  config = loadConfig();
+  config = validateConfig(loadConfig());
 } catch (e) {
-  console.error(`[config] 读取 ${CONFIG_PATH} 失败：`, e);
+  logger.error(`[config] 加载 ${CONFIG_PATH} 失败：${e.message}`);
   process.exit(1);
 }
 
-// 3) 必要字段校验
-if (!config.pan115.cookie) {
-  console.error(`错误: config.json 中 pan115.cookie 为空（文件：${CONFIG_PATH}）`);
-  process.exit(1);
+// 日志：级别 / 格式 / 文件输出 / 访问日志（debug: true 仍然等同于 debug 级别）
+try {
+  configureLogging(config.logging);
+} catch (e) {
+  logger.error(`[config] 打开日志文件失败，只输出到控制台：${e.message}`);
 }
+logger.debug = config.debug;
 
-if (!config.pan115.refreshToken) {
-  console.warn('警告: config.json 中 pan115.refreshToken 为空，自动刷新不可用');
+// 3) 账号列表（pan115 可以是单个账号对象，也可以是多账号数组）
+const accounts = getAccounts(config);
+if (accounts.length === 0) {
+  logger.error(`错误: config.json 中 pan115 没有配置任何账号（文件：${CONFIG_PATH}）`);
   process.exit(1);
 }
 
-config.pan115.listConcurrency = Number.isFinite(config.pan115.listConcurrency) ? config.pan115.listConcurrency : 1;
-config.pan115.listMinIntervalMs = Number.isFinite(config.pan115.listMinIntervalMs) ? config.pan115.listMinIntervalMs : 400;
-config.pan115.fileListTtlMs = Number.isFinite(config.pan115.fileListTtlMs) ? config.pan115.fileListTtlMs : 60_000;
-config.pan115.downloadUrlTtlMs = Number.isFinite(config.pan115.downloadUrlTtlMs) ? config.pan115.downloadUrlTtlMs : 60_000;
+for (const acc of accounts) {
+  const label = acc.index === null ? 'pan115' : `pan115[${acc.index}]（${acc.name || '未命名'}）`;
 
-const panAPI = new Pan115API({
-  cookie: config.pan115.cookie,
-  baseURL: config.pan115.baseURL,
-  accessToken: config.pan115.accessToken,
-  refreshToken: config.pan115.refreshToken,
+  // 凭证为空时照常启动，可通过 /__login/qrcode 扫码登录补全
+  if (!acc.cookie) {
+    logger.warn(`警告: config.json 中 ${label}.cookie 为空，请访问 /__login/qrcode?type=cookie 扫码登录`);
+  }
 
-  // ✅ 从 config.json 读取调参项
-  listConcurrency: config.pan115.listConcurrency,
-  listMinIntervalMs: config.pan115.listMinIntervalMs,
-  fileListTtlMs: config.pan115.fileListTtlMs,
-  downloadUrlTtlMs: config.pan115.downloadUrlTtlMs,
+  if (!acc.refreshToken) {
+    logger.warn(`警告: config.json 中 ${label}.refreshToken 为空，自动刷新不可用，可访问 /__login/qrcode?type=token 扫码授权`);
+  }
+}
 
-  debug: config.debug,
+// 可选：持久化缓存（重启后沿用目录列表/路径映射/下载链接缓存）
+let cacheStore = null;
+if (config.cache.persistent) {
+  try {
+    cacheStore = new PersistentCacheStore({
+      filePath: config.cache.file || CACHE_PATH,
+      flushIntervalMs: config.cache.flushIntervalMs,
+      staleMaxAgeMs: config.throttle.staleMaxAgeMs,
+      debug: config.debug
+    });
+  } catch (e) {
+    logger.error('[cache] 加载持久化缓存失败，本次以内存缓存运行：', e);
+  }
 
-  onAuthUpdate: async ({ accessToken, refreshToken }) => {
-    const latest = loadConfig();
-    latest.pan115.accessToken = accessToken || latest.pan115.accessToken;
-    latest.pan115.refreshToken = refreshToken || latest.pan115.refreshToken;
-    saveConfig(latest);
+  // 退出前把未落盘的记录写完
+  process.on('exit', () => cacheStore?.flushSync());
+  for (const sig of ['SIGINT', 'SIGTERM']) {
+    process.on(sig, () => process.exit(0));
   }
-});
+}
+
+// 每个账号一个 Pan115API（各自的 cookie/token/限流/缓存）
+const mounts = accounts.map(acc => ({
+  name: acc.name,
+  api: new Pan115API({
+    cookie: acc.cookie,
+    baseURL: acc.baseURL,
+    accessToken: acc.accessToken,
+    refreshToken: acc.refreshToken,
+
+    // ✅ 从 config.json 读取调参项
+    listConcurrency: acc.listConcurrency,
+    listMinIntervalMs: acc.listMinIntervalMs,
+    fileListTtlMs: acc.fileListTtlMs,
+    downloadUrlTtlMs: acc.downloadUrlTtlMs,
+    downloadUrlExpiryMarginMs: acc.downloadUrlExpiryMarginMs,
+
+    // 虚拟根目录 + 过滤规则
+    roots: acc.roots,
+    include: acc.include,
+    exclude: acc.exclude,
+
+    // 风控限流 / 熔断（全局参数，各账号独立计算状态）
+    throttle: config.throttle,
+    // 网络错误 / 5xx 重试 + 请求超时
+    retry: config.retry,
 
+    debug: config.debug,
+    cacheStore,
+    cacheNamespace: acc.name,
+    accountName: acc.name || undefined,
 
-panAPI.logRuntimeConfig();
+    // token 刷新 / 扫码登录后写回该账号自己的配置项
+    onAuthUpdate: async ({ cookie, accessToken, refreshToken }) => {
+      // 不带环境变量/命令行覆盖读取，避免把它们写进文件
+      const latest = loadConfig({ applyOverrides: false });
+      const entry = acc.index === null ? latest.pan115 : latest.pan115[acc.index];
+      if (!entry) return;
+      entry.cookie = cookie || entry.cookie;
+      entry.accessToken = accessToken || entry.accessToken;
+      entry.refreshToken = refreshToken || entry.refreshToken;
+      // 服务自己的写入，热加载不处理
+      saveConfig(latest, { reload: false });
+    }
+  })
+}));
+
+let mountTable;
+try {
+  mountTable = new MountTable(mounts);
+} catch (e) {
+  logger.error(`错误: config.json 中 pan115 账号配置无效：${e.message}（文件：${CONFIG_PATH}）`);
+  process.exit(1);
+}
+
+for (const { name, api } of mounts) {
+  if (name) api.logger.log(`[API] 账号挂载: /${name}`);
+  api.logRuntimeConfig();
+}
 
 // 每 5*60 秒清理一次过期缓存（频率可调）
 setInterval(() => {
-  panAPI.cleanupExpiredCaches();
+  for (const api of mountTable.apis) api.cleanupExpiredCaches();
 }, 5 * 60_000).unref?.();
 
-const webdavServer = new WebDAVServer(panAPI, {
+// 签名 URL（WebDAV 验证 + STRM 生成共用一个实例，热加载时一起生效）
+const urlSigner = new UrlSigner(config.sign);
+
+// 可选：内置 STRM 生成
+let strmSyncer = null;
+if (config.strm.enabled) {
+  strmSyncer = new StrmSyncer(mountTable, {
+    outputDir: config.strm.outputDir,
+    baseUrl: config.strm.baseUrl,
+    folders: config.strm.folders,
+    videoExtensions: config.strm.videoExtensions,
+    sidecarExtensions: config.strm.sidecarExtensions,
+    sidecarMode: config.strm.sidecarMode,
+    urlMode: config.strm.urlMode,
+    signer: urlSigner,
+    signed: config.strm.signed,
+    signTtlSec: config.strm.signTtlSec,
+    debug: config.debug
+  });
+
+  if (Number(config.strm.intervalMs) > 0) {
+    setInterval(() => {
+      if (strmSyncer.running) return;
+      strmSyncer.sync().catch(e => logger.error('[strm] 定时同步失败：', e.message));
+    }, Number(config.strm.intervalMs)).unref?.();
+  }
+}
+
+// 可选：变更监控（发现新增/删除/改名后清缓存，可联动 STRM 同步）
+let changeWatcher = null;
+if (config.watch.enabled) {
+  changeWatcher = new ChangeWatcher(mountTable, {
+    folders: config.watch.folders,
+    intervalMs: Number(config.watch.intervalMs) || 0,
+    source: config.watch.source,
+    fullScanIntervalMs: config.watch.fullScanIntervalMs,
+    maxDirs: config.watch.maxDirs,
+    debug: config.debug
+  });
+
+  if (strmSyncer && config.watch.syncStrm) {
+    // 变化所在的目录（只同步 strm.folders 以内的）；STRM 正在同步时由 StrmSyncer 排队合并
+    const inStrmFolders = (p) => strmSyncer.folders.some(f => f === '/' || p === f || p.startsWith(`${f}/`));
+    const parentOf = (p) => p.slice(0, p.lastIndexOf('/')) || '/';
+
+    changeWatcher.on('scan', ({ changes }) => {
+      const dirs = new Set();
+      for (const c of changes) {
+        for (const dir of [parentOf(c.path), ...(c.oldPath ? [parentOf(c.oldPath)] : [])]) {
+          if (inStrmFolders(dir)) dirs.add(dir);
+        }
+      }
+      if (!dirs.size) return;
+
+      const folders = [...dirs];
+      logger.info(`[watch] 目录有变化，同步 STRM：${folders.join(', ')}`);
+      strmSyncer.sync({ folders }).catch(e => logger.error('[watch] STRM 同步失败：', e.message));
+    });
+  } else if (config.watch.syncStrm) {
+    logger.warn('[watch] syncStrm 需要启用 strm，已忽略');
+  }
+
+  changeWatcher.start();
+}
+
+// 就绪检查：定期验证各账号 cookie / token
+const healthChecker = new HealthChecker(mountTable, {
+  intervalMs: Number(config.health.intervalMs) || 0,
+  debug: config.debug
+});
+healthChecker.start();
+
+// 扫码登录（/__login/qrcode）：拿到的 cookie / token 热替换到对应账号
+const qrLogin = new QrLoginManager(mountTable, {
+  accounts: Object.fromEntries(accounts.map(acc => [acc.name, { appId: acc.appId, qrcodeApp: acc.qrcodeApp }])),
+  debug: config.debug
+});
+
+const webdavServer = new WebDAVServer(mountTable, {
   port: config.webdav.port,
   username: config.webdav.username,
   password: config.webdav.password,
+  users: config.webdav.users,
   debug: config.debug,
-  blockGoHttpClient: config.webdav.blockGoHttpClient
+  blockGoHttpClient: config.webdav.blockGoHttpClient,
+  clientRules: config.webdav.clientRules,
+  readOnly: config.webdav.readOnly,
+  proxy: config.webdav.proxy,
+  upload: config.webdav.upload,
+  propfind: config.webdav.propfind,
+  search: config.webdav.search,
+  signer: urlSigner,
+  strmSyncer,
+  changeWatcher,
+  healthChecker,
+  qrLogin,
+  admin: {
+    ...config.admin,
+    configStore: { load: () => loadConfig({ applyOverrides: false }), save: saveConfig, validate: validateConfig }
+  }
 });
 
 webdavServer.start();
+
+// config.json 热加载（文件变更或 SIGHUP）：只应用和当前配置相比变化了的字段
+const ACCOUNT_TUNING_KEYS = ['listConcurrency', 'listMinIntervalMs', 'fileListTtlMs', 'downloadUrlTtlMs', 'downloadUrlExpiryMarginMs', 'roots', 'include', 'exclude'];
+const CREDENTIAL_KEYS = ['cookie', 'accessToken', 'refreshToken'];
+
+watchConfig(async (next) => {
+  const prev = config;
+  const prevAccounts = getAccounts(prev);
+  const nextAccounts = getAccounts(next);
+
+  const names = (list) => list.map(a => a.name).join(',');
+  if (names(prevAccounts) !== names(nextAccounts)) {
+    logger.warn('[config] 账号增删/改名需要重启才能生效，本次只更新已有账号');
+  }
+
+  for (const { name, api } of mountTable.entries) {
+    const before = prevAccounts.find(a => a.name === name);
+    const after = nextAccounts.find(a => a.name === name);
+    if (!before || !after) continue;
+
+    // 数组字段（roots / include / exclude）按内容比较
+    const changed = (k) => JSON.stringify(before[k]) !== JSON.stringify(after[k]);
+
+    const tuning = Object.fromEntries(ACCOUNT_TUNING_KEYS.filter(changed).map(k => [k, after[k]]));
+    for (const k of ['throttle', 'retry']) {
+      if (JSON.stringify(prev[k]) !== JSON.stringify(next[k])) tuning[k] = next[k];
+    }
+    if (Object.keys(tuning).length || prev.debug !== next.debug) api.applySettings({ ...tuning, debug: next.debug });
+
+    // 凭证：只在文件里的值被改动时替换（避免用旧文件覆盖运行中刚刷新的 token）
+    const creds = Object.fromEntries(CREDENTIAL_KEYS.filter(changed).map(k => [k, after[k]]));
+    if (Object.keys(creds).length) await api.updateCredentials(creds, { persist: false });
+  }
+
+  if (cacheStore && prev.throttle.staleMaxAgeMs !== next.throttle.staleMaxAgeMs) {
+    cacheStore.staleMaxAgeMs = next.throttle.staleMaxAgeMs ?? cacheStore.staleMaxAgeMs;
+  }
+
+  if (JSON.stringify(prev.logging) !== JSON.stringify(next.logging)) {
+    try {
+      configureLogging(next.logging);
+    } catch (e) {
+      logger.error(`[config] 打开日志文件失败：${e.message}`);
+    }
+  }
+  logger.debug = next.debug;
+
+  if (prev.webdav.port !== next.webdav.port) logger.warn('[config] webdav.port 变更需要重启才能生效');
+
+  webdavServer.applySettings({
+    username: next.webdav.username,
+    password: next.webdav.password,
+    users: next.webdav.users,
+    blockGoHttpClient: next.webdav.blockGoHttpClient,
+    clientRules: next.webdav.clientRules,
+    readOnly: next.webdav.readOnly,
+    ...(JSON.stringify(prev.sign) !== JSON.stringify(next.sign) ? { sign: next.sign } : {}),
+    debug: next.debug
+  });
+
+  config = next;
+  logger.info('[config] 新配置已生效');
+});
@@ -1,7 +1,60 @@
+import { AsyncResource } from 'node:async_hooks';
 import axios from 'axios';
 import FormData from 'form-data';
 import { Logger } from './logger.js';
+import { OssMultipartUploader } from './oss.js';
+import { sha1OfRange } from './upload.js';
+import { PathRules, normalizeRoots } from './path-rules.js';
+import { AdaptiveThrottle, RiskControlError, detectRiskSignal, isThrottleError, mergeRiskCodes } from './throttle.js';
+import { RetryPolicy, parseRetryAfter } from './retry.js';
+import {
+  cacheRequests, limiterQueued, limiterActive, singleflightMerged,
+  apiDuration, apiErrors, apiRetries, tokenRefreshes, circuitState, riskSignals
+} from './metrics.js';
+
+// 接口 -> 风控状态分组（每组一个独立的 AdaptiveThrottle）
+const THROTTLE_GROUPS = {
+  '/files': 'list',
+  'natsort/files.php': 'list',
+  '/files/search': 'list',
+  '/category/get': 'list',
+  '/open/folder/get_info': 'list',
+  '/life/life_list': 'list',
+  '/open/ufile/downurl': 'downurl',
+  '/open/refreshToken': 'token',
+  '/open/user/info': 'token'
+};
+
+const CIRCUIT_STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+
+// pickcode -> 文件 id 的对应关系不会变，索引保留 7 天
+const PICKCODE_ID_TTL_MS = 7 * 86400_000;
+
+
+// 115 直链 query 里表示过期时间的参数（Unix 秒）
+const LINK_EXPIRY_PARAMS = ['t', 'expires', 'Expires', 'e'];
 
+/**
+ * 从 115 CDN 直链的 query 参数解析过期时间
+ * @param {string} url
+ * @returns {number|null} 过期时间（毫秒时间戳）；解析不到或数值不像时间戳时返回 null
+ */
+export function parseLinkExpiry(url, now = Date.now()) {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch {
+    return null;
+  }
+  for (const name of LINK_EXPIRY_PARAMS) {
+    const raw = params.get(name);
+    if (!raw || !/^\d{10}(\d{3})?$/.test(raw)) continue;
+    const ms = raw.length === 13 ? Number(raw) : Number(raw) * 1000;
+    // 只接受前后 30 天内的值，避免把其它数字参数当成过期时间
+    if (Math.abs(ms - now) <= 30 * 24 * 3600_000) return ms;
+  }
+  return null;
+}
 
 class SimpleLimiter {
   constructor({ concurrency = 1, minIntervalMs = 200 } = {}) {
@@ -13,9 +66,18 @@ class SimpleLimiter {
     this.lastStartAt = 0;
   }
 
+  // 热更新参数：已排队的任务保留，调大并发时立即多启动几个
+  configure({ concurrency, minIntervalMs } = {}) {
+    if (Number.isFinite(concurrency) && concurrency > 0) this.concurrency = concurrency;
+    if (Number.isFinite(minIntervalMs) && minIntervalMs >= 0) this.minIntervalMs = minIntervalMs;
+    // _drain 在第一个 await 之前就会 active++，这里不会死循环
+    while (this.active < this.concurrency && this.queue.length) this._drain();
+  }
+
   async run(taskFn) {
     return new Promise((resolve, reject) => {
-      this.queue.push({ taskFn, resolve, reject });
+      // 绑定入队时的异步上下文：任务可能由别的请求完成时启动，日志里的请求 ID 要保持是自己的
+      this.queue.push({ taskFn: AsyncResource.bind(taskFn), resolve, reject });
       this._drain();
     });
   }
@@ -64,28 +126,67 @@ export class Pan115API {
     // token 更新回调：刷新成功后把新 token 写回 config.json（外层注入）
     this.onAuthUpdate = options.onAuthUpdate;
 
-    this.logger = new Logger(!!options.debug);
+    this.logger = new Logger(!!options.debug, 'api');
+
+    // 指标里的 account 标签（多账号时为挂载名）
+    this.accountName = options.accountName || 'default';
+
+    // 虚拟根目录 + 过滤规则（见 path-rules.js）
+    // - roots：只暴露这些网盘目录；一个时直接作为根目录，多个时根目录下按最后一级名称列出
+    // - include / exclude：作用于 getFileList 的结果，被隐藏的条目 PROPFIND 看不到，GET/HEAD 也访问不到
+    this.roots = normalizeRoots(options.roots);
+    this.pathRules = new PathRules({ include: options.include, exclude: options.exclude });
+    // 虚拟根目录真实路径 -> 目录 id（清缓存时路径映射可能已被删掉，靠它找到根目录的 cid）
+    this._rootIds = new Map();
+
+    // 健康状态（/__ready 使用）：各类请求最近一次成功时间 + 最近一次错误
+    // tokenUpdatedAt：本进程内 token 最近一次更新时间（启动时为启动时间）
+    this.health = {
+      lastListOkAt: null,
+      lastDownurlOkAt: null,
+      tokenUpdatedAt: Date.now(),
+      lastError: null,
+      // 最近的错误（管理后台展示），最多保留 50 条
+      recentErrors: []
+    };
 
     // =========================
     // 2) 缓存（降低请求频率，避免风控）
     // =========================
 
+    // 可选：持久化 store（PersistentCacheStore），重启后沿用上次的缓存（过期后同样再保留 staleMaxAgeMs 供熔断兜底）
+    // 多账号时用 cacheNamespace 区分各账号的持久化数据
+    this.cacheStore = options.cacheStore || null;
+    const ns = options.cacheNamespace ? `${options.cacheNamespace}:` : '';
+    const createCacheMap = (name) => this.cacheStore ? this.cacheStore.createMap(ns + name) : new Map();
+
     // (A) 路径 -> id 映射缓存
     // 用途：把 "/影视文件/电影" 解析成网盘的目录 id，减少逐级查找开销
     // 结构：path -> { id, type, name, ... }
-    this.pathToIdCache = new Map();
+    this.pathToIdCache = createCacheMap('pathToId');
 
     // (B) 目录列表缓存：cid -> files（核心：减少 /files 调用次数）
     // TTL：默认 60 秒（WebDAV 频繁 PROPFIND 时能显著降压；想“更实时”就调小）
     // 结构：cid -> { expiresAt, files }
-    this._fileListCache = new Map();
+    this._fileListCache = createCacheMap('fileList');
     this.fileListTtlMs = options.fileListTtlMs ?? 60_000;
 
-    // (C) 下载链接缓存：同一个文件 + 同一个 UA，60 秒内复用下载 URL
-    // 注意：若下载 URL 本身有效期更短，可把 TTL 调低（例如 10~30 秒）
-    // 结构：key(fileId|pickcode|ua) -> { expiresAt, value:{url,userAgent} }
-    this._downloadUrlCache = new Map();
+    // (C) 下载链接缓存：同一个文件 + 同一个 UA 复用下载 URL
+    // 有效期优先取直链自身的过期时间（query 参数），提前 downloadUrlExpiryMarginMs 失效；
+    // 解析不到时按 downloadUrlTtlMs
+    // 结构：key(fileId|pickcode|ua) -> { expiresAt, linkExpiresAt, value:{url,userAgent} }
+    this._downloadUrlCache = createCacheMap('downloadUrl');
     this.downloadUrlTtlMs = options.downloadUrlTtlMs ?? 60_000;
+    this.downloadUrlExpiryMarginMs = options.downloadUrlExpiryMarginMs ?? 60_000;
+
+    // (D) 文件详情缓存：fileId -> 详情（/__fid、/__pc 路由用，不需要逐级列目录），TTL 同 fileListTtlMs
+    // 结构：fileId -> { expiresAt, file }
+    this._fileInfoCache = createCacheMap('fileInfo');
+
+    // (E) pickcode -> 文件 id 索引：列目录、文件详情、获取直链时顺带记录
+    // /__pc 路由据此走文件详情接口，HEAD 不用为了拿文件信息去获取直链
+    // 结构：pickcode -> { expiresAt, id }
+    this._pickcodeIds = createCacheMap('pickcodeId');
 
     // =========================
     // 3) 限流/合并（抗并发，降低风控）
@@ -97,6 +198,9 @@ export class Pan115API {
     this.listConcurrency = options.listConcurrency ?? 1;
     this.listMinIntervalMs = options.listMinIntervalMs ?? 350;
 
+    // 每页条数：大目录会按 count 自动翻页，每页一次 list 请求
+    this.listPageSize = options.listPageSize ?? 200;
+
     this._listLimiter = new SimpleLimiter({
       concurrency: this.listConcurrency,
       minIntervalMs: this.listMinIntervalMs
@@ -116,6 +220,22 @@ export class Pan115API {
       concurrency: this.downloadConcurrency,
       minIntervalMs: this.downloadMinIntervalMs
     });
+
+    // 风控自适应限流 + 熔断（见 throttle.js）：list / downurl / token 各自独立
+    // 熔断期间目录列表、下载链接改用已过期的缓存（过期后最多再保留 staleMaxAgeMs）
+    const throttle = options.throttle || {};
+    this.riskCodes = mergeRiskCodes(throttle.riskCodes);
+    this.staleMaxAgeMs = throttle.staleMaxAgeMs ?? 30 * 60_000;
+    this._throttles = Object.fromEntries(['list', 'downurl', 'token'].map(name => [
+      name,
+      new AdaptiveThrottle(name, { ...throttle, logger: this.logger, account: this.accountName })
+    ]));
+
+    // 网络抖动 / 5xx 重试（见 retry.js）+ 单次请求超时
+    // 每次重试都重新经过限流器和风控节奏
+    const retry = options.retry || {};
+    this.requestTimeoutMs = retry.timeoutMs ?? 15_000;
+    this._retry = new RetryPolicy({ ...retry, logger: this.logger });
     // =========================
     // 4) Token 刷新 singleflight（避免并发刷新）
     // =========================
@@ -129,6 +249,7 @@ export class Pan115API {
     // 用于调用115内部API的客户端
     this.client = axios.create({
       baseURL: this.baseURL,
+      timeout: this.requestTimeoutMs,
       headers: {
         'Cookie': this.cookie,
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36 115Browser/36.0.0 Chromium/125.0',
@@ -152,6 +273,7 @@ export class Pan115API {
     
     this.openClient = axios.create({
       baseURL: 'https://proapi.115.com',
+      timeout: this.requestTimeoutMs,
       headers: {
         'Authorization': this.accessToken ? `Bearer ${this.accessToken}` : '',
         'User-Agent': this.userAgent,
@@ -160,6 +282,7 @@ export class Pan115API {
     });
     this.openClientPassportApi = axios.create({
       baseURL: 'https://passportapi.115.com',
+      timeout: this.requestTimeoutMs,
       headers: {
         'User-Agent': this.userAgent,
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -172,21 +295,245 @@ export class Pan115API {
       `[API] listConcurrency=${this.listConcurrency}, ` +
       `listMinIntervalMs=${this.listMinIntervalMs}, ` +
       `fileListTtlMs=${this.fileListTtlMs}, ` +
-      `downloadUrlTtlMs=${this.downloadUrlTtlMs}`
+      `downloadUrlTtlMs=${this.downloadUrlTtlMs}, ` +
+      `downloadUrlExpiryMarginMs=${this.downloadUrlExpiryMarginMs}, ` +
+      `persistentCache=${this.cacheStore ? this.cacheStore.filePath : 'off'}, ` +
+      `roots=${this.roots.length ? this.roots.map(r => r.path).join(',') : '/'}, ` +
+      `include=${this.pathRules.include.length}, exclude=${this.pathRules.exclude.length}, ` +
+      `throttle=${this._throttles.list.threshold}x/${this._throttles.list.openMs}ms, riskCodes=${this.riskCodes.join(',')}, ` +
+      `retry=${this._retry.maxRetries}, timeoutMs=${this.requestTimeoutMs}`
     );
   }
+
+  // =========================
+  // 虚拟根目录：对外路径 <-> 网盘真实路径
+  // =========================
+
+  /**
+   * 对外路径 -> 网盘真实路径
+   * @returns {string|null} 多个虚拟根目录时的 "/" 本身（不对应网盘目录）以及未知根目录返回 null
+   */
+  toRealPath(path) {
+    const parts = String(path || '/').split('/').filter(Boolean);
+    if (this.roots.length === 0) return `/${parts.join('/')}`;
+
+    if (this.roots.length === 1) return `${this.roots[0].path}${parts.length ? `/${parts.join('/')}` : ''}`;
+
+    if (parts.length === 0) return null;
+    const root = this.roots.find(r => r.name === parts[0]);
+    if (!root) return null;
+    return `${root.path}${parts.length > 1 ? `/${parts.slice(1).join('/')}` : ''}`;
+  }
+
+  /**
+   * 网盘真实路径 -> 对外路径
+   * @returns {string|null} 不在任何虚拟根目录下、或被过滤规则隐藏时返回 null
+   */
+  toExposedPath(realPath, type = 'file') {
+    const p = `/${String(realPath || '/').split('/').filter(Boolean).join('/')}`;
+    if (!this.pathRules.isPathVisible(p, type)) return null;
+    if (this.roots.length === 0) return p;
+
+    for (const root of this.roots) {
+      if (p !== root.path && !p.startsWith(`${root.path}/`)) continue;
+      const rest = p.slice(root.path.length);
+      if (this.roots.length === 1) return rest || '/';
+      return `/${root.name}${rest}`;
+    }
+    return null;
+  }
+
+  // 多个虚拟根目录时，对外的 "/" 只是根目录列表
+  get hasVirtualTop() {
+    return this.roots.length > 1;
+  }
+
+  /**
+   * 列出目录成员（getFileByPath 返回的目录对象；虚拟的 "/" 列出各虚拟根目录）
+   * @returns {Promise<Array>}
+   */
+  async listDirectory(dir) {
+    if (!dir.virtual) return this.getFileList(dir.id);
+
+    const items = [];
+    for (const root of this.roots) {
+      const found = await this.getFileByPath(`/${root.name}`);
+      if (found?.type === 'directory') items.push({ ...found, name: root.name, path: `/${root.name}` });
+      else this.logger.warn(`[API] 虚拟根目录不存在或已被过滤: ${root.path}`);
+    }
+    return items;
+  }
   
+  // =========================
+  // 指标（/__metrics）
+  // =========================
+
+  _recordCache(cache, hit) {
+    cacheRequests.inc({ account: this.accountName, cache, result: hit ? 'hit' : 'miss' });
+  }
+
+  _recordMerged(kind) {
+    singleflightMerged.inc({ account: this.accountName, kind });
+  }
+
+  /**
+   * 包一层 115 接口调用：记录耗时；业务错误（state=false）按 errNo/code、HTTP/网络错误按状态计数
+   * @param {string} endpoint - 接口路径（作为指标标签）
+   * @param {Function} fn - 返回 axios response 的函数
+   */
+  async _track(endpoint, fn) {
+    const labels = { account: this.accountName, endpoint };
+    const throttle = this._throttles[THROTTLE_GROUPS[endpoint]];
+
+    // 熔断中直接抛 CircuitOpenError，不发请求；降速中先等待附加延迟
+    await throttle?.acquire();
+
+    const end = apiDuration.startTimer(labels);
+    const startedAt = Date.now();
+    try {
+      const response = await fn();
+      const data = response?.data;
+      if (data && data.state === false) {
+        apiErrors.inc({ ...labels, code: String(data.errNo ?? data.errno ?? data.code ?? 'unknown') });
+      }
+      const signal = detectRiskSignal({ response }, this.riskCodes);
+      if (signal) {
+        this._onRiskSignal(throttle, endpoint, signal);
+        throw new RiskControlError(throttle?.name || endpoint, signal);
+      }
+      throttle?.onSuccess();
+      return response;
+    } catch (e) {
+      if (e instanceof RiskControlError) throw e;
+      apiErrors.inc({ ...labels, code: e.response ? `http_${e.response.status}` : 'network' });
+      const signal = detectRiskSignal({ error: e }, this.riskCodes);
+      if (signal) {
+        // 429 等带 Retry-After 时整组接口按它暂停（见 AdaptiveThrottle.holdFor）
+        this._onRiskSignal(throttle, endpoint, signal, parseRetryAfter(e.response?.headers?.['retry-after']));
+        throw new RiskControlError(throttle?.name || endpoint, signal, e);
+      }
+      throttle?.onOtherFailure();
+      throw e;
+    } finally {
+      end();
+      this.logger.trace(`[API] ${this.accountName} ${endpoint} ${Date.now() - startedAt}ms`);
+    }
+  }
+
+  _onRiskSignal(throttle, endpoint, reason, retryAfterMs = null) {
+    riskSignals.inc({ account: this.accountName, endpoint, reason });
+    throttle?.onRiskSignal(reason, { retryAfterMs });
+  }
+
+  /**
+   * 发起一次 115 请求：失败时按重试策略重试，每次尝试都重新排队限流器 + 记录指标
+   * @param {Function} fn - 返回 axios response 的函数，每次尝试都会重新调用（请求体要在里面构造）
+   * @param {Object} [options]
+   * @param {string} [options.endpoint] - 传入时经过 _track（指标 + 风控检测）
+   * @param {SimpleLimiter} [options.limiter]
+   * @param {boolean} [options.idempotent=true] - false 时只在连接未建立时重试（刷新 token、写操作）
+   */
+  async _request(fn, { endpoint, limiter, idempotent = true } = {}) {
+    const label = endpoint || 'request';
+    let attempt = 0;
+    return this._retry.run(() => {
+      if (attempt++ > 0) apiRetries.inc({ account: this.accountName, endpoint: label });
+      const call = endpoint ? () => this._track(endpoint, fn) : fn;
+      return limiter ? limiter.run(call) : call();
+    }, { label, idempotent });
+  }
+
+  // 风控状态：{ list: {...}, downurl: {...}, token: {...} }
+  throttleStats() {
+    return Object.fromEntries(Object.entries(this._throttles).map(([name, t]) => [name, t.toJSON()]));
+  }
+
+  // 过期但还在 staleMaxAgeMs 内的缓存条目（熔断时兜底用）；直链本身已过期的不算
+  _isStaleUsable(entry, now = Date.now()) {
+    if (!entry || entry.expiresAt + this.staleMaxAgeMs <= now) return false;
+    return !entry.linkExpiresAt || entry.linkExpiresAt > now;
+  }
+
+  _recordError(source, error) {
+    const entry = { at: Date.now(), source, message: error?.message || String(error) };
+    this.health.lastError = entry;
+    this.health.recentErrors.push(entry);
+    if (this.health.recentErrors.length > 50) this.health.recentErrors.shift();
+  }
+
+  // 限流器状态：{ list: {...}, download: {...} }
+  limiterStats() {
+    const stat = (l) => ({
+      queued: l.queue.length,
+      active: l.active,
+      concurrency: l.concurrency,
+      minIntervalMs: l.minIntervalMs
+    });
+    return { list: stat(this._listLimiter), download: stat(this._downloadLimiter) };
+  }
+
+  // 抓取指标前调用：把限流器当前状态写入 gauge
+  collectMetrics() {
+    for (const [limiter, l] of Object.entries(this.limiterStats())) {
+      limiterQueued.set({ account: this.accountName, limiter }, l.queued);
+      limiterActive.set({ account: this.accountName, limiter }, l.active);
+    }
+    for (const [endpoint, t] of Object.entries(this._throttles)) {
+      circuitState.set({ account: this.accountName, endpoint }, CIRCUIT_STATE_VALUES[t.state]);
+    }
+  }
+
+  /**
+   * 缓存内容快照（管理后台用），ttlMs 为剩余有效期；下载链接只给出 key，不暴露直链
+   * @returns {{fileList: Array, downloadUrl: Array, pathToId: Array}}
+   */
+  inspectCaches() {
+    const now = Date.now();
+    return {
+      fileList: [...this._fileListCache].map(([cid, v]) => ({ cid, count: v?.files?.length ?? 0, ttlMs: (v?.expiresAt ?? 0) - now })),
+      downloadUrl: [...this._downloadUrlCache].map(([key, v]) => {
+        const [fileId, pickcode, ...ua] = key.split('|');
+        return {
+          fileId, pickcode, userAgent: ua.join('|'), ttlMs: (v?.expiresAt ?? 0) - now,
+          linkTtlMs: v?.linkExpiresAt ? v.linkExpiresAt - now : null
+        };
+      }),
+      // 换算成对外路径，虚拟根目录之外 / 被过滤的不展示
+      pathToId: [...this.pathToIdCache]
+        .map(([path, f]) => ({ path: this.toExposedPath(path, f?.type), id: f?.id, type: f?.type, size: f?.size ?? 0 }))
+        .filter(item => item.path !== null)
+    };
+  }
+
+  // 查路径映射缓存（记录命中率）；path 为对外路径，缓存按网盘真实路径存
+  getCachedPath(path) {
+    const real = this.toRealPath(path);
+    let hit = real ? this.pathToIdCache.get(real) : undefined;
+    // 持久化缓存可能是规则修改前写入的
+    if (hit && !this.pathRules.isPathVisible(real, hit.type)) hit = undefined;
+    this._recordCache('pathToId', !!hit);
+    return hit;
+  }
+
   cleanupExpiredCaches() {
     const now = Date.now();
   
+    // 过期条目再保留 staleMaxAgeMs，熔断时兜底
     // 目录列表缓存
     for (const [k, v] of this._fileListCache) {
-      if (!v || v.expiresAt <= now) this._fileListCache.delete(k);
+      if (!this._isStaleUsable(v, now)) this._fileListCache.delete(k);
+    }
+
+    // 文件详情缓存 / pickcode 索引
+    for (const cache of [this._fileInfoCache, this._pickcodeIds]) {
+      for (const [k, v] of cache) {
+        if (!v || v.expiresAt <= now) cache.delete(k);
+      }
     }
   
     // 下载链接缓存
     for (const [k, v] of this._downloadUrlCache) {
-      if (!v || v.expiresAt <= now) this._downloadUrlCache.delete(k);
+      if (!this._isStaleUsable(v, now)) this._downloadUrlCache.delete(k);
     }
   }
 
@@ -196,36 +543,53 @@ export class Pan115API {
     this._fileListCache.delete(String(cid));
   }
 
-  // 清指定路径的缓存（目录列表 + 路径映射）
+  // 清指定路径的缓存（目录列表 + 路径映射）；path 为对外路径
   invalidateByPath(path) {
-    const p = path === '/' ? '/' : path.replace(/\/+$/g, ''); // 去掉末尾 /
+    if (this.hasVirtualTop && this.toRealPath(path) === null) {
+      for (const root of this.roots) this.invalidateByPath(`/${root.name}`);
+      return undefined;
+    }
+
+    const p = this.toRealPath(path);
     const hit = this.pathToIdCache.get(p);
+    const id = hit?.id ?? this._rootIds.get(p);
 
     // 删路径映射
     this.pathToIdCache.delete(p);
 
     // 删目录列表缓存
-    if (hit?.id) this.invalidateFileListCacheById(hit.id);
+    if (id) this.invalidateFileListCacheById(id);
 
     // 根目录
     if (p === '/') this.invalidateFileListCacheById('0');
 
-    return hit?.id;
+    return id;
+  }
+
+  // 清某个路径及其所有子路径的路径映射（目录被移动/删除/改名后使用）；path 为对外路径
+  invalidatePathTree(path) {
+    const p = this.toRealPath(path);
+    if (p === null) return;
+    const prefix = p === '/' ? '/' : `${p}/`;
+    for (const key of [...this.pathToIdCache.keys()]) {
+      if (key === p || key.startsWith(prefix)) this.pathToIdCache.delete(key);
+    }
   }
 
-  // 可选：刷新并预热（立刻拉一次最新列表填入缓存）
+  // 可选：刷新并预热（立刻拉一次最新列表填入缓存）；path 为对外路径
   async refreshDirectoryByPath(path) {
     const p = path === '/' ? '/' : path.replace(/\/+$/g, '');
-    // 先解析 id（你已有 getFileByPath）
-    if (p === '/') {
-      this.invalidateFileListCacheById('0');
-      await this.getFileList('0'); // 预热
-      return { id: '0', path: '/' };
-    }
 
     const dir = await this.getFileByPath(p);
     if (!dir || dir.type !== 'directory') return null;
 
+    // 多个虚拟根目录时的 "/"：逐个刷新各根目录
+    if (dir.virtual) {
+      this.invalidateByPath('/');
+      await this.listDirectory(dir);
+      return { id: null, path: p };
+    }
+
     this.invalidateFileListCacheById(dir.id);
     await this.getFileList(dir.id); // 预热
     return { id: dir.id, path: p };
@@ -248,8 +612,8 @@ export class Pan115API {
           ? `${fullPath}/`
           : fullPath;
         
-        // 缓存路径到ID的映射
-        this.pathToIdCache.set(fullPath, file);
+        // 缓存路径到ID的映射（cachedAt：getFileByPath 按目录列表 TTL 判断是否可以直接使用）
+        this.pathToIdCache.set(fullPath, { ...file, cachedAt: Date.now() });
         
         this.logger.log(`[API] 缓存路径映射: ${pathToCache} -> ${file.id} (${file.type})`);
       });
@@ -275,31 +639,60 @@ export class Pan115API {
   }
   
   /**
-   * 获取文件列表
+   * 获取文件列表（已按 include / exclude 规则过滤）
    * @param {string} fileId - 文件夹ID，默认为根目录
+   * @param {Object} [opts]
+   * @param {boolean} [opts.fresh] - 跳过未过期的缓存，重新拉取并写回缓存（变更监控用）；
+   *   失败时直接抛出，不退回过期缓存（旧列表不能当成最新结果去比较）
    * @returns {Promise<Array>}
    */
-  async getFileList(fileId = '0') {
+  async getFileList(fileId = '0', { fresh = false } = {}) {
+    const { files, path } = await this._getRawFileList(fileId, { fresh });
+    return this.pathRules.filter(path, files);
+  }
+
+  // 未过滤的目录列表 + 该目录的真实路径（缓存 / singleflight 都在这一层）
+  async _getRawFileList(fileId = '0', { fresh = false } = {}) {
     const key = String(fileId);
-    const cached = this._fileListCache.get(key);
-    if (cached && cached.expiresAt > Date.now()) {
+    let cached = this._fileListCache.get(key);
+    // 旧版本写入的持久化缓存没有 path，过滤规则需要路径，按未命中处理
+    if (cached && cached.path === undefined) cached = undefined;
+    if (!fresh && cached && cached.expiresAt > Date.now()) {
       this.logger.log(`[API] getFileList 命中缓存 - fileId: ${key}`);
-      return cached.files;
+      this._recordCache('fileList', true);
+      return cached;
+    }
+    this._recordCache('fileList', false);
+
+    // ✅ 熔断中：有过期缓存就直接用，不排队（fresh 时不用）
+    const stale = !fresh && this._isStaleUsable(cached) ? cached : null;
+    if (stale && this._throttles.list.blocked) {
+      this.logger.log(`[API] getFileList 熔断中，使用过期缓存 - fileId: ${key}`);
+      return stale;
     }
+    // 风控 / 熔断导致失败时退回过期缓存
+    const fallback = (e) => {
+      if (!stale || !isThrottleError(e)) throw e;
+      this.logger.warn(`[API] ${e.message}，使用过期的目录缓存 - fileId: ${key}`);
+      return stale;
+    };
   
     // ✅ 同一目录并发请求合并（singleflight）
     const inflight = this._listInflight.get(key);
     if (inflight) {
       this.logger.log(`[API] getFileList 合并并发请求 - fileId: ${key}`);
-      return inflight;
+      this._recordMerged('fileList');
+      return inflight.catch(fallback);
     }
   
-    // ✅ 通过 limiter 控制并发 + 节流
-    const p = this._listLimiter.run(() => this._getFileListImpl(key));
+    // ✅ 分页请求在 _getFileListImpl 内逐页通过 limiter 控制并发 + 节流
+    const p = this._getFileListImpl(key);
   
     this._listInflight.set(key, p);
     try {
       return await p;
+    } catch (e) {
+      return fallback(e);
     } finally {
       this._listInflight.delete(key);
     }
@@ -308,69 +701,126 @@ export class Pan115API {
   async _getFileListImpl(fileId = '0') {
     try {
       this.logger.log(`[API] 获取文件列表 - fileId: ${fileId}`);
-  
-      let response = await this.client.get('/files', {
-        params: {
-          aid: 1,
-          cid: fileId,
-          offset: 0,
-          limit: 200,
-          type: 0,
-          show_dir: 1,
-          fc_mix: 0,
-          natsort: 1,
-          count_folders: 1,
-          format: 'json',
-          custom_order: 0,
+
+      // ✅ 分页拉取：115 单页最多返回 limit 条，需按 count 翻页直到取全
+      // 每一页（以及每次重试、备用 API）都单独走 _listLimiter，保证同样受并发/间隔控制
+      const pageSize = this.listPageSize;
+      const files = [];
+      let pathString = '/';
+      let total = null;
+      let offset = 0;
+      let complete = true;
+
+      while (true) {
+        const data = await this._getFileListPage(fileId, offset, pageSize);
+
+        if (!data || data.state === false) {
+          // 任何一页失败都要抛出：空列表会被当成"目录已清空"（STRM 同步、变更监控据此删除），
+          // 半截列表也不能当完整目录缓存
+          const err = new Error(offset === 0
+            ? `获取文件列表失败 (fileId: ${fileId}, errNo: ${data?.errNo ?? 'N/A'})`
+            : `获取文件列表第 ${offset / pageSize + 1} 页失败 (fileId: ${fileId}, errNo: ${data?.errNo ?? 'N/A'})`);
+          err.errNo = data?.errNo;
+          throw err;
         }
-      });
-  
-      this.logger.log(
-        `[API] 文件列表响应 - state: ${response.data?.state}, errNo: ${response.data?.errNo || 'N/A'}, count: ${response.data?.count || 0}`
-      );
-  
-      // 检查是否需要使用备用API
-      if (response.data && response.data.state === false && response.data.errNo === 20130827) {
-        this.logger.log(`[API] 检测到errNo 20130827，使用备用API: https://aps.115.com/natsort/files.php`);
-        response =  await this.getFileListFromBackup(fileId);
 
+        if (offset === 0) {
+          pathString = this.formatPathList(data);
+          total = Number.isFinite(Number(data.count)) ? Number(data.count) : null;
+        }
+
+        const items = Array.isArray(data.data) ? data.data : [];
+        files.push(...this.formatFileList(data));
+        offset += items.length;
+
+        if (total === null) {
+          // 没有 count 时退化为"取到不满一页为止"
+          if (items.length < pageSize) break;
+        } else if (offset >= total) {
+          break;
+        } else if (items.length === 0) {
+          // 还没到 count 就拿到空页：目录可能在翻页期间发生了变化
+          this.logger.warn(`[API] 文件列表提前结束 - fileId: ${fileId}, 已取 ${offset}/${total}，本次不缓存`);
+          complete = false;
+          break;
+        }
       }
-  
-      if (response.data && response.data.state !== false) {
-        const files = this.formatFileList(response.data);
-        this.logger.log(`[API] 格式化后文件数量: ${files.length}`);
-        const pathString = this.formatPathList(response.data);
-        this._fileListCache.set(String(fileId), {
-          files,
-          expiresAt: Date.now() + this.fileListTtlMs
-        });
-        this.cachePaths(pathString, files);
-        return files;
+
+      this.logger.log(`[API] 格式化后文件数量: ${files.length}${total !== null ? ` / count: ${total}` : ''}`);
+
+      this.health.lastListOkAt = Date.now();
+      const result = { files, path: pathString, expiresAt: Date.now() + this.fileListTtlMs };
+      if (complete) this._fileListCache.set(String(fileId), result);
+      // 被过滤掉的条目不进路径映射 / pickcode 索引，避免绕过规则直接访问
+      const visible = this.pathRules.filter(pathString, files);
+      this.cachePaths(pathString, visible);
+      for (const f of visible) {
+        if (f.type === 'file') this._rememberPickcode(f.pickcode, f.id);
       }
-  
-      return [];
+      return result;
     } catch (error) {
       this.logger.error('获取文件列表失败:', error.message);
+      this._recordError('list', error);
       throw error;
     }
   }
+
+  /**
+   * 拉取单页文件列表（主 API 失败且 errNo=20130827 时切换备用 API）
+   * @param {string} fileId - 文件夹ID
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 每页条数
+   * @returns {Promise<Object|null>} 原始响应 data
+   */
+  async _getFileListPage(fileId, offset, limit) {
+    const response = await this._request(() => this.client.get('/files', {
+      params: {
+        aid: 1,
+        cid: fileId,
+        offset,
+        limit,
+        type: 0,
+        show_dir: 1,
+        fc_mix: 0,
+        natsort: 1,
+        count_folders: 1,
+        format: 'json',
+        custom_order: 0,
+      }
+    }), { endpoint: '/files', limiter: this._listLimiter });
+
+    this.logger.log(
+      `[API] 文件列表响应 - state: ${response.data?.state}, errNo: ${response.data?.errNo || 'N/A'}, count: ${response.data?.count || 0}, offset: ${offset}`
+    );
+
+    // 检查是否需要使用备用API
+    if (response.data && response.data.state === false && response.data.errNo === 20130827) {
+      this.logger.log(`[API] 检测到errNo 20130827，使用备用API: https://aps.115.com/natsort/files.php`);
+      const backup = await this.getFileListFromBackup(fileId, offset, limit);
+      return backup?.data || null;
+    }
+
+    return response.data || null;
+  }
   
 
   /**
    * 使用备用API获取文件列表
    * @param {string} fileId - 文件夹ID
-   * @returns {Promise<Array>}
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 每页条数
+   * @returns {Promise<Object|null>}
    */
-  async getFileListFromBackup(fileId = '0') {
+  async getFileListFromBackup(fileId = '0', offset = 0, limit = this.listPageSize) {
     try {
-      this.logger.log(`[API] 使用备用API获取文件列表 - fileId: ${fileId}`);
+      this.logger.log(`[API] 使用备用API获取文件列表 - fileId: ${fileId}, offset: ${offset}`);
       
-      const response = await axios.get('https://aps.115.com/natsort/files.php', {
+      const response = await this._request(() => axios.get('https://aps.115.com/natsort/files.php', {
         params: {
           aid: 1,
           cid: fileId,
-          offset: 0,
-          limit: 200,
+          offset,
+          limit,
           type: 0,
           show_dir: 1,
           fc_mix: 0,
@@ -392,8 +842,9 @@ export class Pan115API {
           'Sec-Fetch-Dest': 'empty',
           'Sec-Fetch-Mode': 'cors',
           'Sec-Fetch-Site': 'same-site',
-        }
-      });
+        },
+        timeout: this.requestTimeoutMs
+      }), { endpoint: 'natsort/files.php', limiter: this._listLimiter });
 
       this.logger.log(`[API] 备用API响应 - state: ${response.data?.state}, count: ${response.data?.count || 0}`);
       
@@ -406,7 +857,7 @@ export class Pan115API {
       }
       
       this.logger.warn(`[API] 备用API也返回失败状态`);
-      return [];
+      return null;
     } catch (error) {
       this.logger.error('备用API获取文件列表失败:', error.message);
       throw error;
@@ -437,6 +888,7 @@ export class Pan115API {
           mtime: this.parseTimestamp(item.te || item.t || item.tu || Date.now() / 1000),
           sha1: item.sha || '',
           pickcode: item.pc || '',
+          parentId: item.cid,
           path: `/${item.n || ''}`
         });
       } else if (item.cid && item.cid !== '0') {
@@ -448,13 +900,14 @@ export class Pan115API {
           size: 0,
           mtime: this.parseTimestamp(item.te || item.t || item.tu || Date.now() / 1000),
           pickcode: item.pc || '',
+          parentId: item.pid,
           path: `/${item.n || ''}`
         };
         this.logger.log(`[API] 识别为文件夹: ${folder.name}, cid: ${folder.id}`);
         files.push(folder);
       } else {
         // 未识别的项目
-        this.logger.log(`[API] 未识别的项目:`, JSON.stringify(item));
+        this.logger.log(`[API] 未识别的项目: ${JSON.stringify(item)}`);
       }
     });
 
@@ -496,6 +949,7 @@ export class Pan115API {
     // ✅ 如果已经有刷新在进行，直接复用同一个 Promise
     if (this._refreshPromise) {
       this.logger.log('[API] refreshAccessToken: 复用进行中的刷新请求');
+      this._recordMerged('refreshToken');
       return this._refreshPromise;
     }
   
@@ -518,7 +972,11 @@ export class Pan115API {
       const headers = { 'User-Agent': this.userAgent };
       const body = { refresh_token: this.refreshToken };
   
-      const response = await this.openClientPassportApi.post('/open/refreshToken', body, { headers });
+      // refresh_token 用过即失效：只在连接未建立时重试
+      const response = await this._request(
+        () => this.openClientPassportApi.post('/open/refreshToken', body, { headers }),
+        { endpoint: '/open/refreshToken', idempotent: false }
+      );
   
       const resp = response?.data;
       if (!resp) throw new Error('API响应为空');
@@ -541,6 +999,7 @@ export class Pan115API {
   
       // 记录刷新时间（给防抖用）
       this._lastRefreshAt = Date.now();
+      this.health.tokenUpdatedAt = this._lastRefreshAt;
   
       // ✅ 通知外层写回 config.json（如果你配置了回调）
       if (typeof this.onAuthUpdate === 'function') {
@@ -556,12 +1015,91 @@ export class Pan115API {
   
     // ✅ 无论成功失败都要清理锁，避免卡死
     try {
-      return await this._refreshPromise;
+      const result = await this._refreshPromise;
+      tokenRefreshes.inc({ account: this.accountName, result: 'success' });
+      return result;
+    } catch (e) {
+      tokenRefreshes.inc({ account: this.accountName, result: 'failure' });
+      this._recordError('refreshToken', e);
+      throw e;
     } finally {
       this._refreshPromise = null;
     }
   }
 
+  /**
+   * 热更新限流/缓存参数（config.json 热加载），只更新传入的字段
+   */
+  applySettings({ listConcurrency, listMinIntervalMs, fileListTtlMs, downloadUrlTtlMs, downloadUrlExpiryMarginMs, roots, include, exclude, throttle, retry, debug } = {}) {
+    if (listConcurrency !== undefined) this.listConcurrency = listConcurrency;
+    if (listMinIntervalMs !== undefined) this.listMinIntervalMs = listMinIntervalMs;
+    this._listLimiter.configure({ concurrency: this.listConcurrency, minIntervalMs: this.listMinIntervalMs });
+
+    // TTL 只影响之后写入的缓存，已有条目按原 expiresAt 过期
+    if (fileListTtlMs !== undefined) this.fileListTtlMs = fileListTtlMs;
+    if (downloadUrlTtlMs !== undefined) this.downloadUrlTtlMs = downloadUrlTtlMs;
+    if (downloadUrlExpiryMarginMs !== undefined) this.downloadUrlExpiryMarginMs = downloadUrlExpiryMarginMs;
+    if (debug !== undefined) this.logger.debug = !!debug;
+
+    // 风控参数：当前状态（熔断中 / 附加延迟）保留，之后按新参数计算
+    if (throttle !== undefined) {
+      this.riskCodes = mergeRiskCodes(throttle.riskCodes);
+      this.staleMaxAgeMs = throttle.staleMaxAgeMs ?? this.staleMaxAgeMs;
+      for (const t of Object.values(this._throttles)) t.configure(throttle);
+    }
+
+    // 重试 / 超时：对之后发起的请求生效
+    if (retry !== undefined) {
+      this._retry.configure(retry);
+      this.requestTimeoutMs = retry.timeoutMs ?? this.requestTimeoutMs;
+      for (const c of [this.client, this.openClient, this.openClientPassportApi]) c.defaults.timeout = this.requestTimeoutMs;
+    }
+
+    // 根目录 / 过滤规则变化后，已有路径映射可能指向不再可见的条目
+    if (roots !== undefined || include !== undefined || exclude !== undefined) {
+      if (roots !== undefined) this.roots = normalizeRoots(roots);
+      this.pathRules = new PathRules({
+        include: include ?? this.pathRules.include.map(r => r.source),
+        exclude: exclude ?? this.pathRules.exclude.map(r => r.source)
+      });
+      this.pathToIdCache.clear();
+      this._rootIds.clear();
+    }
+
+    this.logRuntimeConfig();
+  }
+
+  /**
+   * 热替换凭证（扫码登录 / config.json 热加载），不需要重启
+   * @param {{cookie?: string, accessToken?: string, refreshToken?: string}} creds - 只替换传入的字段
+   * @param {Object} [opts]
+   * @param {boolean} [opts.persist=true] - 是否经 onAuthUpdate 写回 config.json（热加载时本来就来自文件，不再回写）
+   */
+  async updateCredentials({ cookie, accessToken, refreshToken } = {}, { persist = true } = {}) {
+    if (cookie) {
+      this.cookie = cookie;
+      this.client.defaults.headers.Cookie = cookie;
+      // 旧 cookie 列出的空目录/失败结果不能再用
+      this._fileListCache.clear();
+    }
+
+    if (accessToken) {
+      this.accessToken = accessToken;
+      this.health.tokenUpdatedAt = Date.now();
+    }
+    if (refreshToken) this.refreshToken = refreshToken;
+
+    this.logger.info(`[API] 凭证已更新 - account: ${this.accountName}, cookie: ${cookie ? 'yes' : 'no'}, token: ${accessToken ? 'yes' : 'no'}`);
+
+    if (persist && typeof this.onAuthUpdate === 'function') {
+      await this.onAuthUpdate({
+        cookie: cookie || undefined,
+        accessToken: this.accessToken,
+        refreshToken: this.refreshToken
+      });
+    }
+  }
+
   applyAuthToHeaders(headers = {}) {
     if (this.accessToken) headers.Authorization = `Bearer ${this.accessToken}`;
     else delete headers.Authorization;
@@ -600,6 +1138,16 @@ export class Pan115API {
   }
   
 
+  _downloadUrlCacheKey(fileId, pickcode, userAgent) {
+    return `${String(fileId)}|${String(pickcode)}|${userAgent}`;
+  }
+
+  // 清指定文件 + UA 的下载链接缓存（直链失效时调用）
+  invalidateDownloadUrl(fileId, pickcode, clientUserAgent = null) {
+    const key = this._downloadUrlCacheKey(fileId, pickcode, clientUserAgent || this.userAgent);
+    this._downloadUrlCache.delete(key);
+  }
+
   /**
    * 获取文件下载链接
    * @param {string} fileId - 文件ID
@@ -618,38 +1166,55 @@ export class Pan115API {
       }
 
       // ✅ 缓存 key：fileId + pickcode + UA
-      const cacheKey = `${String(fileId)}|${String(pickcode)}|${userAgentToUse}`;
+      const cacheKey = this._downloadUrlCacheKey(fileId, pickcode, userAgentToUse);
 
       // ✅ 命中缓存
       const cached = this._downloadUrlCache.get(cacheKey);
       if (cached && cached.expiresAt > Date.now()) {
         this.logger.log(`[API] 下载链接命中缓存 - key: ${cacheKey}`);
-        return cached.value;
-      } else if (cached) {
-        this._downloadUrlCache.delete(cacheKey);
+        this._recordCache('downloadUrl', true);
+        // fromCache：调用方可以先确认直链还能用（见 webdav-server GET）
+        return { ...cached.value, fromCache: true };
       }
+      this._recordCache('downloadUrl', false);
+
+      // ✅ 过期条目先留着：熔断中 / 触发风控时兜底（直链可能仍然可用）
+      const stale = this._isStaleUsable(cached) ? { ...cached.value, fromCache: true } : null;
+      if (cached && !stale) this._downloadUrlCache.delete(cacheKey);
+      if (stale && this._throttles.downurl.blocked) {
+        this.logger.log(`[API] 下载链接熔断中，使用过期缓存 - key: ${cacheKey}`);
+        return stale;
+      }
+      const fallback = (e) => {
+        if (!stale || !isThrottleError(e)) throw e;
+        this.logger.warn(`[API] ${e.message}，使用过期的下载链接 - key: ${cacheKey}`);
+        return stale;
+      };
 
       // ✅ 合并并发：同 key 正在请求就复用
       const inflight = this._downloadUrlInflight.get(cacheKey);
       if (inflight) {
         this.logger.log(`[API] 下载链接合并并发请求 - key: ${cacheKey}`);
-        return inflight;
+        this._recordMerged('downloadUrl');
+        return inflight.catch(fallback);
       }
 
-      const p = this._downloadLimiter.run(async () => {
-        // 使用115开放API获取下载链接
-        const formData = new FormData();
-        formData.append('pick_code', pickcode);
+      const p = (async () => {
+        // 使用115开放API获取下载链接（FormData 是流，每次重试都要重新构造）
+        const response = await this._request(() => {
+          const formData = new FormData();
+          formData.append('pick_code', pickcode);
 
-        const headers = { ...formData.getHeaders() };
-        headers['User-Agent'] = userAgentToUse;
+          const headers = { ...formData.getHeaders() };
+          headers['User-Agent'] = userAgentToUse;
 
-        const response = await this.requestWithAutoRefresh({
-          method: 'POST',
-          url: '/open/ufile/downurl',
-          data: formData,
-          headers
-        });
+          return this.requestWithAutoRefresh({
+            method: 'POST',
+            url: '/open/ufile/downurl',
+            data: formData,
+            headers
+          });
+        }, { endpoint: '/open/ufile/downurl', limiter: this._downloadLimiter });
 
         this.logger.log(`[API] 下载链接响应 - state: ${response.data?.state}, code: ${response.data?.code || 'N/A'}`);
 
@@ -672,12 +1237,18 @@ export class Pan115API {
         }
         
         // 查找对应的文件ID（确保类型一致，都转为字符串比较）
-        const fileIdStr = String(fileId);
+        const fileIdStr = String(fileId ?? '');
         let fileData = null;
+        let fileKey = fileIdStr;
         
         // 优先使用传入的 fileId 查找
         if (data[fileIdStr]) {
           fileData = data[fileIdStr];
+        } else if (!fileIdStr) {
+          // 只知道 pickcode（/__pc 路由）：按 pick_code 找，key 就是文件 id
+          const key = Object.keys(data).find(k => data[k]?.pick_code === pickcode) ?? Object.keys(data)[0];
+          fileData = data[key];
+          fileKey = key;
         } else {
           // 如果找不到，尝试遍历所有key（可能ID格式不完全匹配）
           const keys = Object.keys(data);
@@ -691,7 +1262,7 @@ export class Pan115API {
           // 如果还是找不到，使用第一个文件的数据（作为后备方案）
           if (!fileData && keys.length > 0) {
             fileData = data[keys[0]];
-            console.warn(`未找到文件ID ${fileIdStr}，使用返回的第一个文件: ${keys[0]}`);
+            this.logger.warn(`[API] 未找到文件ID ${fileIdStr}，使用返回的第一个文件: ${keys[0]}`);
           }
         }
 
@@ -707,23 +1278,35 @@ export class Pan115API {
         this.logger.log(`[API] 成功获取下载链接: ${downloadUrl.substring(0, 100)}...`);
         this.logger.log(`[API] 返回的User-Agent: ${userAgentToUse}`);
         
-        // 返回下载链接和User-Agent，确保访问时使用相同的UA
-        const result = { url: downloadUrl, userAgent: userAgentToUse };
-        // ✅ 写入缓存（60s）
-        this._downloadUrlCache.set(cacheKey, {
-          expiresAt: Date.now() + this.downloadUrlTtlMs,
-          value: result
-        });
+        // 返回下载链接和User-Agent，确保访问时使用相同的UA；fileId 为直链对应的文件 id
+        const result = { url: downloadUrl, userAgent: userAgentToUse, fileId: fileKey };
+        this.health.lastDownurlOkAt = Date.now();
+        // ✅ 写入缓存：直链自带过期时间时缓存到过期前 margin，否则按 downloadUrlTtlMs
+        const now = Date.now();
+        const linkExpiresAt = parseLinkExpiry(downloadUrl, now);
+        const expiresAt = linkExpiresAt
+          ? Math.max(now, linkExpiresAt - this.downloadUrlExpiryMarginMs)
+          : now + this.downloadUrlTtlMs;
+        this.logger.log(`[API] 下载链接缓存 ${Math.round((expiresAt - now) / 1000)}s（${linkExpiresAt ? `直链 ${new Date(linkExpiresAt).toISOString()} 过期` : '未解析到过期时间，按 downloadUrlTtlMs'}）`);
+        this._downloadUrlCache.set(cacheKey, { expiresAt, linkExpiresAt, value: result });
+        // 按 pickcode 查到的：同时按真实 id 缓存，之后用文件对象获取直链时直接命中
+        if (!fileIdStr && fileKey) {
+          this._downloadUrlCache.set(this._downloadUrlCacheKey(fileKey, pickcode, userAgentToUse), { expiresAt, linkExpiresAt, value: result });
+          this._rememberPickcode(pickcode, fileKey);
+        }
         return result;
-      });
+      })();
       this._downloadUrlInflight.set(cacheKey, p);
       try {
         return await p;
+      } catch (e) {
+        return fallback(e);
       } finally {
         this._downloadUrlInflight.delete(cacheKey);
       }
     } catch (error) {
       this.logger.error('获取下载链接失败:', error.message);
+      this._recordError('downurl', error);
       if (error.response) {
         this.logger.error('API响应:', JSON.stringify(error.response.data, null, 2));
       }
@@ -732,30 +1315,154 @@ export class Pan115API {
   }
 
   /**
-   * 搜索文件/文件夹
-   * @param {string} keyword - 搜索关键词
-   * @param {string} fileId - 在指定文件夹内搜索
-   * @returns {Promise<Array>}
+   * 按 id 获取文件（夹）详情（OpenAPI /open/folder/get_info），带缓存
+   * @param {string} fileId
+   * @returns {Promise<Object|null>} 与 formatFileList 结构一致，另有 realPath（网盘真实路径）；不存在返回 null
+   */
+  async getFileInfo(fileId) {
+    const key = String(fileId);
+    const cached = this._fileInfoCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      this._recordCache('fileInfo', true);
+      return cached.file;
+    }
+    this._recordCache('fileInfo', false);
+
+    const response = await this._request(() => this.requestWithAutoRefresh({
+      method: 'GET',
+      url: '/open/folder/get_info',
+      params: { file_id: key }
+    }), { endpoint: '/open/folder/get_info', limiter: this._listLimiter });
+
+    const data = response.data;
+    if (!data) throw new Error('API响应为空');
+    if (data.state === false || !data.data?.file_name) {
+      this.logger.log(`[API] 文件详情不存在 - fileId: ${key}, code: ${data.code ?? 'N/A'}`);
+      return null;
+    }
+
+    const d = data.data;
+    const parents = (d.paths || []).filter(p => String(p.file_id) !== '0').map(p => p.file_name);
+    const type = String(d.file_category) === '0' ? 'directory' : 'file';
+    const file = {
+      id: String(d.file_id || key),
+      name: d.file_name,
+      type,
+      size: type === 'file' ? (Number(d.size_byte) || 0) : 0,
+      mtime: this.parseTimestamp(d.utime || d.ptime),
+      sha1: d.sha1 || '',
+      pickcode: d.pick_code || '',
+      realPath: `/${[...parents, d.file_name].join('/')}`
+    };
+    this._fileInfoCache.set(key, { expiresAt: Date.now() + this.fileListTtlMs, file });
+    if (type === 'file') this._rememberPickcode(file.pickcode, file.id);
+    return file;
+  }
+
+  _rememberPickcode(pickcode, fileId) {
+    if (!pickcode || !fileId) return;
+    this._pickcodeIds.set(String(pickcode), { expiresAt: Date.now() + PICKCODE_ID_TTL_MS, id: String(fileId) });
+  }
+
+  /**
+   * 按 id 直接取文件（/__fid 路由），不逐级列目录；虚拟根目录之外 / 被过滤规则隐藏的返回 null
+   * @returns {Promise<Object|null>} path 为对外路径
+   */
+  async getFileById(fileId) {
+    const info = await this.getFileInfo(fileId);
+    if (!info || info.type !== 'file') return null;
+    const path = this.toExposedPath(info.realPath, 'file');
+    if (path === null) return null;
+    const { realPath, ...file } = info;
+    return { ...file, path };
+  }
+
+  /**
+   * 按 pickcode 直接取文件（/__pc 路由）
+   * - pickcode 索引里有（列过所在目录、取过详情或直链）：直接用文件详情接口，HEAD 不会触发获取直链
+   * - 没有时借获取直链拿到文件 id（直链同时进缓存，随后的下载直接命中）
+   * @param {string} pickcode
+   * @param {string} [clientUserAgent]
+   * @returns {Promise<Object|null>}
+   */
+  async getFileByPickcode(pickcode, clientUserAgent = null) {
+    const known = this._pickcodeIds.get(String(pickcode));
+    this._recordCache('pickcodeId', !!(known && known.expiresAt > Date.now()));
+    if (known && known.expiresAt > Date.now()) {
+      const file = await this.getFileById(known.id);
+      if (file && file.pickcode === pickcode) return file;
+      // 文件已删除 / 不再可见：索引作废，按直链重新确认
+      this._pickcodeIds.delete(String(pickcode));
+    }
+
+    const { fileId } = await this.getDownloadUrl('', pickcode, clientUserAgent);
+    if (!fileId) return null;
+    const file = await this.getFileById(fileId);
+    return file && file.pickcode === pickcode ? file : null;
+  }
+
+  /**
+   * 校验 OpenAPI token：调用一次轻量接口（/open/user/info），access_token 失效时会自动刷新
+   * 刷新失败或接口返回 state=false 时抛错
    */
-  async search(keyword, fileId = '0') {
+  async checkToken() {
+    if (!this.accessToken && !this.refreshToken) throw new Error('未配置 accessToken / refreshToken');
+
+    const response = await this._request(() => this.requestWithAutoRefresh({
+      method: 'GET',
+      url: '/open/user/info'
+    }), { endpoint: '/open/user/info' });
+
+    if (response.data?.state === false) {
+      throw new Error(response.data.message || `token 校验失败 (code: ${response.data.code || 'unknown'})`);
+    }
+    return true;
+  }
+
+  /**
+   * 搜索文件（自动翻页取全部结果）
+   * @param {string} keyword - 关键字
+   * @param {string} fileId - 在哪个目录下搜索（含子目录），默认整个网盘
+   * @param {Object} [opts]
+   * @param {number} [opts.type] - 115 文件类型：1 文档 / 2 图片 / 3 音乐 / 4 视频 / 5 压缩包 / 6 应用
+   * @param {number} [opts.maxResults] - 最多取多少条（防止关键字太宽时翻几十页）
+   * @returns {Promise<{files: Array, total: number}>} total 为 115 返回的总数（可能大于 files.length）
+   */
+  async search(keyword, fileId = '0', { type, maxResults = Infinity } = {}) {
     try {
-      this.logger.log(`[API] 搜索文件 - keyword: ${keyword}, fileId: ${fileId}`);
-      const response = await this.client.get('/files/search', {
-        params: {
-          aid: 1,
-          cid: fileId,
-          search_value: keyword,
-          offset: 0,
-          limit: 100
+      this.logger.log(`[API] 搜索文件 - keyword: ${keyword}, fileId: ${fileId}, type: ${type ?? '-'}`);
+      const pageSize = this.listPageSize;
+      const files = [];
+      let total = 0;
+      let offset = 0;
+
+      while (files.length < maxResults) {
+        const response = await this._request(() => this.client.get('/files/search', {
+          params: {
+            aid: 1,
+            cid: fileId,
+            search_value: keyword,
+            offset,
+            limit: pageSize,
+            ...(type ? { type } : {})
+          }
+        }), { endpoint: '/files/search', limiter: this._listLimiter });
+
+        const data = response.data;
+        if (!data || data.state === false) {
+          throw new Error(data?.error || `搜索失败 (errNo: ${data?.errNo ?? 'N/A'})`);
         }
-      });
 
-      if (response.data && response.data.state !== false && response.data.data) {
-        const files = this.formatFileList(response.data);
-        this.logger.log(`[API] 搜索结果数量: ${files.length}`);
-        return files;
+        const items = Array.isArray(data.data) ? data.data : [];
+        total = Number(data.count) || 0;
+        files.push(...this.formatFileList(data));
+        offset += items.length;
+
+        if (items.length === 0 || offset >= total) break;
       }
-      return [];
+
+      this.logger.log(`[API] 搜索结果数量: ${files.length} / count: ${total}`);
+      return { files: files.slice(0, maxResults), total };
     } catch (error) {
       this.logger.error('搜索失败:', error.message);
       throw error;
@@ -763,16 +1470,378 @@ export class Pan115API {
   }
 
   /**
-   * 根据路径获取文件信息
-   * @param {string} path - 文件路径
-   * @returns {Promise<Object|null>}
+   * 115 生活事件（上传、移动、改名、删除等操作记录），需要 cookie
+   * 只取变更监控用得到的字段；返回格式没有公开文档，解析不到的条目直接忽略
+   * @param {number} sinceSec - 只返回这个时间（unix 秒）之后的事件
+   * @returns {Promise<Array<{behavior: string, time: number, fileId: string, parentId: string, name: string}>>}
+   */
+  async getLifeEvents(sinceSec) {
+    if (!this.cookie) throw new Error('生活事件接口需要 cookie');
+
+    const response = await this._request(() => this.client.get('https://life.115.com/api/1.0/web/1.0/life/life_list', {
+      params: {
+        start: 0,
+        limit: 1000,
+        show_type: 0,
+        type: 0,
+        tab_type: 0,
+        start_time: Math.floor(sinceSec),
+        end_time: Math.floor(Date.now() / 1000)
+      }
+    }), { endpoint: '/life/life_list', limiter: this._listLimiter });
+
+    const data = response.data;
+    if (!data || data.state === false) {
+      throw new Error(data?.error || `获取生活事件失败 (errNo: ${data?.errNo ?? data?.code ?? 'N/A'})`);
+    }
+
+    const events = [];
+    for (const group of data.data?.list || []) {
+      for (const item of group.items || []) {
+        const time = Number(item.update_time || group.update_time || 0);
+        if (time && time < sinceSec) continue;
+        events.push({
+          behavior: String(group.behavior_type || ''),
+          time,
+          fileId: String(item.file_id ?? ''),
+          parentId: String(item.parent_id ?? item.cid ?? ''),
+          name: String(item.file_name || '')
+        });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * 在对外路径下搜索，并把结果换算成对外路径
+   * - 每个结果按父目录 id 反查完整路径（目录列表缓存 / 路径映射 / category/get）
+   * - 结果写入 pathToIdCache，之后 GET 搜索结果不必逐级列目录
+   * - 虚拟根目录之外、被过滤规则隐藏的结果丢弃
+   * @returns {Promise<{items: Array<{path: string, file: Object}>, total: number, truncated: boolean}|null>}
+   *          目录不存在返回 null；truncated 表示因 maxResults 没有取全
+   */
+  async searchPath(path, keyword, { type, maxResults = Infinity } = {}) {
+    const dir = await this.getFileByPath(path);
+    if (!dir || dir.type !== 'directory') return null;
+
+    const scopes = dir.virtual ? (await this.listDirectory(dir)).map(d => d.id) : [dir.id];
+    const dirPaths = new Map();
+    const items = [];
+    let total = 0;
+    let truncated = false;
+
+    for (const cid of scopes) {
+      if (items.length >= maxResults) {
+        truncated = true;
+        break;
+      }
+      const result = await this.search(keyword, cid, { type, maxResults: maxResults - items.length });
+      total += result.total;
+      truncated ||= result.total > result.files.length;
+
+      for (const file of result.files) {
+        const parentPath = await this._resolveDirPath(file.parentId, dirPaths);
+        if (parentPath === null) continue;
+
+        const realPath = parentPath === '/' ? `/${file.name}` : `${parentPath}/${file.name}`;
+        const exposed = this.toExposedPath(realPath, file.type);
+        if (exposed === null) continue;
+
+        this.pathToIdCache.set(realPath, { ...file, cachedAt: Date.now() });
+        items.push({ path: exposed, file });
+      }
+    }
+    return { items, total, truncated };
+  }
+
+  /**
+   * 目录 id -> 网盘真实路径
+   * @param {Map} memo - 本次搜索内的结果缓存
+   * @returns {Promise<string|null>}
+   */
+  async _resolveDirPath(cid, memo) {
+    const key = String(cid ?? '');
+    if (!key) return null;
+    if (key === '0') return '/';
+    if (memo.has(key)) return memo.get(key);
+
+    // 1) 该目录的列表缓存里带着路径
+    let p = this._fileListCache.get(key)?.path;
+
+    // 2) 路径映射缓存（首次用到时建一份 id -> path 反查表）
+    if (p === undefined) {
+      if (!memo.byId) {
+        memo.byId = new Map();
+        for (const [k, v] of this.pathToIdCache) if (v?.type === 'directory') memo.byId.set(String(v.id), k);
+      }
+      p = memo.byId.get(key);
+    }
+
+    // 3) 问 115：category/get 返回上级目录链
+    if (p === undefined) {
+      try {
+        const response = await this._request(() => this.client.get('/category/get', {
+          params: { aid: 1, cid: key }
+        }), { endpoint: '/category/get', limiter: this._listLimiter });
+        const data = response.data || {};
+        const names = (data.paths || []).filter(x => String(x.file_id) !== '0').map(x => x.file_name);
+        p = data.file_name ? `/${[...names, data.file_name].join('/')}` : null;
+      } catch (e) {
+        this.logger.warn(`[API] 解析目录路径失败 - cid: ${key}`, e.message);
+        p = null;
+      }
+    }
+
+    memo.set(key, p);
+    return p;
+  }
+
+  // =========================
+  // 写操作（webapi + cookie）
+  // 同样走 _listLimiter：写请求和列目录共用同一个 cookie 的风控额度
+  // =========================
+
+  /**
+   * 以表单方式调用 webapi 写接口
+   * @param {string} url - 接口路径
+   * @param {Object} params - 表单字段（值为数组时展开为 key[0]、key[1]…）
+   * @returns {Promise<Object>} response.data
+   */
+  async _postForm(url, params) {
+    const form = new URLSearchParams();
+    for (const [k, v] of Object.entries(params)) {
+      if (Array.isArray(v)) v.forEach((item, i) => form.append(`${k}[${i}]`, String(item)));
+      else form.append(k, String(v));
+    }
+
+    // 写操作不幂等：只在连接未建立时重试
+    const response = await this._request(() => this.client.post(url, form.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    }), { limiter: this._listLimiter, idempotent: false });
+
+    this.logger.log(`[API] ${url} 响应 - state: ${response.data?.state}, errno: ${response.data?.errno || response.data?.errNo || 'N/A'}`);
+
+    if (!response.data) throw new Error('API响应为空');
+    if (response.data.state === false) {
+      const errorMsg = response.data.error || response.data.message || `API错误 (errno: ${response.data.errno || response.data.errNo || 'unknown'})`;
+      throw new Error(errorMsg);
+    }
+    return response.data;
+  }
+
+  /**
+   * 新建文件夹
+   * @param {string} parentId - 父目录 cid
+   * @param {string} name - 文件夹名
+   * @returns {Promise<Object>} 新文件夹对象（与 formatFileList 结构一致）
+   */
+  async createFolder(parentId, name) {
+    this.logger.log(`[API] 新建文件夹 - pid: ${parentId}, name: ${name}`);
+    const data = await this._postForm('/files/add', { pid: parentId, cname: name });
+    this.invalidateFileListCacheById(parentId);
+
+    return {
+      id: String(data.cid || data.file_id || ''),
+      name: data.cname || data.file_name || name,
+      type: 'directory',
+      size: 0,
+      mtime: Date.now() / 1000,
+      pickcode: data.pickcode || '',
+      path: `/${name}`
+    };
+  }
+
+  /**
+   * 删除（移入 115 回收站）
+   * @param {string[]} ids - 文件/文件夹 id
+   * @param {string} parentId - 所在目录 cid
+   */
+  async deleteFiles(ids, parentId) {
+    this.logger.log(`[API] 删除(回收站) - ids: ${ids.join(',')}, pid: ${parentId}`);
+    await this._postForm('/rb/delete', { fid: ids, pid: parentId, ignore_warn: 1 });
+    this.invalidateFileListCacheById(parentId);
+  }
+
+  /**
+   * 移动到目标目录（id 不变）
+   * @param {string[]} ids - 文件/文件夹 id
+   * @param {string} targetId - 目标目录 cid
+   */
+  async moveFiles(ids, targetId) {
+    this.logger.log(`[API] 移动 - ids: ${ids.join(',')}, target: ${targetId}`);
+    await this._postForm('/files/move', { fid: ids, pid: targetId });
+    this.invalidateFileListCacheById(targetId);
+  }
+
+  /**
+   * 复制到目标目录（新副本会得到新 id）
+   * @param {string[]} ids - 文件/文件夹 id
+   * @param {string} targetId - 目标目录 cid
+   */
+  async copyFiles(ids, targetId) {
+    this.logger.log(`[API] 复制 - ids: ${ids.join(',')}, target: ${targetId}`);
+    await this._postForm('/files/copy', { fid: ids, pid: targetId });
+    this.invalidateFileListCacheById(targetId);
+  }
+
+  /**
+   * 重命名
+   * @param {string} id - 文件/文件夹 id
+   * @param {string} newName - 新名称
+   */
+  async renameFile(id, newName) {
+    this.logger.log(`[API] 重命名 - id: ${id}, name: ${newName}`);
+    await this._postForm('/files/batch_rename', { [`files_new_name[${id}]`]: newName });
+  }
+
+  // =========================
+  // 上传（OpenAPI：先尝试 SHA1 秒传，失败再走 OSS 分片上传）
+  // =========================
+
+  // OpenAPI 表单请求（带 token 自动刷新），与 downurl 共用 _downloadLimiter
+  async _openPostForm(url, params) {
+    const form = new URLSearchParams();
+    for (const [k, v] of Object.entries(params)) {
+      if (v !== undefined && v !== null && v !== '') form.append(k, String(v));
+    }
+
+    const response = await this._request(() => this.requestWithAutoRefresh({
+      method: 'POST',
+      url,
+      data: form.toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    }), { limiter: this._downloadLimiter, idempotent: false });
+
+    this.logger.log(`[API] ${url} 响应 - state: ${response.data?.state}, code: ${response.data?.code || 'N/A'}`);
+
+    if (!response.data) throw new Error('API响应为空');
+    if (response.data.state === false) {
+      throw new Error(response.data.message || `API错误 (code: ${response.data.code || 'unknown'})`);
+    }
+    const data = response.data.data;
+    return Array.isArray(data) ? (data[0] || {}) : (data || {});
+  }
+
+  // OpenAPI GET 请求（带 token 自动刷新）
+  async _openGet(url, params = {}) {
+    const response = await this._request(() => this.requestWithAutoRefresh({ method: 'GET', url, params }), { limiter: this._downloadLimiter });
+    if (!response.data) throw new Error('API响应为空');
+    if (response.data.state === false) {
+      throw new Error(response.data.message || `API错误 (code: ${response.data.code || 'unknown'})`);
+    }
+    const data = response.data.data;
+    return Array.isArray(data) ? (data[0] || {}) : (data || {});
+  }
+
+  /**
+   * 上传本地文件到指定目录
+   * @param {string} parentId - 目标目录 cid
+   * @param {string} name - 文件名
+   * @param {Object} file - spoolToTempFile 的结果
+   * @param {string} file.filePath - 本地文件路径
+   * @param {number} file.size - 文件大小
+   * @param {string} file.sha1 - 整个文件 SHA1（大写）
+   * @param {string} file.preid - 前 128KB SHA1（大写）
+   * @param {Object} [opts]
+   * @param {number} [opts.partSize] - OSS 分片大小（字节）
+   * @returns {Promise<{rapid: boolean, fileId: string, pickcode: string}>}
+   */
+  async uploadFile(parentId, name, { filePath, size, sha1, preid }, { partSize } = {}) {
+    this.logger.log(`[API] 上传文件 - pid: ${parentId}, name: ${name}, size: ${size}, sha1: ${sha1}`);
+
+    const base = {
+      file_name: name,
+      file_size: size,
+      target: `U_1_${parentId}`,
+      fileid: sha1,
+      preid
+    };
+
+    let init = await this._openPostForm('/open/upload/init', base);
+
+    // 二次校验：115 要求提供文件某一区间的 SHA1（sign_check = "start-end"）
+    for (let i = 0; i < 3 && init.sign_key && init.sign_check; i++) {
+      const [start, end] = String(init.sign_check).split('-').map(Number);
+      const signVal = await sha1OfRange(filePath, start, end);
+      this.logger.log(`[API] 上传二次校验 - range: ${init.sign_check}`);
+      init = await this._openPostForm('/open/upload/init', { ...base, sign_key: init.sign_key, sign_val: signVal });
+    }
+
+    // status 2：秒传成功
+    if (Number(init.status) === 2) {
+      this.logger.log(`[API] 秒传成功: ${name}`);
+      this.invalidateFileListCacheById(parentId);
+      return { rapid: true, fileId: String(init.file_id || ''), pickcode: init.pick_code || '' };
+    }
+
+    if (!init.bucket || !init.object) throw new Error('上传初始化失败：未返回 bucket/object');
+
+    // 普通上传：拿 STS 临时凭证直传 OSS，Complete 时由 OSS 回调 115 入库
+    const token = await this._openGet('/open/upload/get_token');
+    const oss = new OssMultipartUploader({
+      endpoint: token.endpoint,
+      bucket: init.bucket,
+      accessKeyId: token.AccessKeyId,
+      accessKeySecret: token.AccessKeySecret,
+      securityToken: token.SecurityToken,
+      debug: this.logger.debug
+    });
+
+    const cb = await oss.upload(init.object, filePath, size, {
+      partSize,
+      callback: init.callback?.callback,
+      callbackVar: init.callback?.callback_var
+    });
+
+    let result = cb;
+    if (typeof cb === 'string') {
+      try { result = JSON.parse(cb); } catch { result = {}; }
+    }
+    if (result?.state === false) {
+      throw new Error(result.message || `上传回调失败 (code: ${result.code || 'unknown'})`);
+    }
+
+    this.logger.log(`[API] 上传完成: ${name}`);
+    this.invalidateFileListCacheById(parentId);
+    return {
+      rapid: false,
+      fileId: String(result?.data?.file_id || init.file_id || ''),
+      pickcode: result?.data?.pick_code || init.pick_code || ''
+    };
+  }
+
+  /**
+   * 根据路径获取文件信息（逐级列目录，被过滤规则隐藏的条目视为不存在）
+   * @param {string} path - 对外路径（虚拟根目录之下）；"/" 返回根目录本身
+   * @returns {Promise<Object|null>} 多个虚拟根目录时的 "/" 返回 { virtual: true } 的目录对象
    */
   async getFileByPath(path) {
     this.logger.log(`[API] 根据路径获取文件 - path: ${path}`);
-    const parts = path.split('/').filter(p => p);
+
+    const realPath = this.toRealPath(path);
+    if (realPath === null) {
+      if (this.hasVirtualTop && String(path || '/').split('/').filter(Boolean).length === 0) {
+        return { id: null, name: '/', type: 'directory', size: 0, mtime: Date.now() / 1000, path: '/', virtual: true };
+      }
+      this.logger.log(`[API] 不在虚拟根目录下: ${path}`);
+      return null;
+    }
+
+    const parts = realPath.split('/').filter(p => p);
     let currentId = '0';
     let currentPath = '';
 
+    if (parts.length === 0) {
+      return { id: '0', name: '/', type: 'directory', size: 0, mtime: Date.now() / 1000, path: '/' };
+    }
+
+    // 路径映射缓存（列目录 / 搜索时写入）在目录列表 TTL 内直接使用，不必逐级列目录
+    const cached = this.getCachedPath(path);
+    if (cached && Date.now() - (cached.cachedAt ?? 0) < this.fileListTtlMs) {
+      this.logger.log(`[API] 路径映射命中: ${path} -> ${cached.id}`);
+      return cached;
+    }
+
     for (const part of parts) {
       this.logger.log(`[API] 查找路径部分: ${part}, 当前目录ID: ${currentId}`);
       const files = await this.getFileList(currentId);
@@ -791,6 +1860,7 @@ export class Pan115API {
       if (found.type === 'directory') {
         currentId = found.id;
         currentPath += `/${found.name}`;
+        if (this.roots.some(r => r.path === currentPath)) this._rootIds.set(currentPath, currentId);
         this.logger.log(`[API] 进入目录: ${found.name}, 新目录ID: ${currentId}`);
       } else {
         this.logger.log(`[API] 路径部分不是目录: ${part}`);
@@ -798,19 +1868,15 @@ export class Pan115API {
       }
     }
 
-    // 如果是目录路径
-    if (parts.length > 0) {
-      const files = await this.getFileList(currentId);
-      return {
-        id: currentId,
-        name: parts[parts.length - 1],
-        type: 'directory',
-        size: 0,
-        mtime: Date.now() / 1000,
-        path: currentPath
-      };
-    }
-
-    return null;
+    // 目录路径
+    await this.getFileList(currentId);
+    return {
+      id: currentId,
+      name: parts[parts.length - 1],
+      type: 'directory',
+      size: 0,
+      mtime: Date.now() / 1000,
+      path: currentPath
+    };
   }
 }
@@ -0,0 +1,320 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { Logger } from './logger.js';
+import { getBodyText } from './dav-xml.js';
+
+// 这些字段不在管理后台展示，也不允许通过管理后台修改
+const SECRET_KEYS = new Set(['cookie', 'accessToken', 'refreshToken', 'password', 'secret']);
+const MASK = '******';
+
+// 缓存树最多返回多少条路径
+const TREE_MAX_ITEMS = 5000;
+
+/**
+ * 内置管理后台（/__admin），使用独立的管理员账号密码
+ *
+ * - 查看/修改 config.json 中的非敏感字段（cookie / token / 密码既不展示也不可改）
+ * - 浏览 pathToIdCache 缓存的目录树，查看目录列表/下载链接缓存及剩余 TTL
+ * - 一键清缓存 / 预热目录，查看限流队列和最近错误
+ */
+export class AdminConsole {
+  /**
+   * @param {import('./webdav-server.js').WebDAVServer} server
+   * @param {Object} options
+   * @param {string} options.username
+   * @param {string} options.password
+   * @param {{load: Function, save: Function, validate?: Function}} [options.configStore] - 一般为 config.js 的 loadConfig / saveConfig / validateConfig
+   */
+  constructor(server, options = {}) {
+    this.server = server;
+    this.username = options.username || 'admin';
+    this.password = options.password || '';
+    this.configStore = options.configStore || null;
+
+    this.logger = new Logger(!!options.debug, 'admin');
+    this.router = this.createRouter();
+  }
+
+  get mounts() {
+    return this.server.mounts;
+  }
+
+  createRouter() {
+    const router = express.Router();
+    router.use(this.auth());
+
+    router.get('/', (req, res) => {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(ADMIN_PAGE);
+    });
+
+    router.get('/api/overview', (req, res) => {
+      return res.json({
+        ok: true,
+        uptimeSeconds: Math.round(process.uptime()),
+        readOnly: this.server.readOnly,
+        accounts: this.mounts.entries.map(({ name, api }) => ({
+          name,
+          limiters: api.limiterStats(),
+          throttles: api.throttleStats(),
+          inflight: { fileList: api._listInflight.size, downloadUrl: api._downloadUrlInflight.size },
+          health: {
+            lastListOkAt: this.iso(api.health.lastListOkAt),
+            lastDownurlOkAt: this.iso(api.health.lastDownurlOkAt),
+            tokenAgeSeconds: Math.round((Date.now() - api.health.tokenUpdatedAt) / 1000)
+          },
+          recentErrors: api.health.recentErrors.map(e => ({ ...e, at: this.iso(e.at) })).reverse()
+        }))
+      });
+    });
+
+    router.get('/api/config', (req, res) => {
+      if (!this.configStore) return res.status(404).json({ ok: false, error: '未提供配置读写' });
+      try {
+        return res.json({ ok: true, config: this.redact(this.configStore.load()) });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    });
+
+    // 保存配置：请求体为 JSON（可以是完整配置，也可以只包含要改的字段），敏感字段一律忽略
+    router.post('/api/config', (req, res) => {
+      if (!this.configStore) return res.status(404).json({ ok: false, error: '未提供配置读写' });
+
+      let patch;
+      try {
+        patch = JSON.parse(getBodyText(req) || '{}');
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: `JSON 解析失败: ${e.message}` });
+      }
+      if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        return res.status(400).json({ ok: false, error: '配置必须是 JSON 对象' });
+      }
+
+      try {
+        const merged = this.mergeNonSecret(this.configStore.load(), patch);
+        // 校验不通过不写文件
+        if (this.configStore.validate) {
+          try {
+            this.configStore.validate(merged);
+          } catch (e) {
+            return res.status(400).json({ ok: false, error: e.message });
+          }
+        }
+        const file = this.configStore.save(merged);
+        this.logger.info(`[Admin] 配置已保存: ${file}`);
+        return res.json({ ok: true, config: this.redact(merged) });
+      } catch (e) {
+        this.logger.error('[Admin] 保存配置失败:', e.message);
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    });
+
+    // 缓存的目录树（pathToIdCache），路径带上账号挂载前缀
+    router.get('/api/tree', (req, res) => {
+      const entries = [];
+      for (const { name, api } of this.selectAccounts(req)) {
+        for (const item of api.inspectCaches().pathToId) {
+          entries.push({ ...item, path: this.mounts.join(name, item.path) });
+        }
+      }
+      entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+      return res.json({
+        ok: true,
+        total: entries.length,
+        truncated: entries.length > TREE_MAX_ITEMS,
+        items: entries.slice(0, TREE_MAX_ITEMS)
+      });
+    });
+
+    router.get('/api/caches', (req, res) => {
+      return res.json({
+        ok: true,
+        accounts: this.selectAccounts(req).map(({ name, api }) => {
+          const { fileList, downloadUrl } = api.inspectCaches();
+          return { name, fileList, downloadUrl };
+        })
+      });
+    });
+
+    // 清缓存 / 预热：?path=/影视&prefetch=1
+    router.post('/api/refresh', async (req, res) => {
+      const path = this.server.normalizeDecodedPath(String(req.query.path ?? '/'));
+      const prefetch = String(req.query.prefetch || '') === '1';
+      try {
+        const result = await this.server.refreshPath(path, prefetch);
+        if (!result) return res.status(404).json({ ok: false, error: '目录不存在或不是目录' });
+        this.logger.info(`[Admin] ${prefetch ? '预热' : '清缓存'}: ${path}`);
+        return res.json(result);
+      } catch (e) {
+        this.logger.error('[Admin] 刷新失败:', e.message);
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    });
+
+    router.use((req, res) => res.status(404).json({ ok: false, error: 'Not Found' }));
+    return router;
+  }
+
+  // 独立的 Basic Auth（realm 与 WebDAV 不同，浏览器不会混用凭证）
+  auth() {
+    const expected = crypto.createHash('sha256').update(`${this.username}:${this.password}`).digest();
+
+    return (req, res, next) => {
+      const header = req.headers.authorization || '';
+      const decoded = header.startsWith('Basic ') ? Buffer.from(header.slice(6), 'base64').toString('utf-8') : '';
+      const actual = crypto.createHash('sha256').update(decoded).digest();
+
+      if (!decoded || !crypto.timingSafeEqual(actual, expected)) {
+        this.logger.log(`[Admin] 认证失败: ${req.method} ${req.originalUrl}`);
+        res.setHeader('WWW-Authenticate', 'Basic realm="115-webdav-admin"');
+        return res.status(401).send('Unauthorized');
+      }
+      next();
+    };
+  }
+
+  // ?account=<name> 只看某个账号，不传则全部
+  selectAccounts(req) {
+    if (req.query.account === undefined) return this.mounts.entries;
+    return this.mounts.entries.filter(e => e.name === String(req.query.account));
+  }
+
+  // 深拷贝并把敏感字段替换为掩码
+  redact(value) {
+    if (Array.isArray(value)) return value.map(v => this.redact(v));
+    if (!value || typeof value !== 'object') return value;
+
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SECRET_KEYS.has(k) && typeof v === 'string' ? (v ? MASK : '') : this.redact(v);
+    }
+    return out;
+  }
+
+  /**
+   * 把 patch 合并进当前配置，跳过敏感字段
+   * - 对象递归合并；对象数组（如多账号 pan115）按下标合并，保留原有敏感字段；其他数组整体替换
+   */
+  mergeNonSecret(target, patch) {
+    for (const [k, v] of Object.entries(patch)) {
+      if (SECRET_KEYS.has(k)) continue;
+
+      const tv = target[k];
+      if (Array.isArray(v) && Array.isArray(tv) && v.every(x => x && typeof x === 'object' && !Array.isArray(x))) {
+        target[k] = v.map((item, i) => this.mergeNonSecret(tv[i] && typeof tv[i] === 'object' ? tv[i] : {}, item));
+      } else if (v && typeof v === 'object' && !Array.isArray(v)) {
+        target[k] = this.mergeNonSecret(tv && typeof tv === 'object' && !Array.isArray(tv) ? tv : {}, v);
+      } else {
+        target[k] = v;
+      }
+    }
+    return target;
+  }
+
+  iso(ts) {
+    return ts ? new Date(ts).toISOString() : null;
+  }
+}
+
+const ADMIN_PAGE = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>115 WebDAV 管理后台</title>
+<style>
+body { font-family: sans-serif; margin: 16px; color: #222; }
+h2 { border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 28px; }
+table { border-collapse: collapse; font-size: 13px; }
+td, th { border: 1px solid #ddd; padding: 3px 8px; text-align: left; }
+textarea { width: 100%; height: 360px; font-family: monospace; font-size: 12px; }
+.tree { font-family: monospace; font-size: 13px; max-height: 420px; overflow: auto; border: 1px solid #ddd; padding: 6px; }
+.muted { color: #888; }
+button { margin-left: 4px; }
+</style></head>
+<body>
+<h1>115 WebDAV 管理后台</h1>
+
+<h2>运行状态 <button onclick="loadOverview()">刷新</button></h2>
+<div id="overview"></div>
+
+<h2>目录缓存操作</h2>
+<input id="refreshPath" value="/" size="50">
+<button onclick="refresh(false)">清缓存</button>
+<button onclick="refresh(true)">清缓存并预热</button>
+<span id="refreshResult" class="muted"></span>
+
+<h2>缓存目录树（pathToIdCache） <button onclick="loadTree()">刷新</button></h2>
+<div id="tree" class="tree"></div>
+
+<h2>目录列表 / 下载链接缓存 <button onclick="loadCaches()">刷新</button></h2>
+<div id="caches"></div>
+
+<h2>配置（config.json，敏感字段不展示、不可修改）</h2>
+<textarea id="config"></textarea><br>
+<button onclick="saveConfig()">保存</button> <span id="configResult" class="muted"></span>
+
+<script>
+const esc = s => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const api = async (url, opts) => (await fetch('/__admin' + url, opts)).json();
+const ttl = ms => ms > 0 ? Math.round(ms / 1000) + 's' : '<span class="muted">已过期</span>';
+
+async function loadOverview() {
+  const d = await api('/api/overview');
+  document.getElementById('overview').innerHTML = '<p>运行 ' + d.uptimeSeconds + 's，' + (d.readOnly ? '只读' : '可写') + '</p>' +
+    d.accounts.map(a => '<h3>' + esc(a.name || 'default') + '</h3><table><tr><th>限流器</th><th>排队</th><th>执行中</th><th>并发</th><th>间隔(ms)</th></tr>' +
+      Object.entries(a.limiters).map(([k, l]) => '<tr><td>' + k + '</td><td>' + l.queued + '</td><td>' + l.active + '</td><td>' + l.concurrency + '</td><td>' + l.minIntervalMs + '</td></tr>').join('') +
+      '</table><table><tr><th>风控</th><th>状态</th><th>附加延迟(ms)</th><th>连续信号</th><th>熔断剩余</th><th>最近信号</th></tr>' +
+      Object.entries(a.throttles).map(([k, t]) => '<tr><td>' + k + '</td><td>' + t.state + '</td><td>' + t.delayMs + '</td><td>' + t.strikes + '</td><td>' +
+        (t.retryInMs ? Math.ceil(t.retryInMs / 1000) + 's' : '-') + '</td><td>' + esc(t.lastSignal ? t.lastSignal.reason + ' @ ' + t.lastSignal.at : '-') + '</td></tr>').join('') +
+      '</table><p>合并中请求：列表 ' + a.inflight.fileList + '，直链 ' + a.inflight.downloadUrl +
+      '；最近列目录成功 ' + esc(a.health.lastListOkAt || '-') + '；最近获取直链成功 ' + esc(a.health.lastDownurlOkAt || '-') +
+      '；token 已使用 ' + a.health.tokenAgeSeconds + 's</p>' +
+      (a.recentErrors.length ? '<table><tr><th>时间</th><th>来源</th><th>错误</th></tr>' +
+        a.recentErrors.map(e => '<tr><td>' + esc(e.at) + '</td><td>' + esc(e.source) + '</td><td>' + esc(e.message) + '</td></tr>').join('') + '</table>'
+        : '<p class="muted">暂无错误</p>')).join('');
+}
+
+async function loadTree() {
+  const d = await api('/api/tree');
+  const html = d.items.map(i => {
+    const depth = i.path.split('/').length - 2;
+    const action = i.type === 'directory'
+      ? ' <a href="#" onclick="pick(' + esc(JSON.stringify(i.path)) + ');return false">选择</a>' : ' <span class="muted">' + i.size + '</span>';
+    return '<div style="padding-left:' + depth * 16 + 'px">' + (i.type === 'directory' ? '📁 ' : '📄 ') + esc(i.path.split('/').pop()) + action + '</div>';
+  }).join('');
+  document.getElementById('tree').innerHTML = (d.truncated ? '<p class="muted">仅显示前 ' + d.items.length + ' / ' + d.total + ' 条</p>' : '') + (html || '<span class="muted">空</span>');
+}
+
+function pick(path) {
+  document.getElementById('refreshPath').value = path;
+  document.getElementById('refreshPath').scrollIntoView();
+}
+
+async function loadCaches() {
+  const d = await api('/api/caches');
+  document.getElementById('caches').innerHTML = d.accounts.map(a => '<h3>' + esc(a.name || 'default') + '</h3>' +
+    '<table><tr><th>目录 cid</th><th>条目数</th><th>剩余 TTL</th></tr>' +
+    a.fileList.map(f => '<tr><td>' + esc(f.cid) + '</td><td>' + f.count + '</td><td>' + ttl(f.ttlMs) + '</td></tr>').join('') + '</table><br>' +
+    '<table><tr><th>文件 id</th><th>pickcode</th><th>UA</th><th>剩余 TTL</th></tr>' +
+    a.downloadUrl.map(u => '<tr><td>' + esc(u.fileId) + '</td><td>' + esc(u.pickcode) + '</td><td>' + esc(u.userAgent) + '</td><td>' + ttl(u.ttlMs) + '</td></tr>').join('') + '</table>').join('');
+}
+
+async function refresh(prefetch) {
+  const path = document.getElementById('refreshPath').value;
+  const d = await api('/api/refresh?path=' + encodeURIComponent(path) + (prefetch ? '&prefetch=1' : ''), { method: 'POST' });
+  document.getElementById('refreshResult').textContent = d.ok ? '完成' : ('失败：' + d.error);
+  loadCaches();
+}
+
+async function loadConfig() {
+  const d = await api('/api/config');
+  document.getElementById('config').value = d.ok ? JSON.stringify(d.config, null, 2) : d.error;
+}
+
+async function saveConfig() {
+  const d = await api('/api/config', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: document.getElementById('config').value });
+  document.getElementById('configResult').textContent = d.ok ? '已保存（自动热加载；端口、账号增删等需重启）' : ('保存失败：' + d.error);
+  if (d.ok) document.getElementById('config').value = JSON.stringify(d.config, null, 2);
+}
+
+loadOverview(); loadTree(); loadCaches(); loadConfig();
+</script>
+</body></html>`;
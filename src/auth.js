@@ -0,0 +1,178 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+
+/**
+ * WebDAV 多用户认证
+ *
+ * - 每个用户有自己的根目录（只能访问该目录以内，客户端看到的 / 就是它）和只读开关
+ * - 密码可以写明文，也可以写 scrypt 哈希（node index.js --hash-password 生成）：
+ *   scrypt$<N>$<r>$<p>$<salt(base64)>$<hash(base64)>
+ * - 比较一律用 timingSafeEqual；用户名不存在时也对一个假哈希算一遍，响应时间不暴露用户是否存在
+ * - scrypt 故意很慢，而 WebDAV 客户端每个请求都带 Basic Auth：验证通过的凭证按摘要缓存一段时间
+ */
+
+const SCRYPT_PREFIX = 'scrypt$';
+const SCRYPT_DEFAULTS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+// 验证通过的凭证缓存时长 / 上限
+const VERIFIED_TTL_MS = 5 * 60_000;
+const VERIFIED_MAX = 1000;
+
+function scrypt(password, salt, { N, r, p }, keyLength) {
+  // maxmem 默认 32MB，N / r 调大时不够用
+  return crypto.scryptSync(String(password), salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * 生成密码哈希
+ * @param {string} password
+ * @param {{N?: number, r?: number, p?: number}} [params]
+ * @returns {string} scrypt$N$r$p$salt$hash
+ */
+export function hashPassword(password, params = {}) {
+  const opts = { ...SCRYPT_DEFAULTS, ...params };
+  const salt = crypto.randomBytes(16);
+  const hash = scrypt(password, salt, opts, KEY_LENGTH);
+  return `${SCRYPT_PREFIX}${opts.N}$${opts.r}$${opts.p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export function isPasswordHash(value) {
+  return typeof value === 'string' && value.startsWith(SCRYPT_PREFIX);
+}
+
+/**
+ * 解析哈希字符串
+ * @returns {{N: number, r: number, p: number, salt: Buffer, hash: Buffer}}
+ * @throws {Error} 格式不对或参数超出范围
+ */
+export function parsePasswordHash(value) {
+  const parts = String(value).split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') throw new Error('格式应为 scrypt$N$r$p$salt$hash');
+
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  // N 必须是 2 的幂；上限防止配置写错把内存吃光
+  if (!Number.isInteger(N) || N < 2 || N > 2 ** 20 || (N & (N - 1)) !== 0) throw new Error(`N 必须是 2~2^20 之间 2 的幂（当前值: ${parts[1]}）`);
+  if (!Number.isInteger(r) || r < 1 || r > 32) throw new Error(`r 必须是 1~32 的整数（当前值: ${parts[2]}）`);
+  if (!Number.isInteger(p) || p < 1 || p > 16) throw new Error(`p 必须是 1~16 的整数（当前值: ${parts[3]}）`);
+
+  const salt = Buffer.from(parts[4], 'base64');
+  const hash = Buffer.from(parts[5], 'base64');
+  if (!salt.length || hash.length < 16) throw new Error('salt / hash 不是有效的 base64');
+  return { N, r, p, salt, hash };
+}
+
+/**
+ * 校验密码（常量时间）
+ * @param {string} password - 客户端提交的密码
+ * @param {string} stored - 配置里的明文或 scrypt 哈希
+ * @returns {boolean}
+ */
+export function verifyPassword(password, stored) {
+  if (isPasswordHash(stored)) {
+    let parsed;
+    try {
+      parsed = parsePasswordHash(stored);
+    } catch {
+      return false;
+    }
+    const actual = scrypt(password, parsed.salt, parsed, parsed.hash.length);
+    return crypto.timingSafeEqual(actual, parsed.hash);
+  }
+  // 明文：先各自做摘要，长度一致才能 timingSafeEqual
+  const a = crypto.createHash('sha256').update(String(password)).digest();
+  const b = crypto.createHash('sha256').update(String(stored ?? '')).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// 用户根目录规范化：/ 开头、无末尾 /、. 和 .. 按路径语义处理
+export function normalizeRoot(root) {
+  const p = path.posix.normalize(`/${String(root || '/')}`);
+  return p.length > 1 && p.endsWith('/') ? p.slice(0, -1) : p;
+}
+
+/**
+ * webdav.users 整体校验（config-schema 的 check）：必填项、用户名不能重复 / 含冒号、哈希格式
+ * @throws {Error}
+ */
+export function checkUsers(users) {
+  const seen = new Set();
+  users.forEach((u, i) => {
+    if (!u.username) throw new Error(`[${i}].username 不能为空`);
+    if (u.username.includes(':')) throw new Error(`[${i}].username 不能包含 ":"（Basic Auth 以第一个冒号分隔用户名和密码）`);
+    if (seen.has(u.username)) throw new Error(`[${i}].username 与其他用户重名（${JSON.stringify(u.username)}）`);
+    seen.add(u.username);
+
+    if (!u.password) throw new Error(`[${i}].password 不能为空`);
+    if (isPasswordHash(u.password)) {
+      try { parsePasswordHash(u.password); } catch (e) { throw new Error(`[${i}].password 哈希无效（${e.message}）`); }
+    }
+  });
+}
+
+export class UserStore {
+  /**
+   * @param {Object} [options] - 见 configure
+   */
+  constructor(options = {}) {
+    this.users = new Map();
+    this._verified = new Map(); // sha256(用户名 + 密码) -> { user, expiresAt }
+    this.configure(options);
+  }
+
+  /**
+   * 更新用户列表（热加载时调用，清空已验证缓存）
+   * @param {Object} [options]
+   * @param {Array<{username: string, password: string, root?: string, readOnly?: boolean}>} [options.users]
+   *        多用户；非空时忽略 username / password
+   * @param {string} [options.username] - 旧的单用户配置：根目录为 /，读写权限跟随全局 readOnly
+   * @param {string} [options.password]
+   */
+  configure({ users, username, password } = {}) {
+    const list = users?.length
+      ? users
+      : [{ username: username ?? 'admin', password: password ?? 'admin' }];
+
+    this.users = new Map(list.map(u => [u.username, {
+      username: u.username,
+      password: u.password,
+      root: normalizeRoot(u.root),
+      // undefined = 跟随全局 webdav.readOnly
+      readOnly: typeof u.readOnly === 'boolean' ? u.readOnly : undefined
+    }]));
+    this._verified.clear();
+
+    // 不存在的用户也要走一遍同类校验；配置里有哈希就用哈希，全是明文就用明文
+    const hashed = list.some(u => isPasswordHash(u.password));
+    this._dummy = hashed ? hashPassword(crypto.randomBytes(16).toString('hex')) : crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * 校验用户名和密码
+   * @returns {{username: string, root: string, readOnly: boolean|undefined}|null} 不通过返回 null
+   */
+  authenticate(username, password) {
+    const key = crypto.createHash('sha256').update(`${username}\0${password}`).digest('hex');
+    const now = Date.now();
+
+    const hit = this._verified.get(key);
+    if (hit && hit.expiresAt > now && this.users.get(username) === hit.user) return this.publicUser(hit.user);
+
+    const user = this.users.get(username);
+    const ok = verifyPassword(password, user ? user.password : this._dummy);
+    if (!user || !ok) return null;
+
+    if (this._verified.size >= VERIFIED_MAX) this._verified.clear();
+    this._verified.set(key, { user, expiresAt: now + VERIFIED_TTL_MS });
+    return this.publicUser(user);
+  }
+
+  // 不带密码的用户信息（挂到 req 上 / 打日志用）
+  publicUser({ username, root, readOnly }) {
+    return { username, root, readOnly };
+  }
+
+  list() {
+    return [...this.users.values()].map(u => this.publicUser(u));
+  }
+}
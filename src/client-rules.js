@@ -0,0 +1,102 @@
+import net from 'node:net';
+import path from 'node:path';
+import { compileRule } from './path-rules.js';
+import { parseIpRanges, normalizeIp } from './signer.js';
+
+/**
+ * 客户端规则（webdav.clientRules）：按 UA / IP / 用户 / 路径决定 GET 下载怎么处理
+ *
+ * - 按顺序匹配，第一条命中的规则生效；一条规则里写了的条件必须全部满足，没写的不限制
+ * - userAgent：正则（不区分大小写）；ip：IP / CIDR，逗号分隔；user：WebDAV 用户名；
+ *   path：同 pan115.include / exclude 的写法，匹配完整 WebDAV 路径（多账号时含挂载名）
+ * - action：redirect = 302 到直链；proxy = 代理转发；forbid = 403；placeholder = 返回占位内容，不请求 115
+ * - downloadUserAgent：获取直链时用这个 UA 代替客户端的 UA
+ * - webdav.blockGoHttpClient 是一条内置规则，排在所有规则前面
+ */
+
+export const CLIENT_ACTIONS = ['redirect', 'proxy', 'forbid', 'placeholder'];
+
+export const BLOCK_GO_HTTP_CLIENT_RULE = {
+  name: 'blockGoHttpClient',
+  userAgent: '^Go-http-client/1\\.1$',
+  action: 'forbid'
+};
+
+/**
+ * webdav.clientRules 整体校验（config-schema 的 check）
+ * @throws {Error}
+ */
+export function checkClientRules(rules) {
+  const seen = new Set();
+  rules.forEach((r, i) => {
+    if (!r.action) throw new Error(`[${i}].action 不能为空（${CLIENT_ACTIONS.join(' / ')}）`);
+    if (r.name) {
+      if (seen.has(r.name)) throw new Error(`[${i}].name 与其他规则重名（${JSON.stringify(r.name)}）`);
+      seen.add(r.name);
+    }
+    if (r.ip) {
+      try { parseIpRanges(r.ip); } catch (e) { throw new Error(`[${i}].ip 无效（${e.message}）`); }
+    }
+    if (r.placeholderFile && r.action !== 'placeholder') throw new Error(`[${i}].placeholderFile 只对 action = "placeholder" 生效`);
+  });
+}
+
+function compileClientRule(rule, index) {
+  return {
+    name: rule.name || `#${index + 1}`,
+    action: rule.action,
+    userAgent: rule.userAgent ? new RegExp(rule.userAgent, 'i') : null,
+    ip: rule.ip ? parseIpRanges(rule.ip) : null,
+    user: rule.user || null,
+    path: rule.path ? compileRule(rule.path) : null,
+    downloadUserAgent: rule.downloadUserAgent || '',
+    placeholderFile: rule.placeholderFile ? path.resolve(rule.placeholderFile) : ''
+  };
+}
+
+export class ClientPolicy {
+  /**
+   * @param {Object} [options] - 见 configure
+   */
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * 更新规则（热加载时调用，只更新传入的字段）
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.rules] - webdav.clientRules
+   * @param {boolean} [options.blockGoHttpClient] - 启用内置的 Go-http-client/1.1 拦截规则
+   */
+  configure({ rules, blockGoHttpClient } = {}) {
+    this.ruleConfig = rules ?? this.ruleConfig ?? [];
+    this.blockGoHttpClient = blockGoHttpClient ?? this.blockGoHttpClient ?? false;
+
+    // 内置规则不参与自动编号，#1 始终对应 clientRules[0]
+    const builtin = this.blockGoHttpClient ? [compileClientRule(BLOCK_GO_HTTP_CLIENT_RULE, 0)] : [];
+    this.rules = [...builtin, ...this.ruleConfig.map(compileClientRule)];
+  }
+
+  /**
+   * 找第一条命中的规则
+   * @param {Object} ctx
+   * @param {string} ctx.userAgent
+   * @param {string} ctx.ip - 客户端 IP
+   * @param {string} [ctx.user] - WebDAV 用户名（签名 URL 请求没有用户，写了 user 的规则不会命中）
+   * @param {string} ctx.path - 完整 WebDAV 路径
+   * @returns {Object|null}
+   */
+  match({ userAgent, ip, user, path: fullPath }) {
+    for (const rule of this.rules) {
+      if (rule.userAgent && !rule.userAgent.test(userAgent || '')) continue;
+      if (rule.user && rule.user !== user) continue;
+      if (rule.ip) {
+        const addr = normalizeIp(ip);
+        if (!net.isIP(addr) || !rule.ip.check(addr, net.isIPv4(addr) ? 'ipv4' : 'ipv6')) continue;
+      }
+      if (rule.path && !rule.path.re.test(rule.path.byName ? fullPath.split('/').pop() : fullPath)) continue;
+      return rule;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,327 @@
+import { compileRule, normalizeRoots } from './path-rules.js';
+import { checkUsers } from './auth.js';
+import { checkSignKeys } from './signer.js';
+import { LEVELS, LOG_MODULES } from './logger.js';
+import { CLIENT_ACTIONS, checkClientRules } from './client-rules.js';
+
+const LOG_LEVELS = Object.keys(LEVELS);
+
+/**
+ * config.json 的声明式 schema：类型 / 取值范围 / 枚举，以及环境变量、命令行覆盖时的类型转换
+ *
+ * 字段类型：
+ * - string / boolean / integer（min、max）/ enum（values）/ array（items）/ object（fields）
+ * - accounts：pan115 专用，单账号对象或多账号数组（每项需要 name）
+ *
+ * 额外标记：
+ * - format: 'url' | 'regex' | 'pathRule' | 'keyId'：字符串格式校验（pathRule 见 path-rules.js，keyId 见 signer.js）
+ * - initialOnly：环境变量/命令行只在文件里的值为空时生效（token 会轮换，刷新后以文件为准）
+ */
+
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const bool = () => ({ type: 'boolean' });
+const int = (min, max) => ({ type: 'integer', min, max });
+const oneOf = (...values) => ({ type: 'enum', values });
+const list = (items) => ({ type: 'array', items });
+const obj = (fields) => ({ type: 'object', fields });
+
+export const ACCOUNT_SCHEMA = obj({
+  name: str(),
+  cookie: str(),
+  baseURL: str({ format: 'url' }),
+  accessToken: str({ initialOnly: true }),
+  refreshToken: str({ initialOnly: true }),
+  appId: str(),
+  qrcodeApp: str(),
+  listConcurrency: int(1, 16),
+  listMinIntervalMs: int(0, 60_000),
+  fileListTtlMs: int(0),
+  downloadUrlTtlMs: int(0),
+  downloadUrlExpiryMarginMs: int(0),
+  roots: { ...list(str({ minLength: 1 })), check: normalizeRoots },
+  include: list(str({ format: 'pathRule' })),
+  exclude: list(str({ format: 'pathRule' }))
+});
+
+export const CONFIG_SCHEMA = obj({
+  debug: bool(),
+  pan115: { type: 'accounts', item: ACCOUNT_SCHEMA },
+  webdav: obj({
+    port: int(1, 65535),
+    username: str({ minLength: 1 }),
+    password: str(),
+    users: {
+      ...list(obj({
+        username: str({ minLength: 1 }),
+        password: str({ minLength: 1 }),
+        root: str({ minLength: 1 }),
+        readOnly: bool()
+      })),
+      check: checkUsers
+    },
+    blockGoHttpClient: bool(),
+    clientRules: {
+      ...list(obj({
+        name: str(),
+        userAgent: str({ format: 'regex' }),
+        ip: str(),
+        user: str(),
+        path: str({ format: 'pathRule' }),
+        action: oneOf(...CLIENT_ACTIONS),
+        downloadUserAgent: str(),
+        placeholderFile: str()
+      })),
+      check: checkClientRules
+    },
+    readOnly: bool(),
+    proxy: obj({
+      mode: oneOf('redirect', 'proxy'),
+      userAgents: list(str({ format: 'regex' })),
+      allowQuery: bool(),
+      maxRetries: int(0, 10),
+      timeoutMs: int(1000),
+      verifyCachedLinks: bool()
+    }),
+    upload: obj({
+      tempDir: str(),
+      partSize: int(100 * 1024, 5 * 1024 * 1024 * 1024)
+    }),
+    propfind: obj({
+      allowInfinity: bool(),
+      infinityMaxItems: int(1)
+    }),
+    search: obj({
+      maxResults: int(1, 100_000)
+    })
+  }),
+  cache: obj({
+    persistent: bool(),
+    file: str(),
+    flushIntervalMs: int(100)
+  }),
+  strm: obj({
+    enabled: bool(),
+    outputDir: str({ minLength: 1 }),
+    baseUrl: str({ format: 'url' }),
+    folders: list(str({ minLength: 1 })),
+    videoExtensions: list(str()),
+    sidecarExtensions: list(str()),
+    sidecarMode: oneOf('copy', 'skip'),
+    urlMode: oneOf('path', 'pickcode'),
+    signed: bool(),
+    signTtlSec: int(60),
+    intervalMs: int(0)
+  }),
+  watch: obj({
+    enabled: bool(),
+    folders: list(str({ minLength: 1 })),
+    intervalMs: int(0),
+    source: oneOf('poll', 'life'),
+    fullScanIntervalMs: int(0),
+    maxDirs: int(1),
+    syncStrm: bool()
+  }),
+  admin: obj({
+    enabled: bool(),
+    username: str({ minLength: 1 }),
+    password: str()
+  }),
+  health: obj({
+    intervalMs: int(0)
+  }),
+  throttle: obj({
+    baseDelayMs: int(0, 600_000),
+    maxDelayMs: int(0, 600_000),
+    threshold: int(1, 100),
+    openMs: int(1000),
+    maxOpenMs: int(1000),
+    probeIntervalMs: int(0),
+    staleMaxAgeMs: int(0),
+    riskCodes: list(int(0))
+  }),
+  retry: obj({
+    maxRetries: int(0, 10),
+    baseDelayMs: int(0, 60_000),
+    maxDelayMs: int(0, 600_000),
+    timeoutMs: int(1000, 600_000)
+  }),
+  sign: obj({
+    secret: str(),
+    keyId: str({ format: 'keyId' }),
+    previousKeys: {
+      ...list(obj({
+        keyId: str({ format: 'keyId' }),
+        secret: str({ minLength: 1 }),
+        validUntil: str({ minLength: 1 })
+      })),
+      check: checkSignKeys
+    },
+    defaultTtlSec: int(1),
+    maxTtlSec: int(1),
+    trustProxy: bool()
+  }),
+  logging: obj({
+    level: oneOf(...LOG_LEVELS),
+    format: oneOf('text', 'json'),
+    modules: obj(Object.fromEntries(LOG_MODULES.map(m => [m, oneOf(...LOG_LEVELS)]))),
+    file: obj({
+      path: str(),
+      rotate: oneOf('size', 'daily'),
+      maxSizeMb: int(1),
+      maxFiles: int(0, 1000)
+    }),
+    accessLog: obj({
+      enabled: bool(),
+      path: str()
+    })
+  })
+});
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const show = (v) => JSON.stringify(v);
+
+/**
+ * 按 schema 校验配置
+ * @returns {{errors: string[], warnings: string[]}} 错误信息都以出错的 key 开头
+ */
+export function validateSchema(value, schema = CONFIG_SCHEMA, key = '') {
+  const result = { errors: [], warnings: [] };
+  checkNode(value, schema, key, result);
+  return result;
+}
+
+function checkNode(v, schema, key, result) {
+  const { errors, warnings } = result;
+  const label = key || '(根)';
+
+  switch (schema.type) {
+    case 'object': {
+      if (!isPlainObject(v)) return errors.push(`${label}: 必须是对象（当前值: ${show(v)}）`);
+      for (const [k, sub] of Object.entries(schema.fields)) {
+        if (v[k] !== undefined) checkNode(v[k], sub, key ? `${key}.${k}` : k, result);
+      }
+      for (const k of Object.keys(v)) {
+        if (!schema.fields[k]) warnings.push(`${key ? `${key}.` : ''}${k}: 未知配置项，将被忽略`);
+      }
+      return;
+    }
+    case 'accounts': {
+      if (isPlainObject(v)) return checkNode(v, schema.item, key, result);
+      if (!Array.isArray(v)) return errors.push(`${label}: 必须是账号对象或账号数组`);
+      if (v.length === 0) return errors.push(`${label}: 至少需要一个账号`);
+
+      const seen = new Set();
+      v.forEach((acc, i) => {
+        const k = `${key}[${i}]`;
+        checkNode(acc, schema.item, k, result);
+        const name = isPlainObject(acc) ? acc.name : undefined;
+        if (typeof name !== 'string' || !name) errors.push(`${k}.name: 多账号时必须填写挂载目录名`);
+        else if (name.includes('/')) errors.push(`${k}.name: 不能包含 "/"（当前值: ${show(name)}）`);
+        else if (seen.has(name)) errors.push(`${k}.name: 与其他账号重名（${show(name)}）`);
+        seen.add(name);
+      });
+      return;
+    }
+    case 'array': {
+      if (!Array.isArray(v)) return errors.push(`${label}: 必须是数组（当前值: ${show(v)}）`);
+      v.forEach((item, i) => checkNode(item, schema.items, `${key}[${i}]`, result));
+      // 整体校验（如虚拟根目录名称不能重复），check 抛错即不通过
+      if (schema.check && !errors.some(e => e.startsWith(`${key}[`))) {
+        try { schema.check(v); } catch (e) { errors.push(`${label}: ${e.message}`); }
+      }
+      return;
+    }
+    case 'string': {
+      if (typeof v !== 'string') return errors.push(`${label}: 必须是字符串（当前值: ${show(v)}）`);
+      if (schema.minLength && v.length < schema.minLength) return errors.push(`${label}: 不能为空`);
+      if (schema.format === 'url' && v && !/^https?:\/\/[^\s/]+/i.test(v)) {
+        return errors.push(`${label}: 必须是 http(s) 地址（当前值: ${show(v)}）`);
+      }
+      if (schema.format === 'regex') {
+        try { new RegExp(v); } catch (e) { return errors.push(`${label}: 不是合法的正则表达式（${e.message}）`); }
+      }
+      if (schema.format === 'keyId' && !/^[\w.-]{1,32}$/.test(v)) {
+        return errors.push(`${label}: 只能是 1~32 位字母、数字、_ . -（当前值: ${show(v)}）`);
+      }
+      if (schema.format === 'pathRule') {
+        try { compileRule(v); } catch (e) { return errors.push(`${label}: 规则无效（${e.message}）`); }
+      }
+      return;
+    }
+    case 'boolean':
+      if (typeof v !== 'boolean') errors.push(`${label}: 必须是 true / false（当前值: ${show(v)}）`);
+      return;
+    case 'integer': {
+      const range = schema.max !== undefined ? `${schema.min}~${schema.max} 之间的整数` : `>= ${schema.min} 的整数`;
+      if (!Number.isInteger(v) || v < schema.min || (schema.max !== undefined && v > schema.max)) {
+        errors.push(`${label}: 必须是 ${range}（当前值: ${show(v)}）`);
+      }
+      return;
+    }
+    case 'enum':
+      if (!schema.values.includes(v)) errors.push(`${label}: 只能是 ${schema.values.map(show).join(' / ')}（当前值: ${show(v)}）`);
+      return;
+    default:
+      return;
+  }
+}
+
+/**
+ * 把环境变量/命令行里的字符串转换成 schema 要求的类型
+ * @throws {Error} 无法转换时
+ */
+export function coerceValue(raw, schema, source) {
+  const s = String(raw).trim();
+  switch (schema.type) {
+    case 'integer': {
+      const n = Number(s.replace(/_/g, ''));
+      if (!Number.isInteger(n)) throw new Error(`${source}: 需要整数（当前值: ${show(raw)}）`);
+      return n;
+    }
+    case 'boolean': {
+      const t = s.toLowerCase();
+      if (['1', 'true', 'yes', 'on'].includes(t)) return true;
+      if (['0', 'false', 'no', 'off'].includes(t)) return false;
+      throw new Error(`${source}: 需要 true / false（当前值: ${show(raw)}）`);
+    }
+    case 'array': {
+      // JSON 数组，或逗号分隔
+      if (s.startsWith('[')) {
+        try { return JSON.parse(s); } catch (e) { throw new Error(`${source}: JSON 数组解析失败（${e.message}）`); }
+      }
+      const items = s ? s.split(',').map(x => x.trim()).filter(Boolean) : [];
+      return items.map(x => coerceValue(x, schema.items, source));
+    }
+    default:
+      return String(raw);
+  }
+}
+
+// 按 key 路径（如 ['webdav', 'proxy', 'mode']）找到叶子 schema；账号字段用 ACCOUNT_SCHEMA
+export function schemaAt(segments) {
+  let node = CONFIG_SCHEMA;
+  for (const seg of segments) {
+    if (node.type === 'accounts') {
+      if (/^\d+$/.test(seg)) continue; // pan115.0.cookie
+      node = node.item;
+    }
+    if (node.type !== 'object' || !node.fields[seg]) return null;
+    node = node.fields[seg];
+  }
+  return node.type === 'object' || node.type === 'accounts' ? null : node;
+}
+
+/**
+ * 列出所有可覆盖的叶子字段
+ * @returns {Array<{path: string[], schema: Object, account: boolean}>} account=true 表示 pan115 下的账号字段
+ */
+export function listLeaves(schema = CONFIG_SCHEMA, prefix = []) {
+  const out = [];
+  for (const [k, sub] of Object.entries(schema.fields)) {
+    if (sub.type === 'object') out.push(...listLeaves(sub, [...prefix, k]));
+    else if (sub.type === 'accounts') {
+      for (const [ak, asub] of Object.entries(sub.item.fields)) out.push({ path: [...prefix, k, ak], schema: asub, account: true });
+    } else out.push({ path: [...prefix, k], schema: sub, account: false });
+  }
+  return out;
+}
@@ -0,0 +1,243 @@
+/**
+ * WebDAV 请求体用的极简 XML 解析（不引入第三方依赖）
+ *
+ * 只覆盖 WebDAV 请求体需要的部分：元素、属性、文本、命名空间（xmlns / xmlns:p）。
+ * 解析结果：{ name, ns, attrs, children, text }，name 为去掉前缀的本地名，ns 为命名空间 URI。
+ */
+
+export const DAV_NS = 'DAV:';
+
+export class XmlParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XmlParseError';
+  }
+}
+
+const TOKEN_RE = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTR_RE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// 字符引用 -> 字符；不是 XML 允许的字符（超出 0x10FFFF、代理区、控制字符）按解析错误处理
+function fromCharRef(ref, code) {
+  const ok = code === 0x9 || code === 0xA || code === 0xD ||
+    (code >= 0x20 && code <= 0xD7FF) || (code >= 0xE000 && code <= 0xFFFD) || (code >= 0x10000 && code <= 0x10FFFF);
+  if (!ok) throw new XmlParseError(`无效的字符引用: ${ref}`);
+  return String.fromCodePoint(code);
+}
+
+/**
+ * 还原实体和字符引用
+ * @throws {XmlParseError} 字符引用超出范围
+ */
+export function unescapeXml(str) {
+  return String(str)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (ref, h) => fromCharRef(ref, parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (ref, d) => fromCharRef(ref, parseInt(d, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function splitName(qname) {
+  const i = qname.indexOf(':');
+  return i >= 0 ? [qname.slice(0, i), qname.slice(i + 1)] : ['', qname];
+}
+
+/**
+ * 解析 XML 文本
+ * @param {string} text
+ * @returns {{name: string, ns: string, attrs: Object, children: Array, text: string}}
+ * @throws {XmlParseError}
+ */
+export function parseXml(text) {
+  const stack = [];
+  // 命名空间作用域：prefix -> uri，每层元素一个
+  const scopes = [{ xml: 'http://www.w3.org/XML/1998/namespace' }];
+  let root = null;
+
+  const lookup = (prefix) => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (Object.prototype.hasOwnProperty.call(scopes[i], prefix)) return scopes[i][prefix];
+    }
+    if (prefix) throw new XmlParseError(`未声明的命名空间前缀: ${prefix}`);
+    return '';
+  };
+
+  TOKEN_RE.lastIndex = 0;
+  let m;
+  while ((m = TOKEN_RE.exec(text)) !== null) {
+    const [, cdata, closeName, openName, attrText, selfClose, chars] = m;
+
+    if (chars !== undefined || cdata !== undefined) {
+      const t = cdata !== undefined ? cdata : unescapeXml(chars);
+      if (stack.length) stack[stack.length - 1].text += t;
+      else if (t.trim()) throw new XmlParseError('根元素之外出现文本');
+      continue;
+    }
+
+    if (closeName !== undefined) {
+      const el = stack.pop();
+      if (!el || el.qname !== closeName) throw new XmlParseError(`标签不匹配: </${closeName}>`);
+      scopes.pop();
+      continue;
+    }
+
+    if (openName === undefined) continue; // 注释 / 声明 / DOCTYPE
+
+    const attrs = {};
+    const scope = {};
+    ATTR_RE.lastIndex = 0;
+    let a;
+    while ((a = ATTR_RE.exec(attrText || '')) !== null) {
+      const value = unescapeXml(a[2] !== undefined ? a[2] : a[3]);
+      if (a[1] === 'xmlns') scope[''] = value;
+      else if (a[1].startsWith('xmlns:')) scope[a[1].slice(6)] = value;
+      else attrs[a[1]] = value;
+    }
+    scopes.push(scope);
+
+    const [prefix, local] = splitName(openName);
+    const el = { qname: openName, name: local, ns: lookup(prefix), attrs, children: [], text: '' };
+
+    if (stack.length) stack[stack.length - 1].children.push(el);
+    else if (root) throw new XmlParseError('存在多个根元素');
+    else root = el;
+
+    if (selfClose) scopes.pop();
+    else stack.push(el);
+  }
+
+  if (stack.length) throw new XmlParseError(`标签未闭合: <${stack[stack.length - 1].qname}>`);
+  if (!root) throw new XmlParseError('缺少根元素');
+  return root;
+}
+
+// 找第一个指定命名空间 + 本地名的子元素
+export function findChild(el, ns, name) {
+  return el?.children.find(c => c.ns === ns && c.name === name) || null;
+}
+
+/**
+ * 取请求体文本（express.raw 给的是 Buffer，没有 body 时是 {}）
+ * @returns {string}
+ */
+export function getBodyText(req) {
+  const body = req.body;
+  if (Buffer.isBuffer(body)) return body.toString('utf-8');
+  if (typeof body === 'string') return body;
+  return '';
+}
+
+/**
+ * 解析 PROPFIND 请求体
+ * - 空 body 等同 allprop（RFC 4918 9.1）
+ * @returns {{mode: 'allprop'|'propname'|'prop', props: Array<{ns: string, name: string}>}}
+ *          allprop 时 props 为 <include> 中额外请求的属性
+ * @throws {XmlParseError}
+ */
+export function parsePropfindRequest(text) {
+  if (!text || !text.trim()) return { mode: 'allprop', props: [] };
+
+  const root = parseXml(text);
+  if (root.ns !== DAV_NS || root.name !== 'propfind') {
+    throw new XmlParseError('根元素必须是 DAV:propfind');
+  }
+
+  const propsOf = (el) => (el ? el.children.map(c => ({ ns: c.ns, name: c.name })) : []);
+
+  if (findChild(root, DAV_NS, 'propname')) return { mode: 'propname', props: [] };
+  if (findChild(root, DAV_NS, 'allprop')) {
+    return { mode: 'allprop', props: propsOf(findChild(root, DAV_NS, 'include')) };
+  }
+
+  const prop = findChild(root, DAV_NS, 'prop');
+  if (prop) return { mode: 'prop', props: propsOf(prop) };
+
+  throw new XmlParseError('propfind 中缺少 allprop / propname / prop');
+}
+
+/**
+ * 解析 SEARCH 请求体（RFC 5323 DAV:basicsearch）
+ *
+ * 支持的子集：
+ * - select：allprop / prop
+ * - from：一个或多个 scope（href + depth，depth 缺省为 infinity）
+ * - where：like / contains 取关键字（like 中的 % 和 _ 当作分隔），
+ *   可用 and 组合 is-collection / not(is-collection) 限定只要目录或只要文件
+ * - limit/nresults
+ * @returns {{mode: 'allprop'|'prop', props: Array, scopes: Array<{href: string, depth: string}>,
+ *           keyword: string, collection: boolean|null, limit: number|null}}
+ * @throws {XmlParseError}
+ */
+export function parseSearchRequest(text) {
+  if (!text || !text.trim()) throw new XmlParseError('SEARCH 请求体为空');
+
+  const root = parseXml(text);
+  if (root.ns !== DAV_NS || root.name !== 'searchrequest') {
+    throw new XmlParseError('根元素必须是 DAV:searchrequest');
+  }
+
+  const bs = findChild(root, DAV_NS, 'basicsearch');
+  if (!bs) throw new XmlParseError('只支持 DAV:basicsearch');
+
+  // select
+  const select = findChild(bs, DAV_NS, 'select');
+  const prop = findChild(select, DAV_NS, 'prop');
+  const result = {
+    mode: prop ? 'prop' : 'allprop',
+    props: prop ? prop.children.map(c => ({ ns: c.ns, name: c.name })) : [],
+    scopes: [],
+    keyword: '',
+    collection: null,
+    limit: null
+  };
+
+  // from
+  const from = findChild(bs, DAV_NS, 'from');
+  for (const scope of (from?.children || []).filter(c => c.ns === DAV_NS && c.name === 'scope')) {
+    const href = findChild(scope, DAV_NS, 'href')?.text.trim();
+    if (!href) throw new XmlParseError('scope 中缺少 href');
+    const depth = (findChild(scope, DAV_NS, 'depth')?.text.trim() || 'infinity').toLowerCase();
+    if (!['0', '1', 'infinity'].includes(depth)) throw new XmlParseError(`无效的 scope depth: ${depth}`);
+    result.scopes.push({ href, depth });
+  }
+  if (result.scopes.length === 0) throw new XmlParseError('缺少 from/scope');
+
+  // where
+  const walk = (el, negated) => {
+    if (!el || el.ns !== DAV_NS) return;
+    switch (el.name) {
+      case 'and':
+        el.children.forEach(c => walk(c, negated));
+        return;
+      case 'not':
+        el.children.forEach(c => walk(c, !negated));
+        return;
+      case 'is-collection':
+        result.collection = !negated;
+        return;
+      case 'like': {
+        const literal = findChild(el, DAV_NS, 'literal')?.text || '';
+        if (!negated) result.keyword ||= literal.split(/[%_]+/).map(s => s.trim()).filter(Boolean).join(' ');
+        return;
+      }
+      case 'contains':
+        if (!negated) result.keyword ||= el.text.trim();
+        return;
+      default:
+        // 其它条件（eq / gt / or ...）不支持
+        throw new XmlParseError(`不支持的查询条件: ${el.name}`);
+    }
+  };
+  const where = findChild(bs, DAV_NS, 'where');
+  (where?.children || []).forEach(c => walk(c, false));
+  if (!result.keyword) throw new XmlParseError('where 中缺少 like / contains 关键字');
+
+  // limit
+  const n = Number(findChild(findChild(bs, DAV_NS, 'limit'), DAV_NS, 'nresults')?.text);
+  if (Number.isInteger(n) && n > 0) result.limit = n;
+
+  return result;
+}
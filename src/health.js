@@ -0,0 +1,115 @@
+import { Logger } from './logger.js';
+import { MountTable } from './mounts.js';
+
+/**
+ * 就绪检查：定期、低成本地验证每个账号的 115 凭证
+ *
+ * - cookie：getFileList('0')（走目录缓存 + 限流；缓存命中说明 TTL 内刚成功列过根目录）
+ * - OpenAPI token：checkToken()，access_token 失效会自动刷新，刷新失败即判定为不可用
+ * - /__ready 只读取最近一次检查结果，不会因为被频繁探测而放大 115 请求
+ */
+export class HealthChecker {
+  /**
+   * @param {Object|Array<{name: string, api: Object}>|MountTable} panAPI - 同 WebDAVServer
+   * @param {Object} options
+   * @param {number} [options.intervalMs] - 检查间隔（毫秒）
+   */
+  constructor(panAPI, options = {}) {
+    this.mounts = MountTable.from(panAPI);
+    this.intervalMs = options.intervalMs ?? 120_000;
+    this.startedAt = Date.now();
+
+    this.logger = new Logger(!!options.debug, 'health');
+
+    this._timer = null;
+    this._running = null;
+    // 最近一次检查结果（null = 尚未完成首次检查）
+    this.lastReport = null;
+  }
+
+  start() {
+    if (this._timer || this.intervalMs <= 0) return;
+    this.check().catch(() => {});
+    this._timer = setInterval(() => this.check().catch(() => {}), this.intervalMs);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // 执行一次检查（已有检查在跑时复用同一个 Promise）
+  async check() {
+    if (this._running) return this._running;
+
+    this._running = (async () => {
+      const accounts = [];
+      for (const { name, api } of this.mounts.entries) {
+        accounts.push(await this.checkAccount(name, api));
+      }
+
+      const report = {
+        ready: accounts.every(a => a.ok),
+        checkedAt: new Date().toISOString(),
+        accounts
+      };
+      if (!report.ready) this.logger.warn(`[Health] 就绪检查未通过: ${accounts.filter(a => !a.ok).map(a => a.name).join(', ')}`);
+      this.lastReport = report;
+      return report;
+    })();
+
+    try {
+      return await this._running;
+    } finally {
+      this._running = null;
+    }
+  }
+
+  async checkAccount(name, api) {
+    const now = Date.now();
+
+    // cookie：能列出根目录
+    const cookie = { ok: false, error: null };
+    try {
+      await api.getFileList('0');
+      // 熔断时 getFileList 会退回过期缓存而不抛错，要结合最近成功时间判断：
+      // TTL 内成功过（缓存命中），且之后没有新的列目录错误
+      const last = api.health.lastListOkAt;
+      const err = api.health.lastError;
+      const failedAfter = err?.source === 'list' && err.at >= last;
+      cookie.ok = !!last && last >= now - api.fileListTtlMs && !failedAfter;
+      if (!cookie.ok) cookie.error = (err?.source === 'list' && err.message) || '列出根目录失败';
+    } catch (e) {
+      cookie.error = e.message;
+    }
+
+    // token：有效或可刷新
+    const token = { ok: false, error: null };
+    try {
+      await api.checkToken();
+      token.ok = true;
+    } catch (e) {
+      token.error = e.message;
+    }
+
+    const h = api.health;
+    return {
+      name: name || 'default',
+      ok: cookie.ok && token.ok,
+      cookie,
+      token: {
+        ...token,
+        // 自启动或上次刷新起的秒数
+        ageSeconds: Math.round((Date.now() - h.tokenUpdatedAt) / 1000)
+      },
+      lastListOkAt: this.iso(h.lastListOkAt),
+      lastDownurlOkAt: this.iso(h.lastDownurlOkAt),
+      lastError: h.lastError ? { ...h.lastError, at: this.iso(h.lastError.at) } : null
+    };
+  }
+
+  iso(ts) {
+    return ts ? new Date(ts).toISOString() : null;
+  }
+}
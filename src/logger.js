@@ -1,36 +1,313 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * 日志
+ *
+ * - 级别：trace / debug / info / warn / error；log() 即 debug（沿用旧接口）
+ * - 全局 logging.level，logging.modules 按模块单独设置；旧的 debug: true 等同于 debug 级别
+ * - 格式：text（默认，[时间] [级别] [请求 ID] 消息）或 json（每行一个对象）
+ * - 请求 ID：WebDAVServer 为每个请求生成，用 AsyncLocalStorage 传到 Pan115API 等下游调用的日志里
+ * - 脱敏：cookie、token、Basic / Bearer 凭证、URL 里的签名参数；error() 不再直接打印 axios 错误对象
+ * - 可选写文件（同时仍输出到控制台），按大小或按天轮转；访问日志可以单独写一个文件
+ */
+
+export const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50 };
+
+// Logger 的模块名（logging.modules 的 key）
+export const LOG_MODULES = ['main', 'config', 'api', 'webdav', 'proxy', 'strm', 'admin', 'health', 'login', 'upload', 'cache', 'watch'];
+
+const REDACTIONS = [
+  // 115 cookie：UID=...; CID=...; SEID=...; KID=...
+  [/\b(UID|CID|SEID|KID)=[^;\s"',]+/g, '$1=***'],
+  // Authorization 头
+  [/\b(Basic|Bearer)\s+[\w.~+/=-]+/g, '$1 ***'],
+  // URL / 表单里的 token、签名参数（本服务的签名 URL、115 直链、OSS 临时凭证）
+  [/([?&](?:sig|sign|signature|s|k|key|token|access_token|refresh_token|security-token|x-oss-security-token|OSSAccessKeyId|Signature)=)[^&\s"'#]+/gi, '$1***'],
+  // JSON / 对象里的敏感字段
+  [/(["']?\b(?:cookie|accessToken|refreshToken|access_token|refresh_token|password|secret|authorization|SecurityToken|AccessKeySecret)["']?\s*[:=]\s*["']?)[^"',;\s}]+/gi, '$1***']
+];
+
+/**
+ * 去掉字符串里的敏感信息
+ * @param {string} text
+ * @returns {string}
+ */
+export function redact(text) {
+  let out = String(text);
+  for (const [re, replacement] of REDACTIONS) out = out.replace(re, replacement);
+  return out;
+}
+
+/**
+ * 错误对象 -> 可安全输出的普通对象（axios 错误只保留方法、URL、状态码，不带请求头 / 响应体）
+ * @returns {Object|string}
+ */
+export function serializeError(err) {
+  if (!(err instanceof Error)) {
+    if (typeof err === 'string') return redact(err);
+    try { return redact(JSON.stringify(err)); } catch { return redact(String(err)); }
+  }
+
+  const out = { name: err.name, message: redact(err.message) };
+  if (err.code) out.code = err.code;
+  if (err.response?.status) out.status = err.response.status;
+  if (err.config?.url) {
+    out.method = String(err.config.method || 'get').toUpperCase();
+    out.url = redact(err.config.baseURL && !/^https?:/i.test(err.config.url) ? `${err.config.baseURL}${err.config.url}` : err.config.url);
+  }
+  // axios 的调用栈没有参考价值
+  if (err.stack && !err.isAxiosError) out.stack = redact(err.stack);
+  if (err.cause && err.cause !== err) out.cause = serializeError(err.cause);
+  return out;
+}
+
+// ------------------------------------------------------------
+// 请求 ID
+// ------------------------------------------------------------
+
+const requestContext = new AsyncLocalStorage();
+
+// 在请求上下文里执行 fn：之后（包括 await 之后）所有日志都带上这个请求 ID
+export function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+// ------------------------------------------------------------
+// 文件输出 + 轮转
+// ------------------------------------------------------------
+
+export class RotatingFile {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - 日志文件路径
+   * @param {string} [options.rotate] - size = 超过 maxSizeMb 时轮转为 .1 .2 ...；daily = 每天轮转为 .YYYY-MM-DD
+   * @param {number} [options.maxSizeMb]
+   * @param {number} [options.maxFiles] - 最多保留多少个轮转出来的旧文件
+   */
+  constructor({ path: filePath, rotate = 'size', maxSizeMb = 50, maxFiles = 5 }) {
+    this.path = path.resolve(filePath);
+    this.rotate = rotate === 'daily' ? 'daily' : 'size';
+    this.maxBytes = maxSizeMb * 1024 * 1024;
+    this.maxFiles = maxFiles;
+    this.fd = null;
+    this.open();
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.fd = fs.openSync(this.path, 'a');
+    const st = fs.fstatSync(this.fd);
+    this.size = st.size;
+    this.day = this.dayOf(st.size ? st.mtime : new Date());
+  }
+
+  dayOf(d) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  write(line) {
+    const buf = Buffer.from(line, 'utf-8');
+    if (this.rotate === 'size' ? this.size > 0 && this.size + buf.length > this.maxBytes : this.dayOf(new Date()) !== this.day) {
+      this.rotateNow();
+    }
+    fs.writeSync(this.fd, buf);
+    this.size += buf.length;
+  }
+
+  rotateNow() {
+    fs.closeSync(this.fd);
+    if (this.rotate === 'size') {
+      // app.log.4 -> .5，...，app.log -> .1；超出 maxFiles 的直接覆盖掉
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(`${this.path}.${i}`)) fs.renameSync(`${this.path}.${i}`, `${this.path}.${i + 1}`);
+      }
+      if (this.maxFiles > 0) fs.renameSync(this.path, `${this.path}.1`);
+      else fs.unlinkSync(this.path);
+    } else {
+      fs.renameSync(this.path, `${this.path}.${this.day}`);
+      this.prune();
+    }
+    this.open();
+  }
+
+  // 按天轮转：只保留最近 maxFiles 个
+  prune() {
+    const dir = path.dirname(this.path);
+    const base = path.basename(this.path);
+    const old = fs.readdirSync(dir)
+      .filter(name => name.startsWith(`${base}.`) && /^\d{4}-\d{2}-\d{2}$/.test(name.slice(base.length + 1)))
+      .sort();
+    for (const name of old.slice(0, Math.max(0, old.length - this.maxFiles))) {
+      fs.unlinkSync(path.join(dir, name));
+    }
+  }
+
+  close() {
+    if (this.fd !== null) fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+// ------------------------------------------------------------
+// 全局配置
+// ------------------------------------------------------------
+
+const settings = {
+  level: 'info',
+  format: 'text',
+  modules: {},
+  accessLog: false
+};
+let mainFile = null;
+let accessFile = null;
+
+/**
+ * 应用 config.logging（启动和热加载时调用）
+ * @param {Object} [options]
+ * @param {string} [options.level] - 全局级别
+ * @param {string} [options.format] - text / json
+ * @param {Object<string, string>} [options.modules] - 按模块设置级别，如 { api: 'debug' }
+ * @param {{path: string, rotate?: string, maxSizeMb?: number, maxFiles?: number}} [options.file] - path 为空不写文件
+ * @param {{enabled: boolean, path?: string}} [options.accessLog] - path 为空时写到普通日志里
+ */
+export function configureLogging({ level, format, modules, file, accessLog } = {}) {
+  if (level) settings.level = level;
+  if (format) settings.format = format;
+  if (modules) settings.modules = { ...modules };
+  if (accessLog) settings.accessLog = !!accessLog.enabled;
+
+  if (file) {
+    mainFile?.close();
+    mainFile = file.path ? new RotatingFile(file) : null;
+  }
+  if (accessLog) {
+    accessFile?.close();
+    accessFile = accessLog.path ? new RotatingFile({ ...file, path: accessLog.path }) : null;
+  }
+}
+
+function localTs(d = new Date()) {
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+         `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.` +
+         `${pad(d.getMilliseconds(), 3)}`;
+}
+
+function emit(line, stderr, file) {
+  (stderr ? process.stderr : process.stdout).write(`${line}\n`);
+  if (!file) return;
+  try {
+    file.write(`${line}\n`);
+  } catch (e) {
+    // 写文件失败（磁盘满 / 权限）不影响服务，只提示一次
+    if (!file.failed) process.stderr.write(`[${localTs()}] [ERROR] 写日志文件失败 ${file.path}: ${e.message}\n`);
+    file.failed = true;
+  }
+}
+
+/**
+ * 记录一条访问日志（combined 格式，json 格式时为对象）
+ * @param {Object} entry
+ */
+export function logAccess(entry) {
+  if (!settings.accessLog) return;
+  const { ip, user, method, url, httpVersion, status, bytes, referer, userAgent, latencyMs, requestId } = entry;
+  const safeUrl = redact(url);
+
+  let line;
+  if (settings.format === 'json') {
+    line = JSON.stringify({
+      time: new Date().toISOString(), level: 'info', module: 'access', reqId: requestId,
+      ip, user: user || undefined, method, url: safeUrl, status, bytes, latencyMs, referer: referer || undefined, userAgent
+    });
+  } else {
+    // Apache combined + 耗时 + 请求 ID
+    const d = new Date();
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const off = -d.getTimezoneOffset();
+    const pad = (n) => String(Math.floor(Math.abs(n))).padStart(2, '0');
+    const clf = `${pad(d.getDate())}/${months[d.getMonth()]}/${d.getFullYear()}:${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())} ${off >= 0 ? '+' : '-'}${pad(off / 60)}${pad(off % 60)}`;
+    const q = (v) => `"${String(v || '-').replace(/"/g, '\\"')}"`;
+    line = `${ip || '-'} - ${user || '-'} [${clf}] "${method} ${safeUrl} HTTP/${httpVersion}" ${status} ${bytes || '-'} ${q(referer)} ${q(userAgent)} ${latencyMs}ms ${requestId || '-'}`;
+  }
+  emit(line, false, accessFile || mainFile);
+}
+
 export class Logger {
-  constructor(debug = false) {
+  /**
+   * @param {boolean} [debug] - 旧开关：true 时该模块至少输出 debug 级别
+   * @param {string} [module] - 模块名（见 LOG_MODULES），用于 logging.modules 和 json 输出
+   */
+  constructor(debug = false, module = 'main') {
     this.debug = !!debug;
+    this.module = module;
+  }
+
+  // 该模块当前生效的级别：logging.modules 优先，其次全局 level（debug 开关再放宽到 debug）
+  get level() {
+    const own = settings.modules[this.module];
+    if (own) return own;
+    return this.debug && LEVELS[settings.level] > LEVELS.debug ? 'debug' : settings.level;
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
   }
 
   // 生成本地时间：YYYY-MM-DD HH:mm:ss.SSS
   ts() {
-    const d = new Date();
-    const pad = (n, w = 2) => String(n).padStart(w, '0');
-    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
-           `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.` +
-           `${pad(d.getMilliseconds(), 3)}`;
+    return localTs();
+  }
+
+  write(level, msg, err) {
+    if (!this.enabled(level)) return;
+    const reqId = currentRequestId();
+    const message = redact(msg);
+    const error = err === undefined ? undefined : serializeError(err);
+
+    let line;
+    if (settings.format === 'json') {
+      line = JSON.stringify({ time: new Date().toISOString(), level, module: this.module, reqId, msg: message, err: error });
+    } else {
+      line = `[${this.ts()}] [${level.toUpperCase()}]${reqId ? ` [${reqId}]` : ''} ${message}`;
+      if (error !== undefined) line += ` ${typeof error === 'string' ? error : this.formatError(error)}`;
+    }
+    emit(line, LEVELS[level] >= LEVELS.warn, mainFile);
+  }
+
+  // text 格式下的错误：name: message (code, status, METHOD url)，有调用栈时另起一行
+  formatError(e) {
+    const detail = [e.code, e.status && `HTTP ${e.status}`, e.url && `${e.method} ${e.url}`].filter(Boolean).join(', ');
+    let s = `${e.name}: ${e.message}${detail ? ` (${detail})` : ''}`;
+    if (e.cause) s += ` <- ${typeof e.cause === 'string' ? e.cause : this.formatError(e.cause)}`;
+    if (e.stack) s += `\n${e.stack.split('\n').slice(1).join('\n')}`;
+    return s;
   }
 
-  fmt(level, msg) {
-    return `[${this.ts()}] [${level}] ${msg}`;
+  trace(msg) {
+    this.write('trace', msg);
   }
 
   log(msg) {
-    if (!this.debug) return;
-    console.log(this.fmt('DEBUG', msg));
+    this.write('debug', msg);
   }
 
   info(msg) {
-    console.log(this.fmt('INFO', msg));
+    this.write('info', msg);
   }
 
-  warn(msg) {
-    console.warn(this.fmt('WARN', msg));
+  warn(msg, err) {
+    this.write('warn', msg, err);
   }
 
   error(msg, err) {
-    if (err) console.error(this.fmt('ERROR', msg), err);
-    else console.error(this.fmt('ERROR', msg));
+    this.write('error', msg, err);
   }
 }
@@ -0,0 +1,226 @@
+import crypto from 'node:crypto';
+import axios from 'axios';
+import { Logger } from './logger.js';
+import { MountTable } from './mounts.js';
+
+const QRCODE_API = 'https://qrcodeapi.115.com';
+const PASSPORT_API = 'https://passportapi.115.com';
+
+// 二维码会话多久没完成就丢弃
+const SESSION_TTL_MS = 5 * 60_000;
+
+// /get/status 的 status 字段
+const STATUS_TEXT = {
+  0: 'waiting',
+  1: 'scanned',
+  2: 'confirmed',
+  '-1': 'expired',
+  '-2': 'canceled'
+};
+
+/**
+ * 115 扫码登录
+ *
+ * - type=cookie：网页扫码登录，拿到 UID/CID/SEID/KID cookie（以 qrcodeApp 指定的端登录，避免顶掉网页登录）
+ * - type=token：OpenAPI 设备码授权（PKCE），拿到 access_token / refresh_token，需要账号配置 appId
+ *
+ * 扫码确认后通过 Pan115API.updateCredentials 热替换到运行中的客户端，并经 onAuthUpdate 写回 config.json。
+ */
+export class QrLoginManager {
+  /**
+   * @param {Object|Array<{name: string, api: Object}>|MountTable} panAPI - 同 WebDAVServer
+   * @param {Object} options
+   * @param {Object<string, {appId?: string, qrcodeApp?: string}>} [options.accounts] - 账号名 -> 登录参数（单账号为 ''）
+   */
+  constructor(panAPI, options = {}) {
+    this.mounts = MountTable.from(panAPI);
+    this.accounts = options.accounts || {};
+    this.logger = new Logger(!!options.debug, 'login');
+
+    // sessionId -> session
+    this.sessions = new Map();
+
+    this.http = axios.create({
+      timeout: 40_000,
+      headers: { 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36' }
+    });
+  }
+
+  findAccount(name) {
+    const key = name || '';
+    return this.mounts.entries.find(e => e.name === key) || null;
+  }
+
+  /**
+   * 发起一次扫码登录
+   * @param {string} accountName - 账号挂载名（单账号为空）
+   * @param {'cookie'|'token'} type
+   * @returns {Promise<Object>} session（id / qrcode 内容 / 状态）
+   */
+  async start(accountName, type = 'cookie') {
+    this.cleanup();
+
+    const entry = this.findAccount(accountName);
+    if (!entry) throw new Error(`账号不存在: ${accountName || '(default)'}`);
+    if (type !== 'cookie' && type !== 'token') throw new Error(`不支持的登录类型: ${type}`);
+
+    const opts = this.accounts[entry.name] || {};
+    const session = {
+      id: crypto.randomBytes(12).toString('hex'),
+      account: entry.name,
+      type,
+      status: 'waiting',
+      message: null,
+      createdAt: Date.now()
+    };
+
+    let data;
+    if (type === 'token') {
+      if (!opts.appId) throw new Error('未配置 appId（115 开放平台应用 ID），无法进行 token 授权');
+
+      // PKCE：verifier 随机，challenge = base64(sha256(verifier))
+      session.codeVerifier = crypto.randomBytes(48).toString('base64url').slice(0, 64);
+      const challenge = crypto.createHash('sha256').update(session.codeVerifier).digest('base64');
+
+      data = await this.postForm(`${PASSPORT_API}/open/authDeviceCode`, {
+        client_id: opts.appId,
+        code_challenge: challenge,
+        code_challenge_method: 'sha256'
+      });
+    } else {
+      const resp = await this.http.get(`${QRCODE_API}/api/1.0/web/1.0/token/`);
+      data = this.unwrap(resp.data);
+    }
+
+    Object.assign(session, {
+      uid: data.uid,
+      time: data.time,
+      sign: data.sign,
+      qrcode: data.qrcode
+    });
+    this.sessions.set(session.id, session);
+
+    this.logger.info(`[Login] 已生成二维码 - account: ${entry.name || 'default'}, type: ${type}, session: ${session.id}`);
+    return session;
+  }
+
+  // 二维码图片（PNG）
+  async getImage(sessionId) {
+    const session = this.getSession(sessionId);
+    const resp = await this.http.get(`${QRCODE_API}/api/1.0/web/1.0/qrcode`, {
+      params: { uid: session.uid },
+      responseType: 'arraybuffer'
+    });
+    return Buffer.from(resp.data);
+  }
+
+  getSession(sessionId) {
+    const session = this.sessions.get(String(sessionId || ''));
+    if (!session) throw new Error('登录会话不存在或已过期');
+    return session;
+  }
+
+  /**
+   * 查询扫码状态（115 的状态接口是长轮询，最多挂起约 30 秒）
+   * 确认后立即完成登录：保存凭证并热替换
+   * @returns {Promise<Object>} session 的公开字段
+   */
+  async poll(sessionId) {
+    const session = this.getSession(sessionId);
+    if (['done', 'expired', 'canceled', 'error'].includes(session.status)) return this.toJSON(session);
+
+    // 并发轮询同一会话时复用
+    if (!session._polling) {
+      session._polling = this._poll(session).finally(() => { session._polling = null; });
+    }
+    await session._polling;
+    return this.toJSON(session);
+  }
+
+  async _poll(session) {
+    let status;
+    try {
+      const resp = await this.http.get(`${QRCODE_API}/get/status/`, {
+        params: { uid: session.uid, time: session.time, sign: session.sign, _: Date.now() }
+      });
+      status = resp.data?.data?.status;
+      // state=0 且没有 status：二维码已失效
+      if (status === undefined && !resp.data?.state) status = -1;
+    } catch (e) {
+      // 长轮询超时：当作仍在等待
+      if (e.code === 'ECONNABORTED') return;
+      throw e;
+    }
+
+    session.status = STATUS_TEXT[status] || 'waiting';
+    if (session.status !== 'confirmed') return;
+
+    try {
+      await this.complete(session);
+      session.status = 'done';
+      this.logger.info(`[Login] 登录成功 - account: ${session.account || 'default'}, type: ${session.type}`);
+    } catch (e) {
+      session.status = 'error';
+      session.message = e.message;
+      this.logger.error(`[Login] 登录失败 - account: ${session.account || 'default'}, type: ${session.type}`, e.message);
+    }
+  }
+
+  // 扫码确认后换取凭证，并热替换到对应账号的 Pan115API
+  async complete(session) {
+    const { api } = this.findAccount(session.account);
+    const opts = this.accounts[session.account] || {};
+
+    if (session.type === 'token') {
+      const data = await this.postForm(`${PASSPORT_API}/open/deviceCodeToToken`, {
+        uid: session.uid,
+        code_verifier: session.codeVerifier
+      });
+      if (!data.access_token) throw new Error('授权成功但未返回 access_token');
+      await api.updateCredentials({ accessToken: data.access_token, refreshToken: data.refresh_token });
+      return;
+    }
+
+    const app = opts.qrcodeApp || 'alipaymini';
+    const data = await this.postForm(`${PASSPORT_API}/app/1.0/${app}/1.0/login/qrcode/`, {
+      account: session.uid,
+      app
+    });
+    const cookie = Object.entries(data.cookie || {}).map(([k, v]) => `${k}=${v}`).join('; ');
+    if (!cookie) throw new Error('登录成功但未返回 cookie');
+    await api.updateCredentials({ cookie });
+  }
+
+  async postForm(url, params) {
+    const resp = await this.http.post(url, new URLSearchParams(params).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return this.unwrap(resp.data);
+  }
+
+  // 115 响应：state 为 1/true 时取 data，否则抛错
+  unwrap(body) {
+    if (!body || !body.state) {
+      throw new Error(body?.message || body?.error || `115 接口返回失败 (code: ${body?.code ?? body?.errno ?? 'unknown'})`);
+    }
+    return body.data || {};
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [id, s] of this.sessions) {
+      if (now - s.createdAt > SESSION_TTL_MS) this.sessions.delete(id);
+    }
+  }
+
+  toJSON(session) {
+    return {
+      session: session.id,
+      account: session.account,
+      type: session.type,
+      status: session.status,
+      message: session.message,
+      qrcode: session.qrcode
+    };
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * 极简 Prometheus 指标（不引入 prom-client）
+ *
+ * 只实现本项目用到的 Counter / Gauge / Histogram，输出 text exposition format 0.0.4。
+ * 全进程共享一个 registry（`metrics`），各模块直接 import 后打点。
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return '+Inf';
+  if (n === -Infinity) return '-Inf';
+  return String(n);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // key(label 值用 \u0000 拼接) -> { values, ... }
+    this.series = new Map();
+  }
+
+  _get(labels, init) {
+    const values = this.labelNames.map(n => (labels[n] === undefined || labels[n] === null ? '' : String(labels[n])));
+    const key = values.join('\u0000');
+    let s = this.series.get(key);
+    if (!s) {
+      s = { values, ...init() };
+      this.series.set(key, s);
+    }
+    return s;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, n = 1) {
+    this._get(labels, () => ({ value: 0 })).value += n;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const s of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, s.values)} ${formatNumber(s.value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value = 0) {
+    this._get(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const s of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, s.values)} ${formatNumber(s.value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const s = this._get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) s.counts[i]++;
+    }
+    s.sum += value;
+    s.count++;
+  }
+
+  // 计时辅助：返回结束函数，调用时记录耗时（秒）
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extra = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extra }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const s of this.series.values()) {
+      this.buckets.forEach((b, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, s.values, `le="${formatNumber(b)}"`)} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, s.values)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, s.values)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`重复注册指标: ${metric.name}`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  // Prometheus text format
+  render() {
+    const lines = [];
+    for (const m of this.metrics.values()) lines.push(...m.render());
+    return lines.join('\n') + '\n';
+  }
+}
+
+// =========================
+// 全局 registry + 本项目用到的指标
+// account：多账号时为挂载名，单账号为 default
+// =========================
+
+export const metrics = new MetricsRegistry();
+
+// cache：fileList / downloadUrl / pathToId / fileInfo / pickcodeId
+export const cacheRequests = metrics.counter(
+  'pan115_cache_requests_total', '缓存查询次数（result=hit|miss）', ['account', 'cache', 'result']
+);
+
+// limiter：list / download
+export const limiterQueued = metrics.gauge(
+  'pan115_limiter_queue_depth', '限流队列中等待的任务数', ['account', 'limiter']
+);
+export const limiterActive = metrics.gauge(
+  'pan115_limiter_active', '限流器正在执行的任务数', ['account', 'limiter']
+);
+
+// singleflight：list / downloadUrl / refreshToken
+export const singleflightMerged = metrics.counter(
+  'pan115_singleflight_merged_total', '被合并到进行中请求的并发调用次数', ['account', 'kind']
+);
+
+export const apiDuration = metrics.histogram(
+  'pan115_api_request_duration_seconds', '115 接口请求耗时（秒）', ['account', 'endpoint']
+);
+export const apiErrors = metrics.counter(
+  'pan115_api_errors_total', '115 接口错误次数（code 为 errNo/code，HTTP 错误为 http_<status>，网络错误为 network）', ['account', 'endpoint', 'code']
+);
+
+export const apiRetries = metrics.counter(
+  'pan115_api_retries_total', '115 接口因网络错误 / 5xx 重试的次数', ['account', 'endpoint']
+);
+
+export const tokenRefreshes = metrics.counter(
+  'pan115_token_refresh_total', 'access_token 刷新次数（result=success|failure）', ['account', 'result']
+);
+
+// 风控熔断：endpoint 为 list / downurl / token
+export const circuitState = metrics.gauge(
+  'pan115_circuit_state', '风控熔断状态（0=closed，1=half-open，2=open）', ['account', 'endpoint']
+);
+export const riskSignals = metrics.counter(
+  'pan115_risk_signals_total', '检测到的风控信号次数（reason 如 http_429、captcha、code_911、empty_state_false）', ['account', 'endpoint', 'reason']
+);
+
+export const webdavRequests = metrics.counter(
+  'webdav_requests_total', 'WebDAV 请求数（按方法和状态码）', ['method', 'status']
+);
+
+// webdav.clientRules：rule 为规则名（未命名时为 #序号），action 为 redirect / proxy / forbid / placeholder
+export const clientRuleHits = metrics.counter(
+  'webdav_client_rule_hits_total', '客户端规则命中次数', ['rule', 'action']
+);
+
+// 变更监控（watch）：type 为 added / removed / renamed
+export const watchChanges = metrics.counter(
+  'pan115_watch_changes_total', '变更监控发现的变化数', ['account', 'type']
+);
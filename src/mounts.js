@@ -0,0 +1,91 @@
+/**
+ * 挂载表：把 WebDAV 路径映射到对应的 115 账号（Pan115API）
+ *
+ * - 单账号（config.pan115 为对象）：挂在根目录，路径原样交给该账号
+ * - 多账号（config.pan115 为数组）：每个账号挂在 /<name>/ 下，根目录是虚拟目录
+ */
+export class MountTable {
+  /**
+   * @param {Array<{name: string, api: Object}>} entries - name 为空表示挂在根目录（只允许单账号）
+   */
+  constructor(entries = []) {
+    if (entries.length === 0) throw new Error('至少需要一个 115 账号');
+
+    this.entries = entries.map(e => ({ name: String(e.name || ''), api: e.api }));
+    this.isMulti = !(this.entries.length === 1 && this.entries[0].name === '');
+
+    if (this.isMulti) {
+      const seen = new Set();
+      for (const { name } of this.entries) {
+        if (!name || name.includes('/')) throw new Error(`账号挂载名无效: "${name}"（不能为空或包含 /）`);
+        if (seen.has(name)) throw new Error(`账号挂载名重复: "${name}"`);
+        seen.add(name);
+      }
+    }
+
+    this._byName = new Map(this.entries.map(e => [e.name, e]));
+  }
+
+  // 兼容旧用法：直接传单个 Pan115API
+  static from(panAPIOrEntries) {
+    if (panAPIOrEntries instanceof MountTable) return panAPIOrEntries;
+    if (Array.isArray(panAPIOrEntries)) return new MountTable(panAPIOrEntries);
+    return new MountTable([{ name: '', api: panAPIOrEntries }]);
+  }
+
+  get apis() {
+    return this.entries.map(e => e.api);
+  }
+
+  // 多账号时根目录只是挂载点列表
+  isVirtualRoot(path) {
+    return this.isMulti && (path === '/' || path === '');
+  }
+
+  /**
+   * 解析 WebDAV 路径
+   * @param {string} path - 规范化后的路径（/ 开头，无末尾 /）
+   * @returns {{name: string, api: Object, subPath: string, mountPath: string}|null}
+   *          虚拟根目录或未知挂载名返回 null
+   */
+  resolve(path) {
+    if (!this.isMulti) {
+      const e = this.entries[0];
+      return { name: e.name, api: e.api, subPath: path || '/', mountPath: '/' };
+    }
+
+    const parts = String(path || '/').split('/').filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const e = this._byName.get(parts[0]);
+    if (!e) return null;
+
+    const rest = parts.slice(1);
+    return {
+      name: e.name,
+      api: e.api,
+      subPath: rest.length ? `/${rest.join('/')}` : '/',
+      mountPath: `/${e.name}`
+    };
+  }
+
+  // 挂载内路径 -> 完整 WebDAV 路径
+  join(name, subPath) {
+    if (!this.isMulti) return subPath || '/';
+    const sub = !subPath || subPath === '/' ? '' : subPath;
+    return `/${name}${sub}`;
+  }
+
+  // 虚拟根目录下的条目（每个账号一个目录）
+  rootItems() {
+    const now = Date.now() / 1000;
+    return this.entries.map(e => ({
+      id: '0',
+      name: e.name,
+      type: 'directory',
+      size: 0,
+      mtime: now,
+      path: `/${e.name}`
+    }));
+  }
+}
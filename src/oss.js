@@ -0,0 +1,132 @@
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import axios from 'axios';
+import { Logger } from './logger.js';
+
+/**
+ * 阿里云 OSS 分片上传（115 普通上传的第二步，使用 115 下发的 STS 临时凭证）
+ *
+ * 只实现 115 上传需要的部分：InitiateMultipartUpload / UploadPart / CompleteMultipartUpload，
+ * 签名为 OSS V1（HMAC-SHA1），Complete 时带上 115 的 x-oss-callback，
+ * 由 OSS 回调 115 完成入库，回调结果作为 Complete 的响应体返回。
+ */
+export class OssMultipartUploader {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - 如 https://oss-cn-shenzhen.aliyuncs.com
+   * @param {string} options.bucket
+   * @param {string} options.accessKeyId
+   * @param {string} options.accessKeySecret
+   * @param {string} options.securityToken
+   */
+  constructor(options = {}) {
+    const ep = new URL(/^https?:\/\//.test(options.endpoint) ? options.endpoint : `https://${options.endpoint}`);
+    this.protocol = ep.protocol;
+    this.host = ep.host;
+    this.bucket = options.bucket;
+    this.accessKeyId = options.accessKeyId;
+    this.accessKeySecret = options.accessKeySecret;
+    this.securityToken = options.securityToken;
+
+    this.logger = new Logger(!!options.debug, 'upload');
+  }
+
+  objectUrl(object, query = '') {
+    const key = object.split('/').map(encodeURIComponent).join('/');
+    return `${this.protocol}//${this.bucket}.${this.host}/${key}${query}`;
+  }
+
+  // OSS V1 签名：VERB \n Content-MD5 \n Content-Type \n Date \n CanonicalizedOSSHeaders CanonicalizedResource
+  sign(method, object, subResource, headers) {
+    const ossHeaders = Object.keys(headers)
+      .filter(k => k.toLowerCase().startsWith('x-oss-'))
+      .map(k => [k.toLowerCase(), String(headers[k]).trim()])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([k, v]) => `${k}:${v}\n`)
+      .join('');
+
+    const toSign = [
+      method,
+      headers['Content-MD5'] || '',
+      headers['Content-Type'] || '',
+      headers.Date,
+      `${ossHeaders}/${this.bucket}/${object}${subResource}`
+    ].join('\n');
+
+    const signature = crypto.createHmac('sha1', this.accessKeySecret).update(toSign, 'utf-8').digest('base64');
+    return `OSS ${this.accessKeyId}:${signature}`;
+  }
+
+  async request(method, object, subResource, { headers = {}, data, responseType } = {}) {
+    const h = {
+      Date: new Date().toUTCString(),
+      // 显式给出 Content-Type，保证签名里的值和实际发出的一致
+      'Content-Type': headers['Content-Type'] ?? 'application/octet-stream',
+      ...headers
+    };
+    if (this.securityToken) h['x-oss-security-token'] = this.securityToken;
+    h.Authorization = this.sign(method, object, subResource, h);
+
+    return axios.request({
+      method,
+      url: this.objectUrl(object, subResource),
+      headers: h,
+      data,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      // 不让 axios 自动改 Content-Type（会导致签名不匹配）
+      transformRequest: [(d) => d]
+    });
+  }
+
+  /**
+   * 分片上传本地文件
+   * @param {string} object - OSS object key（115 init 返回）
+   * @param {string} filePath - 本地文件
+   * @param {number} size - 文件大小
+   * @param {Object} opts
+   * @param {number} [opts.partSize] - 分片大小（字节）
+   * @param {string} [opts.callback] - 115 返回的 callback（原文，会做 base64）
+   * @param {string} [opts.callbackVar] - 115 返回的 callback_var
+   * @returns {Promise<any>} Complete 的响应体（带回调时即 115 回调结果）
+   */
+  async upload(object, filePath, size, { partSize = 10 * 1024 * 1024, callback, callbackVar } = {}) {
+    const init = await this.request('POST', object, '?uploads');
+    const uploadId = /<UploadId>([^<]+)<\/UploadId>/.exec(String(init.data))?.[1];
+    if (!uploadId) throw new Error('OSS 初始化分片上传失败：未返回 UploadId');
+
+    const parts = [];
+    try {
+      const total = Math.max(1, Math.ceil(size / partSize));
+      for (let n = 1; n <= total; n++) {
+        const start = (n - 1) * partSize;
+        const end = Math.min(size, start + partSize) - 1;
+        const length = size === 0 ? 0 : end - start + 1;
+
+        const body = length > 0 ? fs.createReadStream(filePath, { start, end }) : Buffer.alloc(0);
+        const resp = await this.request('PUT', object, `?partNumber=${n}&uploadId=${uploadId}`, {
+          headers: { 'Content-Length': length },
+          data: body
+        });
+        parts.push({ n, etag: resp.headers.etag });
+        this.logger.log(`[OSS] 分片 ${n}/${total} 上传完成 (${length} bytes)`);
+      }
+
+      const xml = '<CompleteMultipartUpload>' +
+        parts.map(p => `<Part><PartNumber>${p.n}</PartNumber><ETag>${p.etag}</ETag></Part>`).join('') +
+        '</CompleteMultipartUpload>';
+
+      const headers = { 'Content-Type': 'application/xml' };
+      if (callback) headers['x-oss-callback'] = Buffer.from(callback).toString('base64');
+      if (callbackVar) headers['x-oss-callback-var'] = Buffer.from(callbackVar).toString('base64');
+
+      const done = await this.request('POST', object, `?uploadId=${uploadId}`, { headers, data: xml });
+      return done.data;
+    } catch (e) {
+      // 失败时尽量取消分片上传，避免 OSS 残留碎片
+      await this.request('DELETE', object, `?uploadId=${uploadId}`).catch(() => {});
+      throw e;
+    }
+  }
+}
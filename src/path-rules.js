@@ -0,0 +1,124 @@
+/**
+ * 虚拟根目录 + 路径过滤规则
+ *
+ * 规则写法（都不区分大小写）：
+ * - 不含 / 的 glob：匹配文件名，如 "@eaDir"、".DS_Store"、"*sample*"、"*.nfo"
+ * - 含 / 的 glob：从网盘根目录开始匹配完整路径，如 "/备份/**"、"/影视/私人"
+ * - re: 开头：正则，匹配完整路径，如 "re:\\.(txt|url)$"
+ * glob 中 * 不跨目录，** 跨目录，? 匹配单个字符
+ *
+ * 规则和根目录都写 115 网盘里的真实路径（不受虚拟根目录影响）
+ */
+
+function escapeRegExp(s) {
+  return s.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+export function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // "**/" 可以匹配零层目录
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += escapeRegExp(c);
+    }
+  }
+  return new RegExp(`^${re}$`, 'i');
+}
+
+/**
+ * 编译单条规则
+ * @returns {{source: string, byName: boolean, re: RegExp}}
+ */
+export function compileRule(pattern) {
+  const source = String(pattern);
+  if (source.startsWith('re:')) return { source, byName: false, re: new RegExp(source.slice(3), 'i') };
+
+  if (!source.includes('/')) return { source, byName: true, re: globToRegExp(source) };
+
+  // 路径 glob：去掉末尾 /，补上开头 /
+  const p = source.replace(/\/+$/, '');
+  return { source, byName: false, re: globToRegExp(p.startsWith('/') ? p : `/${p}`) };
+}
+
+export class PathRules {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.include] - 非空时只保留命中的文件（目录不受影响）
+   * @param {string[]} [options.exclude] - 命中的文件和目录都隐藏（目录连同其下所有内容）
+   */
+  constructor({ include = [], exclude = [] } = {}) {
+    this.include = include.map(compileRule);
+    this.exclude = exclude.map(compileRule);
+  }
+
+  get empty() {
+    return this.include.length === 0 && this.exclude.length === 0;
+  }
+
+  matches(rules, fullPath, name) {
+    return rules.some(r => r.re.test(r.byName ? name : fullPath));
+  }
+
+  /**
+   * 单个条目是否可见（只看它自己，不看上级目录）
+   * @param {string} fullPath - 网盘真实路径
+   * @param {'file'|'directory'} type
+   */
+  isVisible(fullPath, type) {
+    const name = fullPath.split('/').pop();
+    if (this.matches(this.exclude, fullPath, name)) return false;
+    if (type === 'file' && this.include.length && !this.matches(this.include, fullPath, name)) return false;
+    return true;
+  }
+
+  // 路径及其所有上级目录都可见
+  isPathVisible(fullPath, type) {
+    if (this.empty) return true;
+    const parts = fullPath.split('/').filter(Boolean);
+    for (let i = 1; i < parts.length; i++) {
+      if (!this.isVisible(`/${parts.slice(0, i).join('/')}`, 'directory')) return false;
+    }
+    return parts.length === 0 || this.isVisible(`/${parts.join('/')}`, type);
+  }
+
+  // 过滤目录列表（dirPath 为该目录的真实路径）
+  filter(dirPath, files) {
+    if (this.empty) return files;
+    const base = dirPath === '/' ? '' : dirPath;
+    return files.filter(f => this.isVisible(`${base}/${f.name}`, f.type));
+  }
+}
+
+/**
+ * 规范化虚拟根目录配置
+ * - []：暴露整个网盘
+ * - ["/影视"]：/影视 作为根目录
+ * - ["/影视", "/音乐"]：根目录下显示 影视、音乐 两个目录（名称取最后一级，不能重复）
+ * @returns {Array<{name: string, path: string}>}
+ */
+export function normalizeRoots(roots = []) {
+  const out = [];
+  const seen = new Set();
+  for (const raw of roots) {
+    const p = `/${String(raw).split('/').filter(Boolean).join('/')}`;
+    if (p === '/') return [];
+    const name = p.split('/').pop();
+    if (seen.has(name)) throw new Error(`虚拟根目录名称重复: "${name}"（${roots.join(', ')}）`);
+    seen.add(name);
+    out.push({ name, path: p });
+  }
+  return out;
+}
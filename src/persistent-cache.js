@@ -0,0 +1,251 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Logger } from './logger.js';
+
+// 路径映射（没有 expiresAt）默认保留 1 天
+const DEFAULT_MAX_AGE_MS = 86400_000;
+
+/**
+ * 持久化 Map：对外行为与 Map 一致，set/delete/clear 时通知 store 写盘
+ */
+class PersistentMap extends Map {
+  constructor(store, name) {
+    super();
+    this._store = store;
+    this._name = name;
+  }
+
+  // 仅供 store 加载时使用：写入内存但不产生写盘记录
+  _restore(key, value) {
+    return super.set(key, value);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this._store?._record(this._name, key, value);
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) this._store?._record(this._name, key, undefined, true);
+    return existed;
+  }
+
+  clear() {
+    for (const key of this.keys()) this._store?._record(this._name, key, undefined, true);
+    super.clear();
+  }
+}
+
+/**
+ * 元数据缓存持久化（追加写 JSONL 文件）
+ *
+ * 文件每行一条记录：
+ *   { "m": "fileList", "k": "123", "v": {...} }   写入/覆盖
+ *   { "m": "fileList", "k": "123", "d": 1 }       删除
+ *
+ * - 启动时同步读取并回放，超过保留期的条目直接丢弃（见 _isExpired）
+ * - 运行时写后（write-behind）：变更先合并在内存里，定时批量 append
+ * - 记录条数远超存活条目时自动压缩（重写快照）
+ */
+export class PersistentCacheStore {
+  constructor(options = {}) {
+    this.filePath = path.resolve(options.filePath);
+    this.flushIntervalMs = options.flushIntervalMs ?? 2000;
+    // 文件行数超过该值且超过存活条目 2 倍时压缩
+    this.compactThreshold = options.compactThreshold ?? 5000;
+    // 过期条目再保留 staleMaxAgeMs（同 throttle.staleMaxAgeMs），重启后熔断时仍有兜底数据
+    this.staleMaxAgeMs = options.staleMaxAgeMs ?? 30 * 60_000;
+    // 没有 expiresAt、只有 cachedAt 的条目（路径映射）最多保留多久
+    this.maxAgeMs = options.maxAgeMs ?? DEFAULT_MAX_AGE_MS;
+
+    this.logger = new Logger(!!options.debug, 'cache');
+
+    // name -> PersistentMap
+    this._maps = new Map();
+    // 启动时读到的数据：name -> Map(key -> value)
+    this._loaded = new Map();
+    // 待写记录（同一条目只保留最后一次变更）：`${name}\u0000${key}` -> record
+    this._pending = new Map();
+
+    this._lineCount = 0;
+    this._flushing = null;
+    this._timer = null;
+
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const now = Date.now();
+    const text = fs.readFileSync(this.filePath, 'utf-8');
+    let bad = 0;
+
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      this._lineCount++;
+
+      let rec;
+      try { rec = JSON.parse(line); } catch { bad++; continue; }
+      if (!rec || typeof rec.m !== 'string' || typeof rec.k !== 'string') { bad++; continue; }
+
+      let bucket = this._loaded.get(rec.m);
+      if (!bucket) {
+        bucket = new Map();
+        this._loaded.set(rec.m, bucket);
+      }
+
+      if (rec.d) bucket.delete(rec.k);
+      else bucket.set(rec.k, rec.v);
+    }
+
+    // 丢弃超过保留期的条目
+    let live = 0;
+    for (const bucket of this._loaded.values()) {
+      for (const [k, v] of bucket) {
+        if (this._isExpired(v, now)) bucket.delete(k);
+        else live++;
+      }
+    }
+
+    this.logger.info(`[Cache] 已加载持久化缓存: ${this.filePath}（${live} 条${bad ? `，跳过损坏记录 ${bad} 行` : ''}）`);
+
+    if (this._shouldCompact(live)) this.compactSync();
+  }
+
+  /**
+   * 条目是否已超过保留期
+   * - 有 expiresAt：过期后再保留 staleMaxAgeMs；直链本身（linkExpiresAt）已过期的不保留
+   * - 只有 cachedAt：写入后保留 maxAgeMs
+   */
+  _isExpired(v, now = Date.now()) {
+    if (!v || typeof v !== 'object') return false;
+    if (typeof v.linkExpiresAt === 'number' && v.linkExpiresAt <= now) return true;
+    if (typeof v.expiresAt === 'number') return v.expiresAt + this.staleMaxAgeMs <= now;
+    if (typeof v.cachedAt === 'number') return v.cachedAt + this.maxAgeMs <= now;
+    return false;
+  }
+
+  /**
+   * 创建（或取回）一个持久化 Map，并填入启动时加载的数据
+   * @param {string} name - 命名空间，如 "fileList"
+   * @returns {Map}
+   */
+  createMap(name) {
+    const existing = this._maps.get(name);
+    if (existing) return existing;
+
+    const map = new PersistentMap(this, name);
+    const bucket = this._loaded.get(name);
+    if (bucket) {
+      for (const [k, v] of bucket) map._restore(k, v);
+      this._loaded.delete(name);
+    }
+    this._maps.set(name, map);
+    return map;
+  }
+
+  _record(name, key, value, deleted = false) {
+    const k = String(key);
+    this._pending.set(`${name}\u0000${k}`, deleted ? { m: name, k, d: 1 } : { m: name, k, v: value });
+    this._scheduleFlush();
+  }
+
+  _scheduleFlush() {
+    if (this._timer) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.flush().catch(e => this.logger.error('[Cache] 写入持久化缓存失败:', e.message));
+    }, this.flushIntervalMs);
+    this._timer.unref?.();
+  }
+
+  _takePending() {
+    const lines = [];
+    for (const rec of this._pending.values()) lines.push(JSON.stringify(rec));
+    this._pending.clear();
+    return lines;
+  }
+
+  _liveCount() {
+    let n = 0;
+    for (const map of this._maps.values()) n += map.size;
+    for (const bucket of this._loaded.values()) n += bucket.size;
+    return n;
+  }
+
+  _shouldCompact(live = this._liveCount()) {
+    return this._lineCount > this.compactThreshold && this._lineCount > live * 2;
+  }
+
+  // 后台批量追加；同一时间只有一个 flush 在跑
+  async flush() {
+    if (this._flushing) return this._flushing;
+
+    this._flushing = (async () => {
+      const lines = this._takePending();
+      if (lines.length === 0) return;
+
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, lines.join('\n') + '\n', 'utf-8');
+      this._lineCount += lines.length;
+      this.logger.log(`[Cache] 持久化缓存写入 ${lines.length} 条`);
+
+      if (this._shouldCompact()) this.compactSync();
+    })();
+
+    try {
+      return await this._flushing;
+    } finally {
+      this._flushing = null;
+    }
+  }
+
+  // 进程退出前调用：同步写完剩余记录
+  flushSync() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    const lines = this._takePending();
+    if (lines.length === 0) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, lines.join('\n') + '\n', 'utf-8');
+      this._lineCount += lines.length;
+    } catch (e) {
+      this.logger.error('[Cache] 退出时写入持久化缓存失败:', e.message);
+    }
+  }
+
+  // 用当前内存状态重写整个文件（先写 tmp 再 rename，避免写一半）
+  compactSync() {
+    const now = Date.now();
+    const lines = [];
+
+    const dump = (name, entries) => {
+      for (const [k, v] of entries) {
+        if (this._isExpired(v, now)) continue;
+        lines.push(JSON.stringify({ m: name, k: String(k), v }));
+      }
+    };
+    for (const [name, map] of this._maps) dump(name, map);
+    for (const [name, bucket] of this._loaded) dump(name, bucket);
+
+    const tmp = this.filePath + '.tmp';
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '', 'utf-8');
+      fs.renameSync(tmp, this.filePath);
+      // 快照已包含全部状态，待写记录可以丢弃
+      this._pending.clear();
+      this._lineCount = lines.length;
+      this.logger.log(`[Cache] 持久化缓存已压缩: ${lines.length} 条`);
+    } catch (e) {
+      this.logger.error('[Cache] 压缩持久化缓存失败:', e.message);
+    }
+  }
+}
@@ -0,0 +1,246 @@
+import http from 'node:http';
+import https from 'node:https';
+import { Logger } from './logger.js';
+
+// 这些状态码基本意味着直链过期/失效，需要换一个新链接
+const EXPIRED_STATUS = new Set([401, 403, 404, 410]);
+
+// 透传给客户端的上游响应头
+const PASS_HEADERS = ['content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+/**
+ * 代理转发（替代 302）：服务端用匹配的 UA 请求 115 直链，再把数据流回客户端
+ *
+ * - 完整支持 Range / 206，透传 Content-Length / Content-Range
+ * - 背压：客户端读得慢就暂停上游；客户端断开立即中止上游
+ * - 直链过期（首包 401/403/404/410）或传输中途断开：重新获取直链，从已发送位置续传
+ */
+export class StreamProxy {
+  constructor(options = {}) {
+    // 单次请求内最多换几次直链
+    this.maxRetries = options.maxRetries ?? 2;
+    // 上游 socket 空闲超时（ms）
+    this.timeoutMs = options.timeoutMs ?? 30_000;
+    // 上游自身的重定向最多跟几次
+    this.maxRedirects = options.maxRedirects ?? 3;
+
+    this.logger = new Logger(!!options.debug, 'proxy');
+  }
+
+  /**
+   * 代理一个文件下载
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Object} ctx
+   * @param {Object} ctx.api - 文件所在账号的 Pan115API
+   * @param {Object} ctx.file - 文件对象（需要 id / pickcode / size / name）
+   * @param {string} ctx.clientUserAgent - 客户端 UA（用于获取直链，保证直链与 UA 匹配）
+   * @param {string} [ctx.contentType] - 上游没给具体类型时使用
+   */
+  async pipe(req, res, { api, file, clientUserAgent, contentType }) {
+    const range = this.parseRange(req.headers.range, file.size);
+    if (range === 'unsatisfiable') {
+      res.setHeader('Content-Range', `bytes */${file.size}`);
+      return res.status(416).end();
+    }
+
+    let clientGone = false;
+    let upstream = null;
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        clientGone = true;
+        upstream?.destroy();
+      }
+    });
+
+    let sent = 0;
+    let attempt = 0;
+
+    while (true) {
+      if (clientGone) return;
+
+      const info = await api.getDownloadUrl(file.id, file.pickcode, clientUserAgent);
+
+      // 续传：已发出的部分不再请求
+      const headers = { 'User-Agent': info.userAgent };
+      if (sent > 0) {
+        const start = (range?.start ?? 0) + sent;
+        headers.Range = `bytes=${start}-${range?.end ?? ''}`;
+      } else if (req.headers.range) {
+        headers.Range = range ? `bytes=${range.start}-${range.end ?? ''}` : req.headers.range;
+      }
+      if (!res.headersSent && req.headers['if-range']) headers['If-Range'] = req.headers['if-range'];
+
+      try {
+        upstream = await this.openUpstream(info.url, headers);
+      } catch (e) {
+        if (clientGone) return;
+        if (attempt++ < this.maxRetries) {
+          this.logger.warn(`[Proxy] 连接上游失败，换直链重试(${attempt}/${this.maxRetries}): ${e.message}`);
+          api.invalidateDownloadUrl?.(file.id, file.pickcode, clientUserAgent);
+          continue;
+        }
+        throw e;
+      }
+
+      const status = upstream.statusCode;
+
+      if (EXPIRED_STATUS.has(status) && attempt < this.maxRetries) {
+        attempt++;
+        upstream.resume();
+        this.logger.warn(`[Proxy] 直链失效(HTTP ${status})，重新获取(${attempt}/${this.maxRetries}): ${file.name}`);
+        api.invalidateDownloadUrl?.(file.id, file.pickcode, clientUserAgent);
+        continue;
+      }
+
+      if (!res.headersSent) {
+        res.status(status);
+        for (const h of PASS_HEADERS) {
+          if (upstream.headers[h] !== undefined) res.setHeader(h, upstream.headers[h]);
+        }
+        const upType = upstream.headers['content-type'];
+        res.setHeader('Content-Type', upType && upType !== 'application/octet-stream' ? upType : (contentType || upType || 'application/octet-stream'));
+        if (!upstream.headers['accept-ranges']) res.setHeader('Accept-Ranges', 'bytes');
+
+        // 非 2xx 直接透传 body 结束
+        if (status < 200 || status >= 300) {
+          upstream.pipe(res);
+          return;
+        }
+      } else if (status !== 206) {
+        // 头已经发出，只有 206 才能接着写
+        upstream.resume();
+        this.logger.error(`[Proxy] 续传失败，上游返回 HTTP ${status}: ${file.name}`);
+        res.destroy();
+        return;
+      }
+
+      try {
+        sent += await this.forward(upstream, res);
+        res.end();
+        this.logger.log(`[Proxy] 传输完成: ${file.name}, bytes=${sent}`);
+        return;
+      } catch (e) {
+        sent += e.bytes || 0;
+        if (clientGone) {
+          this.logger.log(`[Proxy] 客户端断开: ${file.name}, bytes=${sent}`);
+          return;
+        }
+        // 多段 Range 等无法解析的请求没法计算续传位置
+        const resumable = !(req.headers.range && !range);
+        if (resumable && attempt++ < this.maxRetries) {
+          this.logger.warn(`[Proxy] 传输中断，换直链续传(${attempt}/${this.maxRetries}) @${sent}: ${e.message}`);
+          api.invalidateDownloadUrl?.(file.id, file.pickcode, clientUserAgent);
+          continue;
+        }
+        this.logger.error(`[Proxy] 传输中断且无法续传: ${file.name}`, e.message);
+        res.destroy();
+        return;
+      }
+    }
+  }
+
+  // 把上游数据写给客户端（pipe 自带背压），不结束 res；返回写出的字节数
+  forward(upstream, res) {
+    return new Promise((resolve, reject) => {
+      let bytes = 0;
+      let done = false;
+
+      // 续传时会多次调用 forward，结束时移除挂在 res 上的监听
+      const onClientClose = () => finish(new Error('客户端断开'));
+      const finish = (err) => {
+        if (done) return;
+        done = true;
+        upstream.unpipe(res);
+        res.off('close', onClientClose);
+        if (err) {
+          err.bytes = bytes;
+          reject(err);
+        } else {
+          resolve(bytes);
+        }
+      };
+
+      upstream.on('data', chunk => { bytes += chunk.length; });
+      upstream.on('end', () => {
+        // 上游提前结束（Content-Length 对不上）也按中断处理
+        const expected = Number(upstream.headers['content-length']);
+        if (Number.isFinite(expected) && bytes < expected) finish(new Error(`上游提前结束 ${bytes}/${expected}`));
+        else finish();
+      });
+      upstream.on('error', finish);
+      upstream.on('aborted', () => finish(new Error('上游连接中断')));
+      res.on('close', onClientClose);
+
+      upstream.pipe(res, { end: false });
+    });
+  }
+
+  /**
+   * 确认直链仍可访问（302 模式下发出缓存的直链前调用）：只请求 1 字节
+   * @param {{url: string, userAgent: string}} info - getDownloadUrl 的返回值
+   * @returns {Promise<boolean>} 只有 CDN 明确返回 401/403/404/410 时为 false；网络错误不算失效
+   */
+  async isLinkAlive(info) {
+    try {
+      const up = await this.openUpstream(info.url, { 'User-Agent': info.userAgent, Range: 'bytes=0-0' });
+      up.destroy();
+      return !EXPIRED_STATUS.has(up.statusCode);
+    } catch (e) {
+      this.logger.warn(`[Proxy] 检查直链失败，按可用处理: ${e.message}`);
+      return true;
+    }
+  }
+
+  // 发起上游请求，自动跟随重定向；resolve 为 IncomingMessage
+  openUpstream(url, headers, redirects = 0) {
+    return new Promise((resolve, reject) => {
+      const u = new URL(url);
+      const mod = u.protocol === 'http:' ? http : https;
+
+      const req = mod.request(u, { method: 'GET', headers }, (up) => {
+        if ([301, 302, 303, 307, 308].includes(up.statusCode) && up.headers.location && redirects < this.maxRedirects) {
+          up.resume();
+          const next = new URL(up.headers.location, u).toString();
+          return resolve(this.openUpstream(next, headers, redirects + 1));
+        }
+        up.setTimeout?.(this.timeoutMs, () => up.destroy(new Error('上游读取超时')));
+        resolve(up);
+      });
+
+      req.setTimeout(this.timeoutMs, () => req.destroy(new Error('上游连接超时')));
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  /**
+   * 解析单段 Range 头
+   * @returns {{start: number, end?: number}|null|'unsatisfiable'} 无/多段/无法解析返回 null（原样透传）
+   */
+  parseRange(header, size) {
+    if (!header) return null;
+    const m = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+    if (!m) return null;
+
+    const total = Number(size) || 0;
+    let start;
+    let end;
+
+    if (m[1] === '' && m[2] === '') return null;
+    if (m[1] === '') {
+      // bytes=-N：最后 N 字节，需要知道总长度
+      if (!total) return null;
+      start = Math.max(0, total - Number(m[2]));
+      end = total - 1;
+    } else {
+      start = Number(m[1]);
+      if (m[2] !== '') end = Number(m[2]);
+      if (total && end !== undefined) end = Math.min(end, total - 1);
+    }
+
+    if (total && start >= total) return 'unsatisfiable';
+    if (end !== undefined && end < start) return null;
+    return end === undefined ? { start } : { start, end };
+  }
+}
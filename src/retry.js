@@ -0,0 +1,124 @@
+/**
+ * 115 接口请求的重试策略（网络抖动 / 5xx）
+ *
+ * - 可重试：连接重置、超时、DNS 解析失败等网络错误，以及 500/502/503/504
+ * - 不可重试：其它 4xx、业务错误（state=false 由调用方处理），以及风控 / 熔断（交给 throttle.js 控制节奏）；
+ *   例外：429 带 Retry-After 时按它等待后重试（服务端明确给了可以再来的时间，同时 throttle 也会按它暂停整组请求）
+ * - 非幂等请求（刷新 token、写操作）只在请求肯定没发出去时重试（连接都没建立）
+ * - 等待时间：指数退避 + 抖动；响应带 Retry-After 时按它等待（超过 maxDelayMs 则放弃）
+ *
+ * 每次尝试都由调用方重新走一遍限流器（见 Pan115API._request），重试不会绕过限流 / 风控节奏
+ */
+import { isThrottleError, RiskControlError } from './throttle.js';
+
+// 连接未建立：请求肯定没到达服务端，非幂等请求也可以安全重试
+const CONNECT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH']);
+
+// 请求可能已经到达服务端的网络错误
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT']);
+
+const RETRYABLE_STATUS = new Set([500, 502, 503, 504]);
+
+/**
+ * 解析 Retry-After（秒数或 HTTP 日期）
+ * @returns {number|null} 毫秒，没有或无法解析时返回 null
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const s = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s) * 1000);
+  const at = Date.parse(s);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// axios 错误或包着它的 RiskControlError 上的 Retry-After
+function retryAfterHeader(error) {
+  return (error?.response || error?.cause?.response)?.headers?.['retry-after'];
+}
+
+/**
+ * 判断一次失败能不能重试
+ * @param {Error} error - axios 抛出的错误
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent=true]
+ * @returns {boolean}
+ */
+export function isRetryableError(error, { idempotent = true } = {}) {
+  if (!error) return false;
+  // 429 说明请求没有被处理，非幂等也可以重试；没有 Retry-After 时交给风控降速
+  if (error instanceof RiskControlError) {
+    return error.reason === 'http_429' && parseRetryAfter(retryAfterHeader(error)) !== null;
+  }
+  if (isThrottleError(error)) return false;
+
+  const code = error.code || error.cause?.code;
+  const status = error.response?.status;
+
+  if (!error.response) {
+    if (CONNECT_ERROR_CODES.has(code)) return true;
+    return idempotent && TRANSIENT_ERROR_CODES.has(code);
+  }
+  // 503 表示服务端没有处理这次请求，非幂等也可以重试
+  if (status === 503) return true;
+  return idempotent && RETRYABLE_STATUS.has(status);
+}
+
+export class RetryPolicy {
+  /**
+   * @param {Object} [options] - 见 configure
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || null;
+    this.configure(options);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxRetries] - 失败后最多重试几次（0 = 不重试）
+   * @param {number} [options.baseDelayMs] - 第一次重试前的等待，之后每次翻倍
+   * @param {number} [options.maxDelayMs] - 单次等待上限；Retry-After 超过它时放弃重试
+   */
+  configure({ maxRetries, baseDelayMs, maxDelayMs } = {}) {
+    this.maxRetries = maxRetries ?? this.maxRetries ?? 2;
+    this.baseDelayMs = baseDelayMs ?? this.baseDelayMs ?? 500;
+    this.maxDelayMs = maxDelayMs ?? this.maxDelayMs ?? 10_000;
+  }
+
+  /**
+   * 第 attempt 次重试前的等待时间
+   * @returns {number|null} 毫秒；null 表示 Retry-After 太长，不再重试
+   */
+  delayFor(attempt, error) {
+    const retryAfter = parseRetryAfter(retryAfterHeader(error));
+    if (retryAfter !== null) return retryAfter <= this.maxDelayMs ? retryAfter : null;
+
+    const exp = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    // 50%~100% 抖动
+    return Math.round(exp * (0.5 + Math.random() / 2));
+  }
+
+  /**
+   * 执行并按策略重试
+   * @param {Function} fn - 每次尝试调用一次（需要自己重新排队限流、重新构造请求体）
+   * @param {Object} [options]
+   * @param {string} [options.label] - 日志里的请求名
+   * @param {boolean} [options.idempotent=true]
+   */
+  async run(fn, { label = 'request', idempotent = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (e) {
+        if (attempt >= this.maxRetries || !isRetryableError(e, { idempotent })) throw e;
+
+        const wait = this.delayFor(attempt + 1, e);
+        if (wait === null) throw e;
+
+        const reason = e.response ? `HTTP ${e.response.status}` : (e.code || e.message);
+        this.logger?.warn(`[Retry] ${label} 失败 (${reason})，${wait}ms 后重试 (${attempt + 1}/${this.maxRetries})`);
+        await new Promise(r => setTimeout(r, wait));
+      }
+    }
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * 115 风控自适应限流 + 熔断
+ *
+ * 每类接口（list / downurl / token）一个 AdaptiveThrottle，互不影响：
+ * - closed：正常放行；遇到风控信号时附加延迟指数增长（带抖动），成功后逐步减半恢复
+ * - open：连续 threshold 次风控信号后熔断，openMs 内直接拒绝（调用方改用过期缓存），
+ *         连续熔断时熔断时长指数增长，最多 maxOpenMs
+ * - half-open：熔断到期后每 probeIntervalMs 只放行一个探测请求，成功则恢复，再遇风控立即重新熔断
+ * - 风控响应带 Retry-After（如 429）时，这段时间内该组不再发请求：不超过 maxDelayMs 的等待，
+ *   超过的直接拒绝（调用方改用过期缓存）；熔断中则把熔断延长到 Retry-After 之后
+ */
+
+// 默认视为风控的 errNo / code（911 = 需要验证账号）
+export const DEFAULT_RISK_CODES = [911];
+
+/**
+ * 配置里的 throttle.riskCodes 是追加的，默认值始终生效
+ * @param {Array<number|string>} [codes]
+ * @returns {number[]}
+ */
+export function mergeRiskCodes(codes = []) {
+  return [...new Set([...DEFAULT_RISK_CODES, ...codes.map(Number)])];
+}
+
+// 风控类 HTTP 状态码
+const RISK_HTTP_STATUS = [403, 405, 429];
+
+const RISK_MESSAGE_RE = /频繁|频率|风控|验证码|安全验证|captcha|too many/i;
+const HTML_RE = /^\s*<(!doctype|html)/i;
+
+export class CircuitOpenError extends Error {
+  constructor(endpoint, retryInMs) {
+    super(`115 ${endpoint} 接口熔断中，${Math.ceil(retryInMs / 1000)} 秒后重试`);
+    this.name = 'CircuitOpenError';
+    this.endpoint = endpoint;
+    this.retryInMs = retryInMs;
+  }
+}
+
+export class RiskControlError extends Error {
+  constructor(endpoint, reason, cause) {
+    super(`115 ${endpoint} 接口触发风控 (${reason})`);
+    this.name = 'RiskControlError';
+    this.endpoint = endpoint;
+    this.reason = reason;
+    if (cause) this.cause = cause;
+  }
+}
+
+// 熔断 / 风控导致的失败：调用方可以改用过期缓存
+export function isThrottleError(e) {
+  return e instanceof CircuitOpenError || e instanceof RiskControlError;
+}
+
+/**
+ * 判断一次 115 响应 / 异常是不是风控信号
+ * @param {{response?: Object, error?: Error}} result - axios response 或 axios 抛出的错误
+ * @param {number[]} [riskCodes]
+ * @returns {string|null} 信号原因（http_429 / captcha / code_911 / message / empty_state_false），不是风控返回 null
+ */
+export function detectRiskSignal({ response, error } = {}, riskCodes = DEFAULT_RISK_CODES) {
+  const res = response || error?.response;
+  if (!res) return null;
+
+  const data = res.data;
+  // JSON 接口返回了 HTML：验证码 / 安全验证页
+  if (typeof data === 'string' && (HTML_RE.test(data) || RISK_MESSAGE_RE.test(data))) return 'captcha';
+
+  if (error && RISK_HTTP_STATUS.includes(res.status)) return `http_${res.status}`;
+
+  if (data && typeof data === 'object' && data.state === false) {
+    const code = data.errNo ?? data.errno ?? data.code;
+    if (code !== undefined && riskCodes.includes(Number(code))) return `code_${code}`;
+
+    const message = data.error || data.message || data.msg || '';
+    if (RISK_MESSAGE_RE.test(message)) return 'message';
+    if ((code === undefined || code === 0 || code === '') && !message) return 'empty_state_false';
+  }
+  return null;
+}
+
+function jitter(ms) {
+  // ±50% 抖动，避免多个请求同时醒来
+  return Math.round(ms * (0.5 + Math.random()));
+}
+
+export class AdaptiveThrottle {
+  /**
+   * @param {string} name - list / downurl / token
+   * @param {Object} [options] - 见 configure
+   * @param {Object} [options.logger]
+   * @param {string} [options.account] - 日志里的账号名
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.logger = options.logger || null;
+    this.account = options.account || 'default';
+
+    this.state = 'closed';
+    this.delayMs = 0;      // 当前附加延迟
+    this.strikes = 0;      // 连续风控信号次数
+    this.trips = 0;        // 连续熔断次数（探测成功后清零）
+    this.openUntil = 0;
+    this.notBefore = 0;    // Retry-After 要求的最早下次请求时间
+    this.lastProbeAt = 0;
+    this._probing = false;
+    this.lastSignal = null;
+    this.counts = { signals: 0, rejected: 0, opened: 0 };
+
+    this.configure(options);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.baseDelayMs] - 第一次遇到风控时的附加延迟
+   * @param {number} [options.maxDelayMs] - 附加延迟上限
+   * @param {number} [options.threshold] - 连续多少次风控信号后熔断
+   * @param {number} [options.openMs] - 第一次熔断时长
+   * @param {number} [options.maxOpenMs] - 熔断时长上限
+   * @param {number} [options.probeIntervalMs] - half-open 时探测请求的最小间隔
+   */
+  configure({ baseDelayMs, maxDelayMs, threshold, openMs, maxOpenMs, probeIntervalMs } = {}) {
+    this.baseDelayMs = baseDelayMs ?? this.baseDelayMs ?? 1000;
+    this.maxDelayMs = maxDelayMs ?? this.maxDelayMs ?? 30_000;
+    this.threshold = threshold ?? this.threshold ?? 3;
+    this.openMs = openMs ?? this.openMs ?? 60_000;
+    this.maxOpenMs = maxOpenMs ?? this.maxOpenMs ?? 15 * 60_000;
+    this.probeIntervalMs = probeIntervalMs ?? this.probeIntervalMs ?? 10_000;
+  }
+
+  // 现在发请求会不会被拒绝（调用方据此决定是否直接用过期缓存）
+  get blocked() {
+    const now = Date.now();
+    if (this.state === 'open') return now < this.openUntil || this._probing;
+    if (this.state === 'half-open') return this._probing || now - this.lastProbeAt < this.probeIntervalMs;
+    return this.notBefore - now > this.maxDelayMs;
+  }
+
+  /**
+   * 发请求前调用：熔断中抛 CircuitOpenError；有附加延迟时先等待
+   * @throws {CircuitOpenError}
+   */
+  async acquire() {
+    const now = Date.now();
+
+    if (this.state === 'open' && now >= this.openUntil) {
+      this.state = 'half-open';
+      this.lastProbeAt = 0;
+      this.info(`熔断到期，进入探测（half-open）`);
+    }
+
+    if (this.state === 'open') {
+      this.counts.rejected++;
+      throw new CircuitOpenError(this.name, this.openUntil - now);
+    }
+
+    if (this.state === 'half-open') {
+      const wait = this.lastProbeAt + this.probeIntervalMs - now;
+      if (this._probing || wait > 0) {
+        this.counts.rejected++;
+        throw new CircuitOpenError(this.name, Math.max(wait, 0) || this.probeIntervalMs);
+      }
+      this._probing = true;
+      this.lastProbeAt = now;
+    }
+
+    const hold = this.notBefore - now;
+    if (hold > this.maxDelayMs) {
+      this.counts.rejected++;
+      this._probing = false;
+      throw new CircuitOpenError(this.name, hold);
+    }
+
+    const wait = Math.max(hold, this.delayMs > 0 ? jitter(this.delayMs) : 0);
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+  }
+
+  // 请求正常返回（包括非风控的业务错误）
+  onSuccess() {
+    if (this.state === 'half-open') {
+      this.state = 'closed';
+      this.trips = 0;
+      this.strikes = 0;
+      // 刚恢复时保留一点延迟，之后随成功逐步减半
+      this.delayMs = this.baseDelayMs;
+      this.info('探测成功，恢复正常（closed）');
+    } else {
+      this.strikes = 0;
+      this.delayMs = this.delayMs > this.baseDelayMs / 4 ? Math.floor(this.delayMs / 2) : 0;
+    }
+    this._probing = false;
+  }
+
+  /**
+   * 遇到风控信号
+   * @param {string} reason
+   * @param {Object} [options]
+   * @param {number|null} [options.retryAfterMs] - 响应里的 Retry-After（毫秒）
+   */
+  onRiskSignal(reason, { retryAfterMs = null } = {}) {
+    this.counts.signals++;
+    this.lastSignal = { reason, at: Date.now() };
+    this.strikes++;
+    this.delayMs = Math.min(Math.max(this.delayMs * 2, this.baseDelayMs), this.maxDelayMs);
+    this._probing = false;
+
+    if (this.state === 'half-open' || this.strikes >= this.threshold) {
+      this.open(reason);
+    } else {
+      this.warn(`检测到风控信号 (${reason})，降速：附加延迟 ~${this.delayMs}ms（${this.strikes}/${this.threshold}）`);
+    }
+    if (retryAfterMs > 0) this.holdFor(retryAfterMs);
+  }
+
+  // 按 Retry-After 暂停：熔断中延长熔断，否则记下最早的下次请求时间
+  holdFor(ms) {
+    const until = Date.now() + ms;
+    if (this.state === 'open') this.openUntil = Math.max(this.openUntil, until);
+    else this.notBefore = Math.max(this.notBefore, until);
+    this.info(`按 Retry-After 暂停 ${Math.ceil(ms / 1000)} 秒`);
+  }
+
+  // 网络错误等非风控失败：不改变状态，只释放探测名额
+  onOtherFailure() {
+    this._probing = false;
+  }
+
+  open(reason) {
+    this.trips++;
+    this.counts.opened++;
+    const duration = jitter(Math.min(this.openMs * 2 ** (this.trips - 1), this.maxOpenMs));
+    this.state = 'open';
+    this.openUntil = Date.now() + duration;
+    this.warn(`熔断 ${Math.ceil(duration / 1000)} 秒 (${reason})，期间使用过期缓存，第 ${this.trips} 次`);
+  }
+
+  info(msg) {
+    this.logger?.info(`[Throttle] ${this.account}/${this.name}: ${msg}`);
+  }
+
+  warn(msg) {
+    this.logger?.warn(`[Throttle] ${this.account}/${this.name}: ${msg}`);
+  }
+
+  toJSON() {
+    const now = Date.now();
+    return {
+      state: this.state,
+      delayMs: this.delayMs,
+      strikes: this.strikes,
+      trips: this.trips,
+      retryInMs: Math.max(0, (this.state === 'open' ? this.openUntil : this.notBefore) - now),
+      lastSignal: this.lastSignal ? { ...this.lastSignal, at: new Date(this.lastSignal.at).toISOString() } : null,
+      ...this.counts
+    };
+  }
+}
@@ -0,0 +1,68 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// 115 秒传的 preid：文件前 128KB 的 SHA1
+const PREID_BYTES = 128 * 1024;
+
+/**
+ * 把请求体流式写入临时文件，同时计算 SHA1（不在内存里缓存整个文件）
+ * @param {import('node:stream').Readable} stream - 通常就是 req
+ * @param {Object} opts
+ * @param {string} [opts.dir] - 临时目录，默认系统临时目录
+ * @returns {Promise<{filePath: string, size: number, sha1: string, preid: string}>} sha1/preid 为大写十六进制
+ */
+export async function spoolToTempFile(stream, { dir } = {}) {
+  const tmpDir = dir || os.tmpdir();
+  await fs.promises.mkdir(tmpDir, { recursive: true });
+  const filePath = path.join(tmpDir, `115-upload-${process.pid}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.part`);
+
+  const full = crypto.createHash('sha1');
+  const head = crypto.createHash('sha1');
+  let size = 0;
+
+  try {
+    await new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(filePath);
+
+      stream.on('data', (chunk) => {
+        full.update(chunk);
+        if (size < PREID_BYTES) head.update(chunk.subarray(0, PREID_BYTES - size));
+        size += chunk.length;
+      });
+      stream.on('error', reject);
+      // 客户端中途断开
+      stream.on('aborted', () => reject(new Error('上传被客户端中断')));
+      out.on('error', reject);
+      out.on('finish', resolve);
+
+      stream.pipe(out);
+    });
+  } catch (e) {
+    await fs.promises.unlink(filePath).catch(() => {});
+    throw e;
+  }
+
+  return {
+    filePath,
+    size,
+    sha1: full.digest('hex').toUpperCase(),
+    preid: head.digest('hex').toUpperCase()
+  };
+}
+
+/**
+ * 计算文件某个区间（闭区间）的 SHA1，用于 115 秒传二次校验（sign_check = "start-end"）
+ * @returns {Promise<string>} 大写十六进制
+ */
+export async function sha1OfRange(filePath, start, end) {
+  const hash = crypto.createHash('sha1');
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath, { start, end })
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', resolve);
+  });
+  return hash.digest('hex').toUpperCase();
+}
@@ -0,0 +1,356 @@
+import { EventEmitter } from 'node:events';
+import { Logger } from './logger.js';
+import { MountTable } from './mounts.js';
+import { watchChanges } from './metrics.js';
+
+// 会改变目录内容的生活事件（浏览、星标等忽略）
+const LIFE_CHANGE_BEHAVIORS = new Set([
+  'upload_file', 'upload_image_file', 'move_file', 'move_image_file', 'receive_files',
+  'new_folder', 'copy_folder', 'folder_rename', 'delete_file'
+]);
+
+// 生活事件查询时间窗口往前多取一点，防止两边时钟误差漏掉事件（重复的事件 diff 后没有变化）
+const LIFE_OVERLAP_SEC = 60;
+
+// /__watch/status 保留的最近事件数
+const RECENT_MAX = 200;
+
+/**
+ * 变更监控：定期检查监控目录，发现新增 / 删除 / 改名后精确清缓存并发出事件
+ *
+ * - 每个目录重新拉一次列表（getFileList fresh，走 list 限流器，和 PROPFIND 共用排队），
+ *   和上一次的快照按文件 id 对比；新列表直接写回目录缓存，PROPFIND 立即可见
+ * - 快照由监控自己保存，不依赖目录缓存（缓存过期后被别的请求刷新也不会漏掉变化）
+ * - 首次扫描只建立基线，不发事件；新增目录下的内容全部按 added 发出
+ * - 同一目录内 id 不变、名称变化为 renamed；跨目录移动表现为 removed + added
+ * - source = life 时平时只查 115 生活事件，只重新列出有变化的目录；每 fullScanIntervalMs 全量扫描一次兜底，
+ *   生活事件不可用（如只配置了 OpenAPI token）时退回全量扫描
+ *
+ * 事件：
+ * - 'change' / 'added' / 'removed' / 'renamed'：{ type, path, oldPath?, id, name, itemType, size, pickcode, account, at }
+ * - 'scan'：每次扫描结束，{ ...统计, changes }
+ */
+export class ChangeWatcher extends EventEmitter {
+  /**
+   * @param {Object|Array<{name: string, api: Object}>|MountTable} panAPI - 同 WebDAVServer
+   * @param {Object} options
+   * @param {string[]} [options.folders] - 监控的目录（WebDAV 路径，含子目录）
+   * @param {number} [options.intervalMs] - 检查间隔；0 = 不定时检查，只能通过 /__watch/scan 触发
+   * @param {'poll'|'life'} [options.source]
+   * @param {number} [options.fullScanIntervalMs] - source = life 时的全量扫描间隔
+   * @param {number} [options.maxDirs] - 单次扫描最多列出的目录数
+   */
+  constructor(panAPI, options = {}) {
+    super();
+    // 每个 /__watch/events 连接一个 change 监听
+    this.setMaxListeners(0);
+    this.mounts = MountTable.from(panAPI);
+    this.folders = (Array.isArray(options.folders) && options.folders.length ? options.folders : ['/']).map(normalizePath);
+    this.intervalMs = options.intervalMs ?? 300_000;
+    this.source = options.source === 'life' ? 'life' : 'poll';
+    this.fullScanIntervalMs = options.fullScanIntervalMs ?? 3_600_000;
+    this.maxDirs = options.maxDirs ?? 1000;
+
+    this.logger = new Logger(!!options.debug, 'watch');
+
+    // 完整 WebDAV 目录路径 -> { api, id, items: Map<id, {id, name, type, size, pickcode}> }
+    this._dirs = new Map();
+    // 账号名 -> 生活事件已经处理到的时间（unix 秒）
+    this._lifeSince = new Map();
+    this._lastFullScanAt = 0;
+    this._lifeUnavailable = false;
+
+    this._timer = null;
+    this._running = null;
+    this.lastResult = null;
+    this.recent = [];
+  }
+
+  get running() {
+    return !!this._running;
+  }
+
+  start() {
+    if (this._timer) return;
+    this.scan().catch(() => {});
+    if (this.intervalMs <= 0) return;
+    this._timer = setInterval(() => {
+      if (!this.running) this.scan().catch(() => {});
+    }, this.intervalMs);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * 执行一次检查（已有检查在跑时复用同一个 Promise）
+   * @param {Object} [opts]
+   * @param {boolean} [opts.full] - source = life 时也强制全量扫描
+   * @returns {Promise<Object>} 统计结果
+   */
+  async scan(opts = {}) {
+    if (this._running) return this._running;
+
+    this._running = this._scanImpl(opts);
+    try {
+      return await this._running;
+    } catch (e) {
+      this.logger.error('[Watch] 检查失败:', e);
+      this.lastResult = { ok: false, error: e.message, finishedAt: new Date().toISOString() };
+      throw e;
+    } finally {
+      this._running = null;
+    }
+  }
+
+  async _scanImpl({ full = false } = {}) {
+    const startedAt = Date.now();
+    const result = { mode: 'full', dirs: 0, truncated: false, changes: [], errors: [], visited: new Set() };
+
+    const fullDue = !this._lastFullScanAt || (this.fullScanIntervalMs > 0 && startedAt - this._lastFullScanAt >= this.fullScanIntervalMs);
+    if (this.source === 'life' && !full && !fullDue && !this._lifeUnavailable) {
+      result.mode = 'life';
+      if (!(await this._lifeScan(result, startedAt))) result.mode = 'full';
+    }
+    if (result.mode === 'full') {
+      await this._fullScan(result);
+      this._lastFullScanAt = startedAt;
+      for (const { name } of this.mounts.entries) this._lifeSince.set(name, Math.floor(startedAt / 1000));
+    }
+    // 生活事件已经消费掉了，列目录失败的目录下次全量扫描补上
+    if (result.mode === 'life' && result.errors.length) this._lastFullScanAt = 0;
+
+    const count = (type) => result.changes.filter(c => c.type === type).length;
+    const summary = {
+      ok: result.errors.length === 0,
+      mode: result.mode,
+      dirs: result.dirs,
+      truncated: result.truncated,
+      added: count('added'),
+      removed: count('removed'),
+      renamed: count('renamed'),
+      errors: result.errors,
+      durationMs: Date.now() - startedAt,
+      finishedAt: new Date().toISOString()
+    };
+    this.lastResult = summary;
+
+    const log = result.changes.length || result.errors.length ? 'info' : 'log';
+    this.logger[log](
+      `[Watch] 检查完成（${summary.mode}）- 目录 ${summary.dirs}${summary.truncated ? '（已达 maxDirs 上限）' : ''}, ` +
+      `新增 ${summary.added}, 删除 ${summary.removed}, 改名 ${summary.renamed}, 错误 ${summary.errors.length}, 耗时 ${summary.durationMs}ms`
+    );
+    this._emit('scan', { ...summary, changes: result.changes });
+    return summary;
+  }
+
+  // 全量：逐个监控目录递归列出
+  async _fullScan(result) {
+    for (const folder of this.folders) {
+      // 多账号的虚拟根目录：逐个账号
+      const paths = this.mounts.isVirtualRoot(folder) ? this.mounts.entries.map(e => `/${e.name}`) : [folder];
+
+      for (const p of paths) {
+        const target = this.mounts.resolve(p);
+        let dir = null;
+        try {
+          dir = target ? await target.api.getFileByPath(target.subPath) : null;
+        } catch (e) {
+          result.errors.push({ path: p, error: e.message });
+          continue;
+        }
+        if (!dir || dir.type !== 'directory') {
+          result.errors.push({ path: p, error: '目录不存在或不是目录' });
+          continue;
+        }
+        await this._walk(target.api, p, dir, result, false);
+      }
+    }
+  }
+
+  /**
+   * 生活事件：只重新列出事件涉及的、已在快照里的目录
+   * @returns {Promise<boolean>} false = 生活事件不可用，需要改为全量扫描
+   */
+  async _lifeScan(result, startedAt) {
+    const dirty = new Map(); // 目录路径 -> 快照
+    for (const { name, api } of this.mounts.entries) {
+      let events;
+      try {
+        const since = this._lifeSince.get(name) ?? Math.floor(startedAt / 1000);
+        events = await api.getLifeEvents(since - LIFE_OVERLAP_SEC);
+      } catch (e) {
+        this.logger.warn(`[Watch] 获取生活事件失败，本次改为全量扫描 - 账号: ${api.accountName}`, e.message);
+        if (!api.cookie) this._lifeUnavailable = true;
+        return false;
+      }
+      this._lifeSince.set(name, Math.floor(startedAt / 1000));
+
+      for (const ev of events) {
+        if (!LIFE_CHANGE_BEHAVIORS.has(ev.behavior)) continue;
+        for (const [path, snap] of this._dirs) {
+          if (snap.api === api && snap.id === ev.parentId) dirty.set(path, snap);
+        }
+      }
+    }
+
+    for (const [path, snap] of dirty) {
+      // 同一轮里可能已经因为上级目录的变化被删掉
+      if (this._dirs.get(path) !== snap) continue;
+      await this._walk(snap.api, path, { id: snap.id, type: 'directory' }, result, false, { recursive: false });
+    }
+    return true;
+  }
+
+  /**
+   * 列出一个目录并和快照对比，然后递归子目录
+   * 列目录失败时整棵子树都跳过：不比较、保留上次的快照（不能当成目录被清空），本次检查记为失败
+   * @param {boolean} announce - 没有快照时也把内容当作新增（上级目录是新增的）
+   */
+  async _walk(api, dirPath, dir, result, announce, { recursive = true } = {}) {
+    if (result.visited.has(dirPath)) return;
+    if (result.dirs >= this.maxDirs) {
+      result.truncated = true;
+      return;
+    }
+    result.visited.add(dirPath);
+
+    let items;
+    try {
+      items = dir.virtual ? await api.listDirectory(dir) : await api.getFileList(dir.id, { fresh: true });
+      if (!Array.isArray(items)) throw new Error('目录列表无效');
+    } catch (e) {
+      this.logger.warn(`[Watch] 列目录失败，跳过: ${dirPath}`, e.message);
+      result.errors.push({ path: dirPath, error: e.message });
+      return;
+    }
+    result.dirs++;
+
+    // 多个虚拟根目录时的 "/" 只是根目录列表，不会变化
+    const added = dir.virtual ? [] : this._diff(api, dirPath, dir, items, result, announce);
+
+    const children = recursive ? items.filter(i => i.type === 'directory') : added;
+    for (const child of children) {
+      await this._walk(api, joinPath(dirPath, child.name), child, result, announce || added.includes(child));
+    }
+  }
+
+  /**
+   * 对比快照，清掉受影响的缓存，记录变化
+   * @returns {Array} 新增的子目录
+   */
+  _diff(api, dirPath, dir, items, result, announce) {
+    const prev = this._dirs.get(dirPath);
+    const next = new Map(items.map(i => [String(i.id), {
+      id: String(i.id), name: i.name, type: i.type, size: i.size, pickcode: i.pickcode
+    }]));
+    this._dirs.set(dirPath, { api, id: String(dir.id), items: next });
+
+    // 首次扫描：只建立基线
+    if (!prev && !announce) return [];
+
+    const before = prev?.items || new Map();
+    const addedDirs = [];
+
+    for (const [id, item] of next) {
+      const old = before.get(id);
+      if (!old) {
+        this._record(api, result, 'added', joinPath(dirPath, item.name), item);
+        if (item.type === 'directory') addedDirs.push(items.find(i => String(i.id) === id));
+      } else if (old.name !== item.name) {
+        const oldPath = joinPath(dirPath, old.name);
+        const newPath = joinPath(dirPath, item.name);
+        this._forget(api, oldPath, old);
+        if (item.type === 'directory') this._moveSnapshots(oldPath, newPath);
+        this._record(api, result, 'renamed', newPath, item, oldPath);
+      }
+    }
+    for (const [id, item] of before) {
+      if (next.has(id)) continue;
+      const path = joinPath(dirPath, item.name);
+      this._forget(api, path, item);
+      if (item.type === 'directory') this._dropSnapshots(path);
+      this._record(api, result, 'removed', path, item);
+    }
+    return addedDirs;
+  }
+
+  // 旧路径的路径映射（目录连同子路径）和目录列表缓存（缓存里带着旧路径）
+  _forget(api, path, item) {
+    const target = this.mounts.resolve(path);
+    if (target) api.invalidatePathTree(target.subPath);
+    if (item.type === 'directory') api.invalidateFileListCacheById(item.id);
+  }
+
+  _moveSnapshots(oldPath, newPath) {
+    for (const [p, snap] of [...this._dirs]) {
+      if (p !== oldPath && !p.startsWith(`${oldPath}/`)) continue;
+      this._dirs.delete(p);
+      this._dirs.set(newPath + p.slice(oldPath.length), snap);
+    }
+  }
+
+  _dropSnapshots(path) {
+    for (const p of [...this._dirs.keys()]) {
+      if (p === path || p.startsWith(`${path}/`)) this._dirs.delete(p);
+    }
+  }
+
+  _record(api, result, type, path, item, oldPath) {
+    const event = {
+      type,
+      path,
+      ...(oldPath ? { oldPath } : {}),
+      id: item.id,
+      name: item.name,
+      itemType: item.type,
+      size: item.size,
+      pickcode: item.pickcode,
+      account: api.accountName,
+      at: new Date().toISOString()
+    };
+    result.changes.push(event);
+    watchChanges.inc({ account: api.accountName, type });
+
+    this.recent.push(event);
+    if (this.recent.length > RECENT_MAX) this.recent.splice(0, this.recent.length - RECENT_MAX);
+
+    this.logger.info(`[Watch] ${type}: ${oldPath ? `${oldPath} -> ` : ''}${path}`);
+    this._emit('change', event);
+    this._emit(type, event);
+  }
+
+  // 订阅方抛错不影响扫描
+  _emit(name, payload) {
+    try {
+      this.emit(name, payload);
+    } catch (e) {
+      this.logger.error(`[Watch] ${name} 事件处理出错:`, e);
+    }
+  }
+
+  toJSON() {
+    return {
+      source: this.source,
+      folders: this.folders,
+      intervalMs: this.intervalMs,
+      running: this.running,
+      watchedDirs: this._dirs.size,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+function normalizePath(p) {
+  let s = String(p || '/').replace(/\/+/g, '/');
+  if (!s.startsWith('/')) s = '/' + s;
+  if (s !== '/' && s.endsWith('/')) s = s.slice(0, -1);
+  return s;
+}
+
+function joinPath(dir, name) {
+  return dir === '/' ? `/${name}` : `${dir}/${name}`;
+}
@@ -1,24 +1,146 @@
+import fs from 'node:fs';
+import crypto from 'node:crypto';
 import express from 'express';
-import { Logger } from './logger.js';
+import { Logger, logAccess, runWithRequestId } from './logger.js';
+import { MountTable } from './mounts.js';
+import { isThrottleError } from './throttle.js';
+import { StreamProxy } from './proxy.js';
+import { DAV_NS, XmlParseError, getBodyText, parsePropfindRequest, parseSearchRequest } from './dav-xml.js';
+import { spoolToTempFile } from './upload.js';
+import { metrics, webdavRequests, clientRuleHits } from './metrics.js';
+import { AdminConsole } from './admin.js';
+import { UserStore, normalizeRoot } from './auth.js';
+import { UrlSigner, parseIpRanges } from './signer.js';
+import { ClientPolicy } from './client-rules.js';
+
+// 支持的 DAV: 活属性（allprop / propname 返回的就是这些）
+const LIVE_PROPS = [
+  'displayname',
+  'resourcetype',
+  'getlastmodified',
+  'getcontentlength',
+  'getcontenttype',
+  'creationdate',
+  'getetag'
+];
+
+// /__search?type= 对应的 115 文件类型
+const SEARCH_TYPES = {
+  document: 1,
+  image: 2,
+  audio: 3,
+  video: 4,
+  archive: 5,
+  app: 6
+};
 
 export class WebDAVServer {
+  /**
+   * @param {Object|Array<{name: string, api: Object}>|MountTable} panAPI
+   *        单个 Pan115API（挂在根目录），或多账号挂载列表（每个账号挂在 /<name>/ 下）
+   */
   constructor(panAPI, options = {}) {
-    this.panAPI = panAPI;
+    this.mounts = MountTable.from(panAPI);
 
     this.port = options.port ?? 3000;
-    this.username = options.username ?? 'admin';
-    this.password = options.password ?? 'admin';
 
-    this.blockGoHttpClient = options.blockGoHttpClient ?? false;
+    // WebDAV 用户：users 非空时按用户区分根目录 / 读写权限，否则使用旧的单个 username / password
+    this.users = new UserStore({ users: options.users, username: options.username, password: options.password });
+
+    // 客户端规则（webdav.clientRules）：按 UA / IP / 用户 / 路径决定 302、代理、403 或占位内容
+    // blockGoHttpClient 是其中一条内置规则
+    this.clientPolicy = new ClientPolicy({ rules: options.clientRules, blockGoHttpClient: options.blockGoHttpClient });
+
+    // 下载方式：redirect = 302 到 115 直链（默认）；proxy = 服务端代理转发
+    // - proxyUserAgents：命中这些 UA（正则）的请求走代理
+    // - proxyAllowQuery：允许客户端用 ?proxy=1 / ?proxy=0 按请求切换
+    const proxy = options.proxy || {};
+    this.proxyMode = proxy.mode === 'proxy' ? 'proxy' : 'redirect';
+    this.proxyUserAgents = (proxy.userAgents || []).map(r => new RegExp(r, 'i'));
+    this.proxyAllowQuery = proxy.allowQuery ?? false;
+    this.streamProxy = new StreamProxy({
+      maxRetries: proxy.maxRetries,
+      timeoutMs: proxy.timeoutMs,
+      debug: options.debug
+    });
+    // 302 模式下，缓存的直链先确认仍可访问再发出（失效则重新获取）；每次多一次往返，默认关闭
+    this.verifyCachedLinks = proxy.verifyCachedLinks ?? false;
+
+    // 签名 URL（UrlSigner，与 STRM 生成共用）：GET / HEAD 带有效签名时跳过 Basic Auth
+    this.signer = options.signer || new UrlSigner(options.sign);
+
+    // 写操作开关：默认只读（MKCOL 仍保留"只刷新父目录"的旧行为，其余写方法 405）
+    // 关闭只读后 MKCOL / DELETE / MOVE / COPY 会真正调用 115 接口
+    // users 里单独设置了 readOnly 的用户以自己的为准
+    this.readOnly = options.readOnly ?? true;
+
+    // PUT 上传：请求体先流式落到临时文件（不进内存），再秒传/分片上传到 115
+    const upload = options.upload || {};
+    this.uploadTempDir = upload.tempDir || '';
+    this.uploadPartSize = upload.partSize ?? 10 * 1024 * 1024;
+
+    // PROPFIND Depth: infinity：默认拒绝（403 propfind-finite-depth）
+    // 允许时做有上限的递归遍历（列目录仍走缓存 + 限流）
+    const propfind = options.propfind || {};
+    this.propfindAllowInfinity = !!propfind.allowInfinity;
+    this.propfindInfinityMaxItems = propfind.infinityMaxItems ?? 5000;
+
+    // 搜索（/__search、SEARCH）：自动翻页，最多取这么多条
+    const search = options.search || {};
+    this.searchMaxResults = search.maxResults ?? 1000;
+
+    // 可选：STRM 生成器（StrmSyncer），启用后提供 /__strm/* 管理接口
+    this.strmSyncer = options.strmSyncer || null;
+
+    // 可选：变更监控（ChangeWatcher），启用后提供 /__watch/* 管理接口
+    this.changeWatcher = options.changeWatcher || null;
+
+    // 就绪检查（/__ready）
+    this.healthChecker = options.healthChecker || null;
+
+    // 扫码登录（/__login/*）
+    this.qrLogin = options.qrLogin || null;
 
     this._refreshTimers = new Map(); // parentPath -> timeoutId
 
-    this.logger = new Logger(!!options.debug);
+    this.logger = new Logger(!!options.debug, 'webdav');
     this.app = express();
 
+    // 管理后台（/__admin）：独立账号密码，未设置密码时不启用
+    const admin = options.admin || {};
+    this.adminConsole = null;
+    if (admin.enabled && admin.password) {
+      this.adminConsole = new AdminConsole(this, {
+        username: admin.username,
+        password: admin.password,
+        configStore: admin.configStore,
+        debug: options.debug
+      });
+    } else if (admin.enabled) {
+      this.logger.warn('[WebDAV] admin.password 为空，管理后台未启用');
+    }
+
     this.setupRoutes();
   }
 
+  /**
+   * 热更新运行参数（config.json 热加载），只更新传入的字段
+   * 端口等需要重新监听的配置不在这里处理
+   */
+  applySettings({ users, username, password, clientRules, blockGoHttpClient, readOnly, sign, debug } = {}) {
+    if (users !== undefined || username !== undefined || password !== undefined) {
+      this.users.configure({ users, username, password });
+    }
+    if (sign !== undefined) this.signer.configure(sign);
+    if (clientRules !== undefined || blockGoHttpClient !== undefined) {
+      this.clientPolicy.configure({ rules: clientRules, blockGoHttpClient: blockGoHttpClient === undefined ? undefined : !!blockGoHttpClient });
+    }
+    if (readOnly !== undefined) this.readOnly = !!readOnly;
+    if (debug !== undefined) this.logger.debug = !!debug;
+
+    this.logger.info(`[WebDAV] 配置已更新 - users=${this.users.list().map(u => u.username).join(',')}, clientRules=${this.clientPolicy.rules.length}, readOnly=${this.readOnly}, signedUrls=${this.signer.enabled}`);
+  }
+
   debounceRefreshDir(parentPath, delayMs = 300) {
     const p = parentPath === '/' ? '/' : parentPath.replace(/\/+$/g, '');
     const old = this._refreshTimers.get(p);
@@ -27,12 +149,15 @@ export class WebDAVServer {
     const t = setTimeout(async () => {
       this._refreshTimers.delete(p);
       try {
+        const target = this.mounts.resolve(p);
+        if (!target) return;
+
         // 失效父目录缓存
-        this.panAPI.invalidateByPath?.(p);
+        target.api.invalidateByPath?.(target.subPath);
   
         // 可选：预热（让下一次 PROPFIND 立刻拿到新列表）
-        if (this.panAPI.refreshDirectoryByPath) {
-          await this.panAPI.refreshDirectoryByPath(p);
+        if (target.api.refreshDirectoryByPath) {
+          await target.api.refreshDirectoryByPath(target.subPath);
         }
         this.logger.log(`[WebDAV] 已刷新父目录缓存: ${p}`);
       } catch (e) {
@@ -44,49 +169,390 @@ export class WebDAVServer {
   }
 
   setupRoutes() {
+    // 请求计数 + 访问日志（放在最前面，401 等也要统计；客户端中途断开时同样以 close 计入）
+    // 请求 ID：沿用客户端 / 反向代理给的 X-Request-Id（格式合法时），否则新生成，并在响应头里返回
+    this.app.use((req, res, next) => {
+      const incoming = String(req.headers['x-request-id'] || '');
+      req.id = /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomBytes(6).toString('hex');
+      res.setHeader('X-Request-Id', req.id);
+
+      const startedAt = process.hrtime.bigint();
+      res.once('close', () => {
+        webdavRequests.inc({ method: req.method, status: res.statusCode });
+        logAccess({
+          requestId: req.id,
+          ip: req.socket.remoteAddress,
+          user: req.davUser?.username,
+          method: req.method,
+          url: req.originalUrl,
+          httpVersion: req.httpVersion,
+          status: res.statusCode,
+          bytes: req.method === 'HEAD' ? undefined : Number(res.getHeader('content-length')) || undefined,
+          referer: req.headers.referer,
+          userAgent: req.headers['user-agent'],
+          latencyMs: Number((process.hrtime.bigint() - startedAt) / 1_000_000n)
+        });
+      });
+      next();
+    });
+
     // 解析请求体（WebDAV 客户端可能会发 xml body）
-    this.app.use(express.raw({ type: '*/*', limit: '10gb' }));
-    this.app.use(express.text({ type: 'text/xml' }));
+    // PUT 的 body 是文件内容，不在这里缓存，由 PUT 处理器流式写入临时文件
+    const notPut = (req) => req.method !== 'PUT';
+    this.app.use(express.raw({ type: (req) => notPut(req), limit: '10gb' }));
+    this.app.use(express.text({ type: (req) => notPut(req) && req.is('text/xml') }));
+
+    // 之后的处理（包括调用的 Pan115API）日志都带上请求 ID
+    // 放在解析请求体之后：body 解析在流事件回调里调用 next，会丢掉之前建立的上下文
+    this.app.use((req, res, next) => runWithRequestId(req.id, next));
+
+    // 存活 / 就绪检查（不需要认证，放在 Basic Auth 之前）
+    this.app.get('/__health', (req, res) => {
+      return res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    this.app.get('/__ready', async (req, res) => {
+      if (!this.healthChecker) return res.status(404).json({ ready: false, error: '就绪检查未启用' });
+      try {
+        // 只读最近一次结果；首次请求时还没有结果就当场检查一次
+        const report = this.healthChecker.lastReport || await this.healthChecker.check();
+        return res.status(report.ready ? 200 : 503).json(report);
+      } catch (e) {
+        this.logger.error('[WebDAV] 就绪检查失败:', e);
+        return res.status(503).json({ ready: false, error: e.message });
+      }
+    });
+
+    // 管理后台使用自己的认证，放在 WebDAV Basic Auth 之前
+    if (this.adminConsole) this.app.use('/__admin', this.adminConsole.router);
 
     // Basic Auth（全局）
     this.app.use(this.basicAuth());
 
+    // STRM 同步 / 扫码登录会写本地文件、替换账号凭证，限定根目录为 / 的可写用户
+    this.app.use(['/__strm', '/__watch', '/__login'], this.requireFullAccess());
+
     // 手动刷新（必须放在 GET * 之前）
     this.app.get('/__refresh', async (req, res) => {
       try {
         const raw = req.query.path ?? '/';
-        const path = this.normalizeDecodedPath(String(raw));
+        const userPath = this.normalizeDecodedPath(String(raw));
+        const path = this.toFullPath(this.userRoot(req), userPath);
         const prefetch = String(req.query.prefetch || '') === '1';
 
         this.logger.log(`[WebDAV] 手动刷新 - path=${path}, prefetch=${prefetch}`);
 
-        if (prefetch) {
-          const info = await this.panAPI.refreshDirectoryByPath(path);
-          if (!info) return res.status(404).json({ ok: false, error: '目录不存在或不是目录' });
-          return res.json({ ok: true, ...info, prefetch: true });
-        }
-
-        const id = this.panAPI.invalidateByPath(path);
-        return res.json({ ok: true, path, invalidatedId: id ?? null, prefetch: false });
+        const result = await this.refreshPath(path, prefetch);
+        if (!result) return res.status(404).json({ ok: false, error: '目录不存在或不是目录' });
+        return res.json({ ...result, path: userPath });
       } catch (e) {
         this.logger.error('[WebDAV] 手动刷新失败:', e);
         return res.status(500).json({ ok: false, error: e.message || 'Internal Error' });
       }
     });
 
+    // STRM 同步（必须放在 GET * 之前）
+    // - /__strm/sync?path=/影视&dryRun=1&wait=1
+    //   默认后台执行并立刻返回 202；wait=1 时等待同步结束再返回统计
+    this.app.all('/__strm/sync', async (req, res) => {
+      if (!this.strmSyncer) return res.status(404).json({ ok: false, error: 'STRM 生成未启用（config.strm.enabled）' });
+      if (!['GET', 'POST'].includes(req.method)) return res.status(405).send('Method Not Allowed');
+
+      const raw = req.query.path;
+      const folders = raw ? [].concat(raw).map(p => this.normalizeDecodedPath(String(p))) : undefined;
+      const dryRun = String(req.query.dryRun || '') === '1';
+      const wait = String(req.query.wait || '') === '1';
+
+      // 已有同步在跑时排到它后面（同类请求合并），不丢弃本次请求的目录
+      const queued = this.strmSyncer.running;
+      this.logger.log(`[WebDAV] STRM 同步 - folders=${folders ? folders.join(',') : '(config)'}, dryRun=${dryRun}, wait=${wait}, queued=${queued}`);
+      const p = this.strmSyncer.sync({ folders, dryRun });
+
+      if (!wait) {
+        p.catch(e => this.logger.error('[WebDAV] STRM 同步失败:', e));
+        return res.status(202).json({ ok: true, started: !queued, queued });
+      }
+
+      try {
+        return res.json(await p);
+      } catch (e) {
+        this.logger.error('[WebDAV] STRM 同步失败:', e);
+        return res.status(500).json({ ok: false, error: e.message || 'Internal Error' });
+      }
+    });
+
+    this.app.get('/__strm/status', (req, res) => {
+      if (!this.strmSyncer) return res.status(404).json({ ok: false, error: 'STRM 生成未启用（config.strm.enabled）' });
+      return res.json({ running: this.strmSyncer.running, lastResult: this.strmSyncer.lastResult });
+    });
+
+    // 变更监控：立即检查一次
+    // - /__watch/scan?full=1&wait=1
+    this.app.all('/__watch/scan', async (req, res) => {
+      if (!this.changeWatcher) return res.status(404).json({ ok: false, error: '变更监控未启用（config.watch.enabled）' });
+      if (!['GET', 'POST'].includes(req.method)) return res.status(405).send('Method Not Allowed');
+
+      const full = String(req.query.full || '') === '1';
+      const wait = String(req.query.wait || '') === '1';
+
+      if (this.changeWatcher.running && !wait) {
+        return res.status(409).json({ ok: false, error: '已有检查在运行', running: true });
+      }
+
+      const p = this.changeWatcher.scan({ full });
+      if (!wait) {
+        p.catch(() => {});
+        return res.status(202).json({ ok: true, started: true });
+      }
+
+      try {
+        return res.json(await p);
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message || 'Internal Error' });
+      }
+    });
+
+    // 状态 + 最近的变化（limit 默认 50）
+    this.app.get('/__watch/status', (req, res) => {
+      if (!this.changeWatcher) return res.status(404).json({ ok: false, error: '变更监控未启用（config.watch.enabled）' });
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 0), this.changeWatcher.recent.length);
+      return res.json({ ...this.changeWatcher.toJSON(), recent: limit ? this.changeWatcher.recent.slice(-limit) : [] });
+    });
+
+    // 变化事件流（Server-Sent Events）：event 为 added / removed / renamed，data 为事件 JSON
+    this.app.get('/__watch/events', (req, res) => {
+      if (!this.changeWatcher) return res.status(404).json({ ok: false, error: '变更监控未启用（config.watch.enabled）' });
+
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+      res.write(': connected\n\n');
+
+      const onChange = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      // 反向代理一般会断开长时间没有数据的连接
+      const keepAlive = setInterval(() => res.write(': ping\n\n'), 30_000);
+      this.changeWatcher.on('change', onChange);
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        this.changeWatcher.off('change', onChange);
+      });
+    });
+
+    // 扫码登录：发起（默认返回带轮询的 HTML 页面，format=json 返回会话信息）
+    this.app.get('/__login/qrcode', async (req, res) => {
+      if (!this.qrLogin) return res.status(404).json({ ok: false, error: '扫码登录未启用' });
+      try {
+        const session = await this.qrLogin.start(String(req.query.account || ''), String(req.query.type || 'cookie'));
+        const info = this.qrLogin.toJSON(session);
+        const image = `/__login/qrcode/image?session=${session.id}`;
+        const status = `/__login/status?session=${session.id}`;
+
+        if (req.query.format === 'json') return res.json({ ok: true, ...info, imageUrl: image, statusUrl: status });
+
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.send(this.renderLoginPage(info, image, status));
+      } catch (e) {
+        this.logger.error('[WebDAV] 发起扫码登录失败:', e.message);
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+    });
+
+    this.app.get('/__login/qrcode/image', async (req, res) => {
+      if (!this.qrLogin) return res.status(404).end();
+      try {
+        const png = await this.qrLogin.getImage(req.query.session);
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Cache-Control', 'no-store');
+        return res.send(png);
+      } catch (e) {
+        return res.status(404).json({ ok: false, error: e.message });
+      }
+    });
+
+    // 扫码状态：waiting / scanned / done / expired / canceled / error（长轮询，最多约 30 秒返回）
+    this.app.get('/__login/status', async (req, res) => {
+      if (!this.qrLogin) return res.status(404).json({ ok: false, error: '扫码登录未启用' });
+      try {
+        return res.json({ ok: true, ...(await this.qrLogin.poll(req.query.session)) });
+      } catch (e) {
+        return res.status(404).json({ ok: false, error: e.message });
+      }
+    });
+
+    // Prometheus 指标
+    this.app.get('/__metrics', (req, res) => {
+      for (const api of this.mounts.apis) api.collectMetrics?.();
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      return res.send(metrics.render());
+    });
+
+    // 风控限流 / 熔断状态（各账号 list / downurl / token 独立）
+    this.app.get('/__throttle', (req, res) => {
+      return res.json({
+        ok: true,
+        accounts: this.mounts.entries.map(({ name, api }) => ({ name: name || 'default', ...api.throttleStats() }))
+      });
+    });
+
+    // 直接按 pickcode / 文件 id 下载（STRM 用）：不逐级列目录，115 上改名、移动后链接仍然有效
+    for (const kind of ['pc', 'fid']) {
+      this.app.get(`/__${kind}/*`, (req, res) => this.handleDirect(req, res, kind));
+      this.app.head(`/__${kind}/*`, (req, res) => this.handleDirect(req, res, kind));
+    }
+
+    // 签名 URL：/__sign?path=/影视/a.mkv&ttl=3600&ip=192.168.1.0/24
+    // path 相对当前用户根目录；也可以是 /__pc/...、/__fid/... 地址（根目录为 / 的用户）
+    this.app.get('/__sign', (req, res) => {
+      if (!this.signer.enabled) return res.status(404).json({ ok: false, error: '签名 URL 未启用（sign.secret）' });
+      if (req.query.path === undefined) return res.status(400).json({ ok: false, error: '缺少 path 参数' });
+
+      const ttlSec = req.query.ttl !== undefined ? Number(req.query.ttl) : undefined;
+      if (ttlSec !== undefined && !(Number.isInteger(ttlSec) && ttlSec > 0)) {
+        return res.status(400).json({ ok: false, error: 'ttl 必须是正整数（秒）' });
+      }
+      const ip = req.query.ip ? String(req.query.ip) : undefined;
+      if (ip) {
+        try { parseIpRanges(ip); } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+      }
+
+      const path = this.toFullPath(this.userRoot(req), this.normalizeDecodedPath(String(req.query.path)));
+      const { url, expiresAt } = this.signer.signUrl(path, { ttlSec, ip });
+      this.logger.log(`[WebDAV] 签名 URL - path=${path}, ttl=${ttlSec ?? this.signer.defaultTtlSec}, ip=${ip || '-'}`);
+
+      return res.json({
+        ok: true,
+        path,
+        url: `${req.protocol}://${req.get('host')}${url}`,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+      });
+    });
+
+    // 搜索：/__search?q=关键字&path=/影视&type=video&limit=100
+    this.app.get('/__search', async (req, res) => {
+      const q = String(req.query.q || '').trim();
+      if (!q) return res.status(400).json({ ok: false, error: '缺少 q 参数' });
+
+      const type = req.query.type ? String(req.query.type) : '';
+      if (type && !SEARCH_TYPES[type]) {
+        return res.status(400).json({ ok: false, error: `type 只能是 ${Object.keys(SEARCH_TYPES).join(' / ')}` });
+      }
+
+      const root = this.userRoot(req);
+      const userPath = this.normalizeDecodedPath(String(req.query.path ?? '/'));
+      const path = this.toFullPath(root, userPath);
+      const limit = Math.min(Number(req.query.limit) || this.searchMaxResults, this.searchMaxResults);
+
+      try {
+        this.logger.log(`[WebDAV] 搜索 - q=${q}, path=${path}, type=${type || '-'}`);
+        const result = await this.searchFiles(path, q, { type: SEARCH_TYPES[type], limit });
+        if (!result) return res.status(404).json({ ok: false, error: '目录不存在或不是目录' });
+
+        return res.json({
+          ok: true,
+          q,
+          path: userPath,
+          total: result.total,
+          truncated: result.truncated,
+          items: result.items.map(({ path: p, file }) => ({
+            path: this.toUserPath(root, p),
+            href: this.encodeHrefPath(this.toUserPath(root, p)),
+            name: file.name,
+            type: file.type,
+            size: file.size ?? 0,
+            mtime: file.mtime,
+            id: file.id,
+            pickcode: file.pickcode || ''
+          }))
+        });
+      } catch (e) {
+        this.logger.error('[WebDAV] 搜索失败:', e);
+        return res.status(502).json({ ok: false, error: e.message || '搜索失败' });
+      }
+    });
+
+    // SEARCH（RFC 5323 basicsearch）
+    this.app.use('/*', async (req, res, next) => {
+      if (req.method !== 'SEARCH') return next();
+
+      try {
+        let request;
+        try {
+          request = parseSearchRequest(getBodyText(req));
+        } catch (e) {
+          if (!(e instanceof XmlParseError)) throw e;
+          this.logger.log(`[WebDAV] SEARCH 请求体无效: ${e.message}`);
+          return res.status(400).send('Bad Request');
+        }
+
+        const limit = Math.min(request.limit || this.searchMaxResults, this.searchMaxResults);
+        const root = this.userRoot(req);
+        const entries = [];
+
+        for (const scope of request.scopes) {
+          const scopePath = this.parseDestination(scope.href, root);
+          if (!scopePath) return res.status(400).send('Bad Request');
+          this.logger.log(`[WebDAV] SEARCH - scope=${scopePath}, depth=${scope.depth}, keyword=${request.keyword}`);
+
+          const result = await this.searchFiles(scopePath, request.keyword, { limit: limit - entries.length });
+          if (!result) return res.status(404).send('Not Found');
+
+          for (const item of result.items) {
+            if (request.collection !== null && (item.file.type === 'directory') !== request.collection) continue;
+            // depth 1：只要 scope 的直接成员；depth 0：只有 scope 本身（搜索结果不会是它自己）
+            if (scope.depth === '1' && this.parentOf(item.path) !== scopePath) continue;
+            if (scope.depth === '0') continue;
+            entries.push(item);
+          }
+          if (entries.length >= limit) break;
+        }
+
+        const xml = this.generatePropfindResponse(entries.slice(0, limit), request, root);
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        return res.status(207).send(xml);
+      } catch (e) {
+        this.logger.error('[WebDAV] SEARCH 错误:', e);
+        return res.status(500).send('Internal Server Error');
+      }
+    });
+
     // PROPFIND
     this.app.use('/*', async (req, res, next) => {
       if (req.method !== 'PROPFIND') return next();
 
       try {
         const path = this.getRequestPath(req);
-        const depth = req.headers.depth || '1';
+        const depth = this.parseDepth(req.headers.depth);
         this.logger.log(`[WebDAV] PROPFIND - path=${path}, depth=${depth}`);
 
-        const { type, items } = await this.resolvePathForListing(path);
-        if (type === 'notfound') return res.status(404).send('Not Found');
+        if (depth === null) return res.status(400).send('Bad Depth Header');
+
+        let request;
+        try {
+          request = parsePropfindRequest(getBodyText(req));
+        } catch (e) {
+          if (!(e instanceof XmlParseError)) throw e;
+          this.logger.log(`[WebDAV] PROPFIND 请求体无效: ${e.message}`);
+          return res.status(400).send('Bad Request');
+        }
+
+        if (depth === 'infinity' && !this.propfindAllowInfinity) {
+          return this.sendDavError(res, 403, 'propfind-finite-depth');
+        }
+
+        const listing = await this.resolvePathForListing(path);
+        if (listing.type === 'notfound') return res.status(404).send('Not Found');
+
+        const entries = [{ path, file: listing.self }];
+        if (listing.type === 'directory' && depth !== '0') {
+          const complete = await this.collectEntries(path, listing.items, depth === 'infinity', entries);
+          if (!complete) {
+            this.logger.warn(`[WebDAV] PROPFIND infinity 超过上限 ${this.propfindInfinityMaxItems}，拒绝: ${path}`);
+            return this.sendDavError(res, 403, 'propfind-finite-depth');
+          }
+        }
 
-        const xml = this.generatePropfindResponse(items, path, depth);
+        const xml = this.generatePropfindResponse(entries, request, this.userRoot(req));
         res.setHeader('Content-Type', 'application/xml; charset=utf-8');
         return res.status(207).send(xml);
       } catch (e) {
@@ -95,18 +561,115 @@ export class WebDAVServer {
       }
     });
 
-    // MKCOL - 仅用于触发刷新，不实际创建
+    // MKCOL
+    // - 只读：仅用于触发刷新，不实际创建
+    // - 可写：在 115 上新建文件夹
     this.app.use('/*', async (req, res, next) => {
       if (req.method !== 'MKCOL') return next();
     
       const fullPath = this.getRequestPath(req);
-      const parentPath = fullPath.split('/').slice(0, -1).join('/') || '/';
-    
-      this.logger.log(`[WebDAV] MKCOL(fake) - path=${fullPath} -> 刷新 parent=${parentPath}`);
-    
-      this.debounceRefreshDir(parentPath, 300);
-    
-      return res.status(201).end();
+      const parentPath = this.parentOf(fullPath);
+
+      if (this.isReadOnly(req)) {
+        this.logger.log(`[WebDAV] MKCOL(fake) - path=${fullPath} -> 刷新 parent=${parentPath}`);
+        this.debounceRefreshDir(parentPath, 300);
+        return res.status(201).end();
+      }
+
+      try {
+        this.logger.log(`[WebDAV] MKCOL - path=${fullPath}`);
+
+        // RFC 4918：MKCOL 带 body 的语义未定义，直接拒绝
+        if (Buffer.isBuffer(req.body) && req.body.length > 0) return res.status(415).send('Unsupported Media Type');
+
+        const wt = await this.resolveWriteTarget(fullPath, this.userRoot(req));
+        if (!wt) return res.status(405).send('Method Not Allowed');
+        if (!wt.parent || wt.parent.type !== 'directory') return res.status(409).send('Conflict');
+        if (await this.resolvePathToFile(fullPath)) return res.status(405).send('Method Not Allowed');
+
+        await wt.api.createFolder(wt.parent.id, wt.name);
+        this.invalidateAfterWrite(wt);
+        return res.status(201).end();
+      } catch (e) {
+        this.logger.error('[WebDAV] MKCOL 错误:', e);
+        return res.status(500).send('Internal Server Error');
+      }
+    });
+
+    // DELETE - 移入 115 回收站
+    this.app.delete('/*', async (req, res, next) => {
+      if (this.isReadOnly(req)) return next();
+
+      try {
+        const fullPath = this.getRequestPath(req);
+        this.logger.log(`[WebDAV] DELETE - path=${fullPath}`);
+
+        const wt = await this.resolveWriteTarget(fullPath, this.userRoot(req));
+        if (!wt) return res.status(403).send('Forbidden');
+
+        const file = await this.resolvePathToFile(fullPath);
+        if (!file) return res.status(404).send('Not Found');
+
+        await wt.api.deleteFiles([file.id], wt.parent.id);
+        this.invalidateAfterWrite(wt);
+        return res.status(204).end();
+      } catch (e) {
+        this.logger.error('[WebDAV] DELETE 错误:', e);
+        return res.status(500).send('Internal Server Error');
+      }
+    });
+
+    // PUT - 上传文件（先尝试 SHA1 秒传，失败再分片上传）
+    this.app.put('/*', async (req, res) => {
+      if (this.isReadOnly(req)) return res.status(405).send('Method Not Allowed');
+
+      let spool = null;
+      try {
+        const fullPath = this.getRequestPath(req);
+        this.logger.log(`[WebDAV] PUT - path=${fullPath}, length=${req.headers['content-length'] || '-'}`);
+
+        const wt = await this.resolveWriteTarget(fullPath, this.userRoot(req));
+        if (!wt) return res.status(405).send('Method Not Allowed');
+        if (!wt.parent || wt.parent.type !== 'directory') return res.status(409).send('Conflict');
+
+        const existing = await this.resolvePathToFile(fullPath);
+        if (existing?.type === 'directory') return res.status(405).send('Method Not Allowed');
+
+        spool = await spoolToTempFile(req, { dir: this.uploadTempDir });
+
+        // 115 同目录允许重名：先上传新文件，成功后再把旧文件移入回收站，上传失败时旧文件还在
+        const result = await wt.api.uploadFile(wt.parent.id, wt.name, spool, { partSize: this.uploadPartSize });
+        this.logger.log(`[WebDAV] PUT 完成 - ${fullPath} (${result.rapid ? '秒传' : '普通上传'}, ${spool.size} bytes)`);
+
+        // 没拿到新文件 id 时无法确认上传结果是哪个文件，宁可重名也不删旧文件
+        if (existing && result.fileId && String(result.fileId) !== String(existing.id)) {
+          await wt.api.deleteFiles([existing.id], wt.parent.id);
+        }
+
+        // 上传完成后刷新父目录（失效 + 预热）
+        this.invalidateAfterWrite(wt);
+        this.debounceRefreshDir(wt.parentPath, 300);
+
+        return res.status(existing ? 204 : 201).end();
+      } catch (e) {
+        this.logger.error('[WebDAV] PUT 错误:', e);
+        if (res.headersSent) return res.destroy();
+        return res.status(500).send('Internal Server Error');
+      } finally {
+        if (spool) fs.promises.unlink(spool.filePath).catch(() => {});
+      }
+    });
+
+    // MOVE / COPY
+    this.app.use('/*', async (req, res, next) => {
+      if (this.isReadOnly(req) || !['MOVE', 'COPY'].includes(req.method)) return next();
+
+      try {
+        return await this.moveOrCopy(req, res);
+      } catch (e) {
+        this.logger.error(`[WebDAV] ${req.method} 错误:`, e);
+        return res.status(500).send('Internal Server Error');
+      }
     });
     
     // GET - 下载文件
@@ -115,6 +678,7 @@ export class WebDAVServer {
         const path = this.getRequestPath(req);
         this.logger.log(`[WebDAV] GET - path=${path}`);
 
+        const target = this.mounts.resolve(path);
         const file = await this.resolvePathToFile(path);
         if (!file) {
           this.logger.log(`[WebDAV] GET - 未找到: ${path}`);
@@ -125,21 +689,11 @@ export class WebDAVServer {
           return res.status(405).send('Method Not Allowed');
         }
 
-        const clientUserAgent = req.headers['user-agent'] || '';
-        this.logger.log(`[WebDAV] GET - UA: ${clientUserAgent}`);
-
-        if (this.blockGoHttpClient && clientUserAgent === 'Go-http-client/1.1') {
-          this.logger.log('[WebDAV] 拦截 Go-http-client/1.1 -> 403');
-          return res.status(403).send('Forbidden');
-        }
-
-        const downloadInfo = await this.panAPI.getDownloadUrl(file.id, file.pickcode, clientUserAgent);
-        const downloadUrl = downloadInfo?.url || downloadInfo;
-
-        this.logger.log(`[WebDAV] GET - 302 -> ${String(downloadUrl).substring(0, 120)}...`);
-        return res.redirect(302, downloadUrl);
+        return await this.sendFile(req, res, target.api, file, path);
       } catch (e) {
         this.logger.error('[WebDAV] GET 错误:', e);
+        // 代理模式下可能已经开始输出
+        if (res.headersSent) return res.destroy();
         return res.status(500).send('Internal Server Error');
       }
     });
@@ -159,10 +713,7 @@ export class WebDAVServer {
           return res.status(200).end();
         }
 
-        res.setHeader('Content-Length', file.size ?? 0);
-        res.setHeader('Last-Modified', new Date((file.mtime ?? Date.now()/1000) * 1000).toUTCString());
-        res.setHeader('Content-Type', this.getContentType(file.name || ''));
-        return res.status(200).end();
+        return this.sendFileHead(res, file);
       } catch (e) {
         this.logger.error('[WebDAV] HEAD 错误:', e);
         return res.status(500).end();
@@ -174,47 +725,413 @@ export class WebDAVServer {
       const path = this.getRequestPath(req);
       this.logger.log(`[WebDAV] OPTIONS - path=${path}`);
       res.setHeader('DAV', '1, 2');
-      res.setHeader('Allow', 'OPTIONS, GET, HEAD, PROPFIND');
+      res.setHeader('DASL', '<DAV:basicsearch>');
+      res.setHeader('Allow', this.isReadOnly(req)
+        ? 'OPTIONS, GET, HEAD, PROPFIND, SEARCH'
+        : 'OPTIONS, GET, HEAD, PROPFIND, SEARCH, PUT, MKCOL, DELETE, MOVE, COPY');
       return res.status(200).end();
     });
 
     // 其他方法
     this.app.use('/*', (req, res) => {
-      if (!['OPTIONS', 'GET', 'HEAD', 'PROPFIND'].includes(req.method)) {
+      if (!['OPTIONS', 'GET', 'HEAD', 'PROPFIND', 'SEARCH'].includes(req.method)) {
         return res.status(405).send('Method Not Allowed');
       }
       return res.status(404).send('Not Found');
     });
   }
 
+  /**
+   * MOVE / COPY
+   * - Destination：目标路径（可以是完整 URL）；跨账号返回 502
+   * - Overwrite：T（默认）允许覆盖，目标已存在时等移动 / 复制成功后再移入回收站；F 时目标存在返回 412
+   * - 同目录改名 = rename；跨目录 = move/copy，名字不同时再 rename
+   */
+  async moveOrCopy(req, res) {
+    const isMove = req.method === 'MOVE';
+    const srcPath = this.getRequestPath(req);
+    const destPath = this.parseDestination(req.headers.destination, this.userRoot(req));
+    this.logger.log(`[WebDAV] ${req.method} - ${srcPath} -> ${destPath}`);
+
+    if (!destPath) return res.status(400).send('Bad Destination');
+    if (destPath === srcPath) return res.status(403).send('Forbidden');
+    if (destPath.startsWith(`${srcPath}/`)) return res.status(409).send('Conflict');
+
+    const src = await this.resolveWriteTarget(srcPath, this.userRoot(req));
+    const dst = await this.resolveWriteTarget(destPath, this.userRoot(req));
+    if (!src || !dst) return res.status(403).send('Forbidden');
+    if (src.api !== dst.api) return res.status(502).send('Bad Gateway');
+
+    const file = await this.resolvePathToFile(srcPath);
+    if (!file) return res.status(404).send('Not Found');
+    if (!dst.parent || dst.parent.type !== 'directory') return res.status(409).send('Conflict');
+
+    const overwrite = String(req.headers.overwrite || 'T').toUpperCase() !== 'F';
+    const existing = await this.resolvePathToFile(destPath);
+    if (existing && !overwrite) return res.status(412).send('Precondition Failed');
+
+    const api = src.api;
+    const sameParent = String(src.parent.id) === String(dst.parent.id);
+
+    if (isMove) {
+      // 移动不改变 id：先移动，再按 id 改名
+      if (!sameParent) await api.moveFiles([file.id], dst.parent.id);
+      if (dst.name !== file.name) await api.renameFile(file.id, dst.name);
+    } else {
+      // 复制接口不返回新 id：在目标目录里找复制后新出现、类型和大小都与源一致的条目，再改名
+      // 同名的只有一个时就是它；没有同名的（115 自动改了名）时只接受唯一的候选，否则报错，不去猜
+      api.invalidateFileListCacheById(dst.parent.id);
+      const before = new Set((await api.getFileList(dst.parent.id)).map(f => String(f.id)));
+
+      await api.copyFiles([file.id], dst.parent.id);
+
+      api.invalidateFileListCacheById(dst.parent.id);
+      const after = await api.getFileList(dst.parent.id);
+      const candidates = after.filter(f => !before.has(String(f.id)) && f.type === file.type &&
+        (file.type === 'directory' || f.size === file.size));
+      const sameName = candidates.filter(f => f.name === file.name);
+      const matches = sameName.length ? sameName : candidates;
+
+      if (!matches.length) throw new Error(`复制后未在目标目录找到新副本: ${destPath}`);
+      if (matches.length > 1) throw new Error(`复制后目标目录有 ${matches.length} 个可能的新副本，无法确定: ${destPath}`);
+      const copy = matches[0];
+      if (copy.name !== dst.name) await api.renameFile(copy.id, dst.name);
+    }
+
+    // 移动 / 复制都成功后再把被覆盖的目标移入回收站，中途失败时目标保持不变
+    if (existing) await dst.api.deleteFiles([existing.id], dst.parent.id);
+
+    this.invalidateAfterWrite(src);
+    this.invalidateAfterWrite(dst);
+    return res.status(existing ? 204 : 201).end();
+  }
+
+  // Destination 头 -> 规范化的完整路径（支持完整 URL 或绝对路径，按用户根目录换算）
+  parseDestination(header, root = '/') {
+    if (!header) return null;
+    try {
+      const url = new URL(String(header), 'http://localhost');
+      return this.toFullPath(root, this.normalizeDecodedPath(url.pathname));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 清目录缓存（prefetch 时立即重新拉取）；/__refresh 和管理后台共用
+   * @returns {Promise<Object|null>} 目录不存在时返回 null
+   */
+  async refreshPath(path, prefetch = false) {
+    // 多账号的虚拟根目录：逐个刷新各账号根目录
+    const targets = this.mounts.isVirtualRoot(path)
+      ? this.mounts.entries.map(e => ({ api: e.api, subPath: '/' }))
+      : [this.mounts.resolve(path)];
+    if (!targets[0]) return null;
+
+    if (prefetch) {
+      const ids = [];
+      for (const t of targets) {
+        const info = await t.api.refreshDirectoryByPath(t.subPath);
+        if (!info) return null;
+        ids.push(info.id);
+      }
+      return { ok: true, id: ids.length === 1 ? ids[0] : null, path, prefetch: true };
+    }
+
+    const ids = targets.map(t => t.api.invalidateByPath(t.subPath));
+    return { ok: true, path, invalidatedId: ids.length === 1 ? (ids[0] ?? null) : null, prefetch: false };
+  }
+
+  /**
+   * 在 WebDAV 路径下搜索（/__search 和 SEARCH 共用）；多账号的根目录会逐个账号搜索
+   * @param {Object} [opts]
+   * @param {number} [opts.type] - 115 文件类型（SEARCH_TYPES）
+   * @param {number} [opts.limit] - 最多返回多少条
+   * @returns {Promise<{items: Array<{path: string, file: Object}>, total: number, truncated: boolean}|null>}
+   *          目录不存在返回 null；items 中的 path 为完整 WebDAV 路径
+   */
+  async searchFiles(path, keyword, { type, limit = this.searchMaxResults } = {}) {
+    const targets = this.mounts.isVirtualRoot(path)
+      ? this.mounts.entries.map(e => ({ name: e.name, api: e.api, subPath: '/' }))
+      : [this.mounts.resolve(path)];
+    if (!targets[0]) return null;
+
+    const items = [];
+    let total = 0;
+    let truncated = false;
+    for (const t of targets) {
+      if (items.length >= limit) {
+        truncated = true;
+        break;
+      }
+      const result = await t.api.searchPath(t.subPath, keyword, { type, maxResults: limit - items.length });
+      if (!result) return null;
+
+      total += result.total;
+      truncated ||= result.truncated;
+      for (const item of result.items) items.push({ path: this.mounts.join(t.name, item.path), file: item.file });
+    }
+    return { items, total, truncated };
+  }
+
+  /**
+   * 写操作用：解析路径所在账号、父目录和名称
+   * @param {string} [root] - 当前用户的根目录，它本身同样不可写
+   * @returns {Promise<{api, subPath, parentPath, parent, name}|null>} 根目录/账号挂载点本身返回 null（不可写）
+   */
+  async resolveWriteTarget(fullPath, root = '/') {
+    const target = this.mounts.resolve(fullPath);
+    if (!target || target.subPath === '/' || fullPath === root) return null;
+
+    const parentPath = this.parentOf(fullPath);
+    const parent = await this.resolvePathToFile(parentPath);
+    // 多个虚拟根目录时的根目录列表不对应网盘目录，不能直接在下面增删
+    if (parent?.virtual) return null;
+    return {
+      api: target.api,
+      subPath: target.subPath,
+      parentPath,
+      parent,
+      name: fullPath.split('/').pop()
+    };
+  }
+
+  // 写操作后：失效父目录列表 + 该路径（及子路径）的路径映射
+  invalidateAfterWrite(wt) {
+    if (wt.parent?.id) wt.api.invalidateFileListCacheById(wt.parent.id);
+    wt.api.invalidatePathTree?.(wt.subPath);
+  }
+
+  parentOf(path) {
+    return path.split('/').slice(0, -1).join('/') || '/';
+  }
+
+  // 本次 GET 是否走代理：?proxy= 参数 > 客户端规则 > proxy.userAgents > 全局模式
+  async handleDirect(req, res, kind) {
+    const isHead = req.method === 'HEAD';
+    try {
+      this.logger.log(`[WebDAV] ${req.method} - ${req.path}`);
+      const target = await this.resolveDirectFile(req, kind);
+      // 文件不在当前用户根目录下时同样当作不存在
+      const visible = target?.file && this.toUserPath(this.userRoot(req), target.path) !== null;
+      if (!visible) return isHead ? res.status(404).end() : res.status(404).send('Not Found');
+
+      if (isHead) return this.sendFileHead(res, target.file);
+      return await this.sendFile(req, res, target.api, target.file, target.path);
+    } catch (e) {
+      // 115 返回 pickcode / id 不存在时是业务错误，网络 / 风控问题才算 502
+      const upstream = isThrottleError(e) || e.response || e.code;
+      this.logger.error(`[WebDAV] ${req.method} ${req.path} 错误:`, e.message);
+      if (res.headersSent) return res.destroy();
+      return res.status(upstream ? 502 : 404).end();
+    }
+  }
+
+  /**
+   * 下载文件：按客户端规则 302 到直链、代理转发、403 或返回占位内容（路径 GET 与 /__pc、/__fid 共用）
+   * @param {Object} api - 文件所在账号的 Pan115API
+   * @param {Object} file - 文件对象（id / pickcode / size / name）
+   * @param {string} label - 完整 WebDAV 路径（规则匹配、日志用）
+   */
+  async sendFile(req, res, api, file, label) {
+    const requestUserAgent = req.headers['user-agent'] || '';
+    this.logger.log(`[WebDAV] GET - UA: ${requestUserAgent}`);
+
+    const rule = this.clientPolicy.match({
+      userAgent: requestUserAgent,
+      ip: this.signer.clientIp(req),
+      user: req.davUser?.username,
+      path: label
+    });
+    if (rule) {
+      clientRuleHits.inc({ rule: rule.name, action: rule.action });
+      const message = `[WebDAV] GET - 命中客户端规则 ${rule.name} -> ${rule.action}: ${label}, UA: ${requestUserAgent}`;
+      if (rule.action === 'forbid' || rule.action === 'placeholder') this.logger.info(message);
+      else this.logger.log(message);
+
+      if (rule.action === 'forbid') return res.status(403).send('Forbidden');
+      if (rule.action === 'placeholder') return this.sendPlaceholder(res, rule);
+    }
+
+    // 获取直链用的 UA（直链与 UA 绑定）：规则可以覆盖
+    const clientUserAgent = rule?.downloadUserAgent || requestUserAgent;
+
+    if (this.shouldProxy(req, requestUserAgent, rule)) {
+      this.logger.log(`[WebDAV] GET - 代理转发: ${label}, range=${req.headers.range || '-'}`);
+      return await this.streamProxy.pipe(req, res, {
+        api,
+        file,
+        clientUserAgent,
+        contentType: this.getContentType(file.name || '')
+      });
+    }
+
+    let downloadInfo = await api.getDownloadUrl(file.id, file.pickcode, clientUserAgent);
+
+    // 缓存的直链可能已被 CDN 提前作废：清掉缓存重新获取一次，避免播放器拿到死链
+    if (downloadInfo?.fromCache && this.verifyCachedLinks && !(await this.streamProxy.isLinkAlive(downloadInfo))) {
+      this.logger.warn(`[WebDAV] GET - 缓存的直链已失效，重新获取: ${label}`);
+      api.invalidateDownloadUrl(file.id, file.pickcode, clientUserAgent);
+      downloadInfo = await api.getDownloadUrl(file.id, file.pickcode, clientUserAgent);
+    }
+    const downloadUrl = downloadInfo?.url || downloadInfo;
+
+    this.logger.log(`[WebDAV] GET - 302 -> ${String(downloadUrl).substring(0, 120)}...`);
+    return res.redirect(302, downloadUrl);
+  }
+
+  // placeholder 规则：返回 placeholderFile（没配置时为空内容），不请求 115
+  sendPlaceholder(res, rule) {
+    if (!rule.placeholderFile) {
+      res.setHeader('Content-Length', 0);
+      return res.status(200).end();
+    }
+    return new Promise((resolve) => {
+      res.sendFile(rule.placeholderFile, (err) => {
+        if (err) {
+          this.logger.error(`[WebDAV] 规则 ${rule.name} 的占位文件无法读取: ${rule.placeholderFile}`, err.message);
+          if (!res.headersSent) res.status(500).send('Internal Server Error');
+        }
+        resolve();
+      });
+    });
+  }
+
+  // 文件的 HEAD 响应头
+  sendFileHead(res, file) {
+    res.setHeader('Content-Length', file.size ?? 0);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Last-Modified', new Date((file.mtime ?? Date.now()/1000) * 1000).toUTCString());
+    res.setHeader('Content-Type', this.getContentType(file.name || ''));
+    return res.status(200).end();
+  }
+
+  /**
+   * 解析 /__pc、/__fid 路由：
+   * - 单账号：/__pc/{pickcode}/{文件名}、/__fid/{fileId}/{文件名}
+   * - 多账号：/__pc/{账号}/{pickcode}/{文件名}、/__fid/{账号}/{fileId}/{文件名}
+   * 文件名只用于让播放器识别扩展名，不参与查找
+   * @returns {Promise<{api: Object, file: Object|null, path: string|null}|null>} 路由格式不对 / 账号不存在返回 null；path 为完整 WebDAV 路径
+   */
+  async resolveDirectFile(req, kind) {
+    const parts = req.path.split('/').slice(2).filter(Boolean).map(s => {
+      try { return decodeURIComponent(s); } catch { return s; }
+    });
+    const expected = this.mounts.isMulti ? 3 : 2;
+    if (parts.length !== expected) return null;
+
+    const entry = this.mounts.isMulti ? this.mounts.entries.find(e => e.name === parts[0]) : this.mounts.entries[0];
+    if (!entry) return null;
+
+    const key = parts[expected - 2];
+    const file = kind === 'pc'
+      ? await entry.api.getFileByPickcode(key, req.headers['user-agent'] || null)
+      : await entry.api.getFileById(key);
+    return { api: entry.api, file, path: file ? this.mounts.join(entry.name, file.path) : null };
+  }
+
+  shouldProxy(req, clientUserAgent, rule = null) {
+    if (this.proxyAllowQuery && req.query.proxy !== undefined) {
+      return String(req.query.proxy) === '1';
+    }
+    if (rule?.action === 'proxy' || rule?.action === 'redirect') return rule.action === 'proxy';
+    if (this.proxyUserAgents.some(re => re.test(clientUserAgent))) return true;
+    return this.proxyMode === 'proxy';
+  }
+
   basicAuth() {
     return (req, res, next) => {
       const auth = req.headers.authorization;
+
+      // 签名 URL：验证通过直接放行；不通过且没带 Basic Auth 时返回 403（不弹登录框）
+      if (req.query.sig !== undefined) {
+        const result = this.verifySignedRequest(req);
+        if (result.ok) {
+          this.logger.log(`[WebDAV] 签名 URL 验证通过: ${req.method} ${req.path}`);
+          return next();
+        }
+        if (!auth) {
+          this.logger.log(`[WebDAV] 签名 URL 验证失败 (${result.reason}): ${req.method} ${req.path}`);
+          return res.status(403).send('Forbidden');
+        }
+      }
       if (!auth || !auth.startsWith('Basic ')) {
         this.logger.log(`[WebDAV] 认证失败 - 缺少 Authorization: ${req.method} ${req.originalUrl}`);
         res.setHeader('WWW-Authenticate', 'Basic realm="WebDAV"');
         return res.status(401).send('Unauthorized');
       }
 
+      // 只在第一个冒号处分割：密码里可以有冒号
       const credentials = Buffer.from(auth.substring(6), 'base64').toString('utf-8');
-      const [username, password] = credentials.split(':');
+      const sep = credentials.indexOf(':');
+      const username = sep >= 0 ? credentials.slice(0, sep) : credentials;
+      const password = sep >= 0 ? credentials.slice(sep + 1) : '';
 
-      if (username !== this.username || password !== this.password) {
+      const user = sep >= 0 ? this.users.authenticate(username, password) : null;
+      if (!user) {
         this.logger.log(`[WebDAV] 认证失败 - 用户名或密码错误: ${req.method} ${req.originalUrl}`);
         res.setHeader('WWW-Authenticate', 'Basic realm="WebDAV"');
         return res.status(401).send('Unauthorized');
       }
 
+      req.davUser = user;
       // debug 时再打印，避免刷屏
       this.logger.log(`[WebDAV] 认证成功 - user=${username}, ${req.method} ${req.originalUrl}`);
       next();
     };
   }
 
-  // 从请求中拿“路径部分”（去 query、decode、去尾 /）
+  /**
+   * 验证签名 URL：只用于 GET / HEAD 文件路径和 /__pc、/__fid，其它管理接口不接受签名
+   * @returns {{ok: boolean, reason?: string}}
+   */
+  verifySignedRequest(req) {
+    if (!['GET', 'HEAD'].includes(req.method)) return { ok: false, reason: `签名 URL 不能用于 ${req.method}` };
+
+    const path = this.normalizeDecodedPath((req.originalUrl || req.url || '/').split('?')[0]);
+    if (path.startsWith('/__') && !/^\/__(pc|fid)\//.test(path)) return { ok: false, reason: '该接口不接受签名 URL' };
+
+    return this.signer.verify(path, req.query, this.signer.clientIp(req));
+  }
+
+  // 管理类接口（STRM 同步、扫码登录）：只允许根目录为 / 且没有单独设为只读的用户
+  requireFullAccess() {
+    return (req, res, next) => {
+      const user = req.davUser;
+      if (user && user.root === '/' && user.readOnly !== true) return next();
+      this.logger.log(`[WebDAV] 拒绝访问管理接口 - user=${user?.username}, ${req.method} ${req.path}`);
+      return res.status(403).json({ ok: false, error: '当前用户无权访问该接口' });
+    };
+  }
+
+  // 当前请求是否只读：用户自己的 readOnly 优先，未设置时跟随全局
+  isReadOnly(req) {
+    return req.davUser?.readOnly ?? this.readOnly;
+  }
+
+  // 当前用户的根目录（完整 WebDAV 路径）
+  userRoot(req) {
+    return req.davUser?.root || '/';
+  }
+
+  // 用户看到的路径 -> 完整 WebDAV 路径；.. 不能越过用户根目录
+  toFullPath(root, userPath) {
+    if (root === '/') return userPath;
+    const p = normalizeRoot(userPath);
+    return p === '/' ? root : `${root}${p}`;
+  }
+
+  // 完整 WebDAV 路径 -> 用户看到的路径；不在用户根目录下返回 null
+  toUserPath(root, fullPath) {
+    if (root === '/') return fullPath;
+    if (fullPath === root) return '/';
+    return fullPath.startsWith(`${root}/`) ? fullPath.slice(root.length) : null;
+  }
+
+  // 从请求中拿“路径部分”（去 query、decode、去尾 /），再换算到用户根目录下
   getRequestPath(req) {
     const rawPath = (req.originalUrl || req.url || '/').split('?')[0];
-    return this.normalizeDecodedPath(rawPath);
+    return this.toFullPath(this.userRoot(req), this.normalizeDecodedPath(rawPath));
   }
 
   // decode + normalize（统一全项目使用这个作为 cache key）
@@ -227,68 +1144,145 @@ export class WebDAVServer {
     return decoded || '/';
   }
 
-  // PROPFIND 列目录：返回 {type, items}
-  async resolvePathForListing(path) {
+  // PROPFIND 列目录：返回 {type, self, items}（self 为目标本身，items 为目录成员）
+  async resolvePathForListing(fullPath) {
+    const now = Date.now() / 1000;
+
+    // 多账号：根目录列出各账号挂载点
+    if (this.mounts.isVirtualRoot(fullPath)) {
+      const self = { id: '0', name: '/', type: 'directory', size: 0, mtime: now, path: '/' };
+      return { type: 'directory', self, items: this.mounts.rootItems() };
+    }
+
+    const target = this.mounts.resolve(fullPath);
+    if (!target) return { type: 'notfound', self: null, items: [] };
+    const { api, subPath: path } = target;
+
+    // 账号根目录（配置了虚拟根目录时是某个网盘目录，多个时是根目录列表）
     if (path === '/') {
-      const items = await this.panAPI.getFileList('0');
-      return { type: 'directory', items };
+      const root = await api.getFileByPath('/');
+      if (!root) return { type: 'notfound', self: null, items: [] };
+      const items = await api.listDirectory(root);
+      const self = { ...root, name: target.name || '/', mtime: now, path: fullPath };
+      return { type: 'directory', self, items };
     }
 
     // 尽量走 Pan115API 的路径解析（建议你实现 resolveDirectoryIdByPath）
-    if (typeof this.panAPI.resolveDirectoryIdByPath === 'function') {
-      const dirId = await this.panAPI.resolveDirectoryIdByPath(path);
+    if (typeof api.resolveDirectoryIdByPath === 'function') {
+      const dirId = await api.resolveDirectoryIdByPath(path);
       if (dirId) {
-        const items = await this.panAPI.getFileList(dirId);
-        return { type: 'directory', items };
+        const items = await api.getFileList(dirId);
+        const self = api.getCachedPath(path) || { id: dirId, name: path.split('/').pop(), type: 'directory', size: 0, mtime: now };
+        return { type: 'directory', self, items };
       }
     } else {
       // 退化：自己查 cache（必须使用同样 normalize 的 key）
-      const cached = this.panAPI.pathToIdCache?.get(path);
+      const cached = api.getCachedPath(path);
       if (cached?.type === 'directory' && cached?.id) {
-        const items = await this.panAPI.getFileList(cached.id);
-        return { type: 'directory', items };
+        const items = await api.getFileList(cached.id);
+        return { type: 'directory', self: cached, items };
       }
     }
 
     // 不是目录时，看看是不是文件（depth:0 会走这里）
-    const file = await this.panAPI.getFileByPath(path);
-    if (!file) return { type: 'notfound', items: [] };
-    return { type: file.type, items: file.type === 'directory' ? await this.panAPI.getFileList(file.id) : [file] };
+    const file = await api.getFileByPath(path);
+    if (!file) return { type: 'notfound', self: null, items: [] };
+    return { type: file.type, self: file, items: file.type === 'directory' ? await api.getFileList(file.id) : [] };
   }
 
-  // GET/HEAD：把路径解析成“单个文件对象”（目录也可能返回）
-  async resolvePathToFile(path) {
-    if (path === '/' || path === '') {
-      return { id: '0', name: '/', type: 'directory', size: 0, mtime: Date.now() / 1000, path: '/' };
+  /**
+   * 收集目录成员到 entries（Depth: 1 只收一层；infinity 逐层递归）
+   * @returns {Promise<boolean>} infinity 超过条目上限时返回 false
+   */
+  async collectEntries(basePath, items, recursive, entries) {
+    const queue = [{ path: basePath, items }];
+
+    while (queue.length) {
+      const { path, items: children } = queue.shift();
+
+      for (const file of children) {
+        const childPath = path === '/' ? `/${file.name}` : `${path}/${file.name}`;
+        entries.push({ path: childPath, file });
+
+        if (recursive && entries.length > this.propfindInfinityMaxItems) return false;
+
+        if (recursive && file.type === 'directory') {
+          // 子目录的列表同样走 getFileList（缓存 + 限流）
+          const listing = await this.resolvePathForListing(childPath);
+          if (listing.type === 'directory') queue.push({ path: childPath, items: listing.items });
+        }
+      }
     }
-    // 优先让 API 自己解析（它会利用缓存/限流）
-    return await this.panAPI.getFileByPath(path);
+    return true;
   }
 
-  // 生成 PROPFIND 响应
-  generatePropfindResponse(items, basePath, depth) {
-    const responses = [];
-
-    // 当前目录的 href 必须以 / 结尾
-    const currentHref = this.ensureTrailingSlash(this.encodeHrefPath(basePath));
+  // Depth 头：0 / 1 / infinity；缺省按 1 处理（兼容不带 Depth 的客户端），非法返回 null
+  parseDepth(header) {
+    if (header === undefined || header === '') return '1';
+    const d = String(header).trim().toLowerCase();
+    return ['0', '1', 'infinity'].includes(d) ? d : null;
+  }
 
-    responses.push(this.generateFileResponse(currentHref, {
-      type: 'directory',
-      name: basePath === '/' ? '/' : basePath.split('/').filter(Boolean).pop() || '/',
-      size: 0,
-      mtime: Date.now() / 1000
-    }));
+  // 扫码登录页面：显示二维码并轮询状态
+  renderLoginPage(info, image, status) {
+    const title = `115 扫码登录 - ${this.escapeXml(info.account || 'default')} (${info.type === 'token' ? 'OpenAPI 授权' : 'Cookie'})`;
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family:sans-serif;text-align:center">
+<h3>${title}</h3>
+<img src="${image}" width="240" height="240" alt="qrcode">
+<p id="s">请使用 115 App 扫码</p>
+<script>
+(async function poll() {
+  const r = await fetch(${JSON.stringify(status)}).then(r => r.json()).catch(() => ({ status: 'waiting' }));
+  const text = { waiting: '请使用 115 App 扫码', scanned: '已扫码，请在手机上确认', done: '登录成功，凭证已保存并生效',
+    expired: '二维码已过期，请刷新页面', canceled: '已取消，请刷新页面', error: '登录失败：' + (r.message || r.error || '') };
+  document.getElementById('s').textContent = text[r.status] || r.error || r.status;
+  if (r.ok && (r.status === 'waiting' || r.status === 'scanned')) setTimeout(poll, 1000);
+})();
+</script>
+</body></html>`;
+  }
 
-    if (depth !== '0') {
-      for (const file of items) {
-        let p = basePath === '/' ? `/${file.name}` : `${basePath}/${file.name}`;
-        if (file.type === 'directory') p = this.ensureTrailingSlash(p);
+  // RFC 4918 前置条件错误：<d:error><d:xxx/></d:error>
+  sendDavError(res, status, condition) {
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    return res.status(status).send(`<?xml version="1.0" encoding="utf-8"?>
+<d:error xmlns:d="DAV:"><d:${condition}/></d:error>`);
+  }
 
-        const href = this.encodeHrefPath(p);
-        responses.push(this.generateFileResponse(href, file));
-      }
+  // GET/HEAD：把路径解析成“单个文件对象”（目录也可能返回）
+  // 被过滤规则隐藏、或在虚拟根目录之外的路径返回 null
+  async resolvePathToFile(fullPath) {
+    if (this.mounts.isVirtualRoot(fullPath)) {
+      return { id: '0', name: '/', type: 'directory', size: 0, mtime: Date.now() / 1000, path: '/', virtual: true };
     }
 
+    const target = this.mounts.resolve(fullPath);
+    if (!target) return null;
+
+    // 优先让 API 自己解析（它会利用缓存/限流）
+    const file = await target.api.getFileByPath(target.subPath);
+
+    // 账号挂载点本身
+    if (file && target.subPath === '/') return { ...file, name: target.name || '/', path: fullPath };
+    return file;
+  }
+
+  /**
+   * 生成 PROPFIND 响应
+   * @param {Array<{path: string, file: Object}>} entries - 第一项为请求目标本身
+   * @param {{mode: string, props: Array}} request - parsePropfindRequest 的结果
+   * @param {string} [root] - 当前用户的根目录，href 相对它生成
+   */
+  generatePropfindResponse(entries, request = { mode: 'allprop', props: [] }, root = '/') {
+    const responses = entries.map(({ path, file }) => {
+      // 目录的 href 必须以 / 结尾
+      let href = this.encodeHrefPath(this.toUserPath(root, path));
+      if (file.type === 'directory') href = this.ensureTrailingSlash(href);
+      return this.generateFileResponse(href, file, request);
+    });
+
     return `<?xml version="1.0" encoding="utf-8"?>
 <d:multistatus xmlns:d="DAV:">
 ${responses.join('\n')}
@@ -309,32 +1303,85 @@ ${responses.join('\n')}
       .join('/');
   }
 
-  generateFileResponse(href, file) {
+  // 单个 DAV: 活属性的值；对该资源不适用时返回 null（例如目录没有 getcontentlength）
+  renderLiveProp(name, href, file) {
     const isDir = file.type === 'directory';
+    const mtime = file.mtime ?? Date.now() / 1000;
+
+    switch (name) {
+      case 'displayname': {
+        const displayName = href === '/'
+          ? '/'
+          : decodeURIComponent((href.endsWith('/') ? href.slice(0, -1) : href).split('/').pop() || file.name || '/');
+        return this.escapeXml(displayName);
+      }
+      // WebDAV：目录 resourcetype 里带 collection
+      case 'resourcetype':
+        return isDir ? '<d:collection/>' : '';
+      case 'getlastmodified':
+        return new Date(mtime * 1000).toUTCString();
+      case 'creationdate':
+        return new Date(mtime * 1000).toISOString();
+      case 'getcontentlength':
+        return isDir ? null : String(file.size ?? 0);
+      case 'getcontenttype':
+        return isDir ? null : this.getContentType(file.name || '');
+      case 'getetag':
+        return isDir ? null : this.escapeXml(`"${file.sha1 || file.id}-${file.size ?? 0}-${Math.floor(mtime)}"`);
+      default:
+        return null;
+    }
+  }
 
-    const displayName = href === '/'
-      ? '/'
-      : decodeURIComponent((href.endsWith('/') ? href.slice(0, -1) : href).split('/').pop() || file.name || '/');
+  // 任意命名空间的属性元素（DAV: 用 d: 前缀，其它命名空间就地声明）
+  propElement(ns, name, inner = null) {
+    const tag = ns === DAV_NS ? `d:${name}` : `x:${name}`;
+    const decl = ns === DAV_NS ? '' : ` xmlns:x="${this.escapeXml(ns)}"`;
+    // 无命名空间的属性
+    if (!ns) return inner === null || inner === '' ? `<${name} xmlns=""/>` : `<${name} xmlns="">${inner}</${name}>`;
+    return inner === null || inner === '' ? `<${tag}${decl}/>` : `<${tag}${decl}>${inner}</${tag}>`;
+  }
 
-    const lastModified = new Date((file.mtime ?? Date.now() / 1000) * 1000).toUTCString();
-    const contentLength = isDir ? '' : `<d:getcontentlength>${file.size ?? 0}</d:getcontentlength>`;
-    const contentType = isDir ? '' : `<d:getcontenttype>${this.getContentType(file.name || '')}</d:getcontenttype>`;
+  generateFileResponse(href, file, request = { mode: 'allprop', props: [] }) {
+    const found = [];
+    const missing = [];
 
-    // WebDAV：目录 resourcetype 里带 collection
-    const resourcetype = isDir ? '<d:collection/>' : '';
+    const available = LIVE_PROPS.filter(name => this.renderLiveProp(name, href, file) !== null);
 
-    return `  <d:response>
-    <d:href>${this.escapeXml(href)}</d:href>
-    <d:propstat>
+    if (request.mode === 'propname') {
+      for (const name of available) found.push(this.propElement(DAV_NS, name));
+    } else {
+      // allprop = 全部活属性 + <include> 里额外点名的；prop = 只要点名的
+      const wanted = request.mode === 'allprop'
+        ? [...available.map(name => ({ ns: DAV_NS, name })), ...request.props]
+        : request.props;
+
+      const seen = new Set();
+      for (const { ns, name } of wanted) {
+        const key = `${ns}\u0000${name}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const value = ns === DAV_NS ? this.renderLiveProp(name, href, file) : null;
+        if (value === null) missing.push(this.propElement(ns, name));
+        else found.push(this.propElement(ns, name, value));
+      }
+    }
+
+    const propstat = (props, status) => `    <d:propstat>
       <d:prop>
-        <d:displayname>${this.escapeXml(displayName)}</d:displayname>
-        <d:resourcetype>${resourcetype}</d:resourcetype>
-        <d:getlastmodified>${lastModified}</d:getlastmodified>
-        ${contentLength}
-        ${contentType}
+        ${props.join('\n        ')}
       </d:prop>
-      <d:status>HTTP/1.1 200 OK</d:status>
-    </d:propstat>
+      <d:status>${status}</d:status>
+    </d:propstat>`;
+
+    const stats = [];
+    if (found.length || missing.length === 0) stats.push(propstat(found, 'HTTP/1.1 200 OK'));
+    if (missing.length) stats.push(propstat(missing, 'HTTP/1.1 404 Not Found'));
+
+    return `  <d:response>
+    <d:href>${this.escapeXml(href)}</d:href>
+${stats.join('\n')}
   </d:response>`;
   }
 
@@ -359,6 +1406,21 @@ ${responses.join('\n')}
       jpeg: 'image/jpeg',
       gif: 'image/gif',
       pdf: 'application/pdf',
+      mp4: 'video/mp4',
+      m4v: 'video/mp4',
+      mkv: 'video/x-matroska',
+      webm: 'video/webm',
+      avi: 'video/x-msvideo',
+      mov: 'video/quicktime',
+      ts: 'video/mp2t',
+      m2ts: 'video/mp2t',
+      flv: 'video/x-flv',
+      wmv: 'video/x-ms-wmv',
+      srt: 'application/x-subrip',
+      ass: 'text/x-ssa',
+      ssa: 'text/x-ssa',
+      vtt: 'text/vtt',
+      nfo: 'text/xml',
       zip: 'application/zip',
       txt: 'text/plain'
     };
@@ -368,10 +1430,21 @@ ${responses.join('\n')}
   start() {
     this.app.listen(this.port, () => {
       this.logger.info(`WebDAV服务器已启动: http://localhost:${this.port}`);
-      this.logger.info(`用户名: ${this.username}`);
-      this.logger.info(`密码: ${this.password}`);
+      // 只打印用户名 / 根目录 / 权限，密码（包括哈希）不进日志
+      for (const u of this.users.list()) {
+        const mode = (u.readOnly ?? this.readOnly) ? '只读' : '可写';
+        this.logger.info(`用户: ${u.username}（根目录 ${u.root}，${mode}）`);
+      }
+      if (this.mounts.isMulti) {
+        this.logger.info(`账号挂载: ${this.mounts.entries.map(e => `/${e.name}`).join(', ')}`);
+      }
       this.logger.info(`调试模式: ${this.logger.debug ? '开启' : '关闭'}`);
-      this.logger.info(`拦截 Go-http-client/1.1: ${this.blockGoHttpClient ? '开启' : '关闭'}`);
+      this.logger.info(`拦截 Go-http-client/1.1: ${this.clientPolicy.blockGoHttpClient ? '开启' : '关闭'}`);
+      if (this.clientPolicy.ruleConfig.length) this.logger.info(`客户端规则: ${this.clientPolicy.ruleConfig.length} 条`);
+      if (this.changeWatcher) this.logger.info(`变更监控: ${this.changeWatcher.folders.join(', ')}（${this.changeWatcher.source}，间隔 ${this.changeWatcher.intervalMs}ms）`);
+      this.logger.info(`签名 URL: ${this.signer.enabled ? `开启（密钥 ${this.signer.keyId}）` : '关闭'}`);
+      this.logger.info(`只读模式: ${this.readOnly ? '开启' : '关闭（MKCOL/DELETE/MOVE/COPY 会修改 115）'}`);
+      this.logger.info(`下载方式: ${this.proxyMode === 'proxy' ? '代理转发' : '302 重定向'}${this.proxyUserAgents.length ? `（${this.proxyUserAgents.length} 条 UA 代理规则）` : ''}`);
     });
   }
 }
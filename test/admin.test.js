@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dir, makeApi, startServer, video } from './helpers.js';
+
+const ADMIN = { authorization: `Basic ${Buffer.from('admin:pw').toString('base64')}` };
+
+// 内存里的 config.json
+function memoryStore(initial) {
+  let saved = structuredClone(initial);
+  const store = {
+    saves: 0,
+    load: () => structuredClone(saved),
+    save: (cfg) => {
+      store.saves++;
+      saved = structuredClone(cfg);
+      return '/tmp/config.json';
+    },
+    validate: (cfg) => {
+      if (typeof cfg.webdav.port !== 'number') throw new Error('webdav.port: 必须是整数');
+    },
+    get saved() {
+      return saved;
+    }
+  };
+  return store;
+}
+
+const CONFIG = {
+  pan115: [
+    { name: 'a', cookie: 'UID=1', accessToken: 'at', refreshToken: '', fileListTtlMs: 60000 },
+    { name: 'b', cookie: 'UID=2', accessToken: 'bt', refreshToken: 'br' }
+  ],
+  webdav: { port: 3000, username: 'admin', password: 'secret-pass', users: [{ username: 'u', password: 'x' }] },
+  sign: { secret: 's3' }
+};
+
+async function withAdmin(store, fn) {
+  const api = makeApi({ '0': { state: true, count: 2, data: [dir('10', '影视'), video('1', 'a.mkv', '0')] } });
+  const ctx = await startServer(api, { admin: { enabled: true, password: 'pw', configStore: store } });
+  try {
+    await fn(ctx, api);
+  } finally {
+    await ctx.close();
+  }
+}
+
+test('管理后台使用独立账号密码', async () => {
+  await withAdmin(memoryStore(CONFIG), async ({ request }) => {
+    const webdavUser = await request('GET', '/__admin/api/overview');
+    assert.equal(webdavUser.status, 401);
+    assert.match(webdavUser.headers.get('www-authenticate'), /115-webdav-admin/);
+    const ok = await request('GET', '/__admin/api/overview', { headers: ADMIN });
+    assert.equal(ok.status, 200);
+    assert.equal((await ok.json()).accounts.length, 1);
+  });
+});
+
+test('读取配置时敏感字段被掩码', async () => {
+  await withAdmin(memoryStore(CONFIG), async ({ request }) => {
+    const { config } = await (await request('GET', '/__admin/api/config', { headers: ADMIN })).json();
+    assert.equal(config.pan115[0].cookie, '******');
+    assert.equal(config.pan115[0].refreshToken, '');
+    assert.equal(config.webdav.password, '******');
+    assert.equal(config.webdav.users[0].password, '******');
+    assert.equal(config.sign.secret, '******');
+    assert.equal(config.pan115[0].fileListTtlMs, 60000);
+    assert.equal(config.webdav.username, 'admin');
+  });
+});
+
+test('保存配置：合并非敏感字段，敏感字段保持原值', async () => {
+  const store = memoryStore(CONFIG);
+  await withAdmin(store, async ({ request }) => {
+    const patch = {
+      pan115: [{ cookie: 'HACKED', fileListTtlMs: 1000 }, { name: 'b2' }],
+      webdav: { port: 4000, password: '******' },
+      sign: { secret: 'changed' }
+    };
+    const res = await request('POST', '/__admin/api/config', {
+      headers: { ...ADMIN, 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch)
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).config.pan115[0].cookie, '******');
+  });
+
+  const saved = store.saved;
+  assert.equal(saved.pan115[0].cookie, 'UID=1');
+  assert.equal(saved.pan115[0].fileListTtlMs, 1000);
+  assert.equal(saved.pan115[0].name, 'a');
+  assert.equal(saved.pan115[1].name, 'b2');
+  assert.equal(saved.pan115[1].refreshToken, 'br');
+  assert.equal(saved.webdav.port, 4000);
+  assert.equal(saved.webdav.password, 'secret-pass');
+  assert.equal(saved.sign.secret, 's3');
+});
+
+test('保存配置：JSON 无效或校验不通过时不写文件', async () => {
+  const store = memoryStore(CONFIG);
+  await withAdmin(store, async ({ request }) => {
+    const post = (body) => request('POST', '/__admin/api/config', { headers: { ...ADMIN, 'Content-Type': 'application/json' }, body });
+    assert.equal((await post('{')).status, 400);
+    assert.equal((await post('[1]')).status, 400);
+    const invalid = await post(JSON.stringify({ webdav: { port: 'x' } }));
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).error, /webdav\.port/);
+  });
+  assert.equal(store.saves, 0);
+});
+
+test('缓存目录树列出已解析的路径', async () => {
+  await withAdmin(memoryStore(CONFIG), async ({ request }, api) => {
+    await api.getFileByPath('/a.mkv');
+    const tree = await (await request('GET', '/__admin/api/tree', { headers: ADMIN })).json();
+    assert.ok(tree.items.some(i => i.path === '/a.mkv'));
+  });
+});
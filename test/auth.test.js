@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  UserStore, checkUsers, hashPassword, isPasswordHash, normalizeRoot, parsePasswordHash, verifyPassword
+} from '../src/auth.js';
+
+// 测试里用小参数，避免 scrypt 拖慢测试
+const FAST = { N: 1024, r: 8, p: 1 };
+
+test('scrypt 哈希：生成、解析、校验', () => {
+  const hash = hashPassword('p@ss:word', FAST);
+  assert.ok(isPasswordHash(hash));
+  assert.match(hash, /^scrypt\$1024\$8\$1\$/);
+
+  const parsed = parsePasswordHash(hash);
+  assert.equal(parsed.N, 1024);
+  assert.equal(parsed.hash.length, 32);
+
+  assert.equal(verifyPassword('p@ss:word', hash), true);
+  assert.equal(verifyPassword('wrong', hash), false);
+  // 同一个密码每次盐不同
+  assert.notEqual(hashPassword('p@ss:word', FAST), hash);
+});
+
+test('明文密码校验', () => {
+  assert.equal(verifyPassword('admin', 'admin'), true);
+  assert.equal(verifyPassword('admin', 'admin2'), false);
+  assert.equal(verifyPassword('', undefined), true);
+});
+
+test('哈希格式不对时拒绝', () => {
+  assert.throws(() => parsePasswordHash('scrypt$1000$8$1$c2FsdA==$aGFzaA=='), /2 的幂/);
+  assert.throws(() => parsePasswordHash('scrypt$1024$0$1$c2FsdA==$aGFzaA=='), /r 必须/);
+  assert.throws(() => parsePasswordHash('scrypt$1024$8$1'), /格式应为/);
+  assert.equal(verifyPassword('x', 'scrypt$broken'), false);
+});
+
+test('normalizeRoot', () => {
+  assert.equal(normalizeRoot(), '/');
+  assert.equal(normalizeRoot('影视/'), '/影视');
+  assert.equal(normalizeRoot('/影视/../音乐/./'), '/音乐');
+  assert.equal(normalizeRoot('/../..'), '/');
+});
+
+test('checkUsers 校验必填、重名、冒号和哈希', () => {
+  assert.doesNotThrow(() => checkUsers([{ username: 'a', password: 'x' }, { username: 'b', password: hashPassword('y', FAST) }]));
+  assert.throws(() => checkUsers([{ username: '', password: 'x' }]), /username 不能为空/);
+  assert.throws(() => checkUsers([{ username: 'a:b', password: 'x' }]), /不能包含/);
+  assert.throws(() => checkUsers([{ username: 'a', password: 'x' }, { username: 'a', password: 'y' }]), /重名/);
+  assert.throws(() => checkUsers([{ username: 'a', password: '' }]), /password 不能为空/);
+  assert.throws(() => checkUsers([{ username: 'a', password: 'scrypt$1$1$1$x$y' }]), /哈希无效/);
+});
+
+test('UserStore：多用户的根目录和只读开关', () => {
+  const store = new UserStore({
+    users: [
+      { username: 'family', password: hashPassword('f', FAST), root: '/影视/', readOnly: true },
+      { username: 'me', password: 'm' }
+    ]
+  });
+
+  assert.deepEqual(store.authenticate('family', 'f'), { username: 'family', root: '/影视', readOnly: true });
+  assert.deepEqual(store.authenticate('me', 'm'), { username: 'me', root: '/', readOnly: undefined });
+  assert.equal(store.authenticate('family', 'm'), null);
+  assert.equal(store.authenticate('nobody', 'f'), null);
+  assert.deepEqual(store.list().map(u => u.username), ['family', 'me']);
+  assert.ok(store.list().every(u => !('password' in u)));
+});
+
+test('UserStore：users 为空时沿用 username / password', () => {
+  assert.ok(new UserStore({ username: 'u', password: 'p' }).authenticate('u', 'p'));
+  assert.ok(new UserStore().authenticate('admin', 'admin'));
+});
+
+test('UserStore：热加载后旧凭证缓存失效', () => {
+  const store = new UserStore({ users: [{ username: 'a', password: hashPassword('old', FAST) }] });
+  assert.ok(store.authenticate('a', 'old'));
+
+  store.configure({ users: [{ username: 'a', password: hashPassword('new', FAST) }] });
+  assert.equal(store.authenticate('a', 'old'), null);
+  assert.ok(store.authenticate('a', 'new'));
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { BLOCK_GO_HTTP_CLIENT_RULE, CLIENT_ACTIONS, ClientPolicy, checkClientRules } from '../src/client-rules.js';
+import { makeApi, startServer, video } from './helpers.js';
+
+test('checkClientRules 校验 action、重名、IP 和 placeholderFile', () => {
+  assert.deepEqual(CLIENT_ACTIONS, ['redirect', 'proxy', 'forbid', 'placeholder']);
+  checkClientRules([
+    { name: 'a', userAgent: 'VLC', action: 'proxy' },
+    { ip: '10.0.0.0/8, ::1', action: 'redirect' },
+    { action: 'placeholder', placeholderFile: '/tmp/x.mp4' }
+  ]);
+
+  assert.throws(() => checkClientRules([{ userAgent: 'VLC' }]), /\[0\]\.action 不能为空/);
+  assert.throws(() => checkClientRules([{ name: 'a', action: 'proxy' }, { name: 'a', action: 'forbid' }]), /\[1\]\.name 与其他规则重名/);
+  assert.throws(() => checkClientRules([{ ip: 'not-an-ip', action: 'forbid' }]), /\[0\]\.ip 无效/);
+  assert.throws(() => checkClientRules([{ action: 'forbid', placeholderFile: '/tmp/x.mp4' }]), /placeholderFile 只对 action = "placeholder" 生效/);
+});
+
+test('ClientPolicy 按顺序匹配，规则里的条件全部满足才命中', () => {
+  const policy = new ClientPolicy({
+    rules: [
+      { name: 'vlc-lan', userAgent: 'vlc', ip: '192.168.0.0/16', action: 'redirect' },
+      { userAgent: 'vlc', action: 'proxy' },
+      { user: 'kid', path: '/影视/私人/**', action: 'forbid' },
+      { path: '*.iso', action: 'placeholder' }
+    ]
+  });
+
+  const match = (ctx) => policy.match({ userAgent: '', ip: '203.0.113.1', path: '/a.mkv', ...ctx });
+  assert.equal(match({ userAgent: 'VLC/3.0', ip: '::ffff:192.168.1.2' }).name, 'vlc-lan');
+  assert.equal(match({ userAgent: 'VLC/3.0' }).name, '#2');
+  assert.equal(match({ user: 'kid', path: '/影视/私人/a.mkv' }).action, 'forbid');
+  assert.equal(match({ user: 'adult', path: '/影视/私人/a.mkv' }), null);
+  // 签名 URL 请求没有用户
+  assert.equal(match({ path: '/影视/私人/a.mkv' }), null);
+  // 不含 / 的规则按文件名匹配
+  assert.equal(match({ path: '/光盘/电影.ISO' }).name, '#4');
+  assert.equal(match({ ip: 'unknown' }), null);
+});
+
+test('ClientPolicy 内置 Go-http-client 规则排在最前，configure 只更新传入的字段', () => {
+  const policy = new ClientPolicy({ rules: [{ userAgent: 'Go-http-client', action: 'proxy' }], blockGoHttpClient: true });
+  assert.equal(policy.rules.length, 2);
+  assert.equal(policy.match({ userAgent: 'Go-http-client/1.1', path: '/a' }).name, BLOCK_GO_HTTP_CLIENT_RULE.name);
+  assert.equal(policy.match({ userAgent: 'Go-http-client/2.0', path: '/a' }).name, '#1');
+
+  policy.configure({ blockGoHttpClient: false });
+  assert.equal(policy.ruleConfig.length, 1);
+  assert.equal(policy.match({ userAgent: 'Go-http-client/1.1', path: '/a' }).action, 'proxy');
+
+  policy.configure({ rules: [] });
+  assert.equal(policy.blockGoHttpClient, false);
+  assert.equal(policy.match({ userAgent: 'Go-http-client/1.1', path: '/a' }), null);
+});
+
+test('GET 按客户端规则 403、返回占位内容或 302（可覆盖获取直链的 UA）', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-rules-test-'));
+  const placeholderFile = path.join(tmpDir, 'placeholder.txt');
+  fs.writeFileSync(placeholderFile, '请使用播放器观看');
+
+  const api = makeApi({
+    '0': { state: true, count: 3, data: [video('1', 'a.mkv', '0'), video('2', 'b.iso', '0'), video('3', 'c.nfo', '0')] }
+  });
+  const requested = [];
+  api.getDownloadUrl = async (fileId, pickcode, userAgent) => {
+    requested.push([fileId, userAgent]);
+    return { url: `https://cdn.example/${fileId}`, userAgent };
+  };
+
+  const { request, close } = await startServer(api, {
+    blockGoHttpClient: true,
+    clientRules: [
+      { userAgent: '^BadPlayer', action: 'forbid' },
+      { path: '*.iso', action: 'placeholder', placeholderFile },
+      { path: '*.nfo', action: 'placeholder' },
+      { userAgent: 'Infuse', action: 'redirect', downloadUserAgent: 'Mozilla/5.0' }
+    ]
+  });
+  const get = (p, ua) => request('GET', p, { headers: { 'user-agent': ua } });
+
+  try {
+    assert.equal((await get('/a.mkv', 'BadPlayer/1.0')).status, 403);
+    assert.equal((await get('/a.mkv', 'Go-http-client/1.1')).status, 403);
+
+    const iso = await get('/b.iso', 'VLC/3.0');
+    assert.equal(iso.status, 200);
+    assert.equal(await iso.text(), '请使用播放器观看');
+
+    const nfo = await get('/c.nfo', 'VLC/3.0');
+    assert.equal(nfo.status, 200);
+    assert.equal(await nfo.text(), '');
+
+    // 上面几条都不请求 115
+    assert.deepEqual(requested, []);
+
+    const infuse = await get('/a.mkv', 'Infuse/7.0');
+    assert.equal(infuse.status, 302);
+    assert.equal(infuse.headers.get('location'), 'https://cdn.example/1');
+
+    const plain = await get('/a.mkv', 'VLC/3.0');
+    assert.equal(plain.status, 302);
+    assert.deepEqual(requested, [['1', 'Mozilla/5.0'], ['1', 'VLC/3.0']]);
+  } finally {
+    await close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('占位文件无法读取时返回 500', async () => {
+  const api = makeApi({ '0': { state: true, count: 1, data: [video('1', 'a.iso', '0')] } });
+  const { request, close } = await startServer(api, {
+    clientRules: [{ action: 'placeholder', placeholderFile: path.join(os.tmpdir(), 'client-rules-missing.mp4') }]
+  });
+  try {
+    assert.equal((await request('GET', '/a.iso')).status, 500);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,95 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { dir as folder, makeApi, startServer, video } from './helpers.js';
+
+// CONFIG_PATH 在 config.js 加载时确定：先指到临时目录再 import
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reload-test-'));
+process.env.CONFIG_PATH = path.join(dir, 'config.json');
+const { saveConfig, watchConfig } = await import('../src/config.js');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const writeConfig = (cfg) => fs.writeFileSync(process.env.CONFIG_PATH, typeof cfg === 'string' ? cfg : JSON.stringify(cfg));
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// 收集 onChange 回调；waitFor 等到第 n 次回调（超时返回 undefined）
+function watch() {
+  const changes = [];
+  const watcher = watchConfig(cfg => changes.push(cfg), { debounceMs: 20 });
+  const waitFor = async (n) => {
+    for (let i = 0; i < 100 && changes.length < n; i++) await sleep(10);
+    return changes[n - 1];
+  };
+  return { changes, watcher, waitFor };
+}
+
+test('文件变化且校验通过时回调新配置；校验失败时保留旧配置', async () => {
+  writeConfig({ webdav: { port: 3000 } });
+  const { changes, watcher, waitFor } = watch();
+  try {
+    writeConfig({ webdav: { port: 3001, readOnly: false } });
+    const cfg = await waitFor(1);
+    assert.equal(cfg.webdav.port, 3001);
+    assert.equal(cfg.webdav.readOnly, false);
+
+    writeConfig({ webdav: { port: 'x' } });
+    await sleep(200);
+    writeConfig('{ "webdav": ');
+    await sleep(200);
+    assert.equal(changes.length, 1);
+  } finally {
+    watcher.close();
+  }
+});
+
+test('服务自己写回（reload: false）不触发；SIGHUP 强制重新加载', async () => {
+  writeConfig({ webdav: { port: 3000 } });
+  const { changes, watcher, waitFor } = watch();
+  try {
+    saveConfig({ webdav: { port: 3002 } }, { reload: false });
+    await sleep(200);
+    assert.equal(changes.length, 0);
+
+    process.emit('SIGHUP');
+    assert.equal((await waitFor(1)).webdav.port, 3002);
+  } finally {
+    watcher.close();
+  }
+  assert.equal(process.listenerCount('SIGHUP'), 0);
+});
+
+test('WebDAVServer.applySettings：账号密码和只读开关不重启生效', async () => {
+  const api = makeApi({ '0': { state: true, count: 1, data: [folder('10', 'docs')] }, '10': { state: true, count: 0, data: [] } });
+  api.createFolder = async () => ({});
+  const { server, request, close } = await startServer(api);
+  try {
+    assert.equal((await request('MKCOL', '/docs/new')).status, 201);
+    server.applySettings({ readOnly: false, users: [{ username: 'u', password: 'p', readOnly: true }, { username: 'w', password: 'q' }] });
+    assert.equal(server.readOnly, false);
+
+    // u 被单独设为只读
+    assert.equal((await request('PUT', '/docs/a.txt', { body: 'x' })).status, 405);
+    const w = `Basic ${Buffer.from('w:q').toString('base64')}`;
+    assert.equal((await request('PROPFIND', '/', { headers: { authorization: w, Depth: '0' } })).status, 207);
+
+    server.applySettings({ users: [], username: 'v', password: 'z' });
+    assert.equal((await request('PROPFIND', '/', { headers: { Depth: '0' } })).status, 401);
+  } finally {
+    await close();
+  }
+});
+
+test('Pan115API.applySettings：过滤规则变化后清掉路径映射', async () => {
+  const api = makeApi({ '0': { state: true, count: 2, data: [folder('10', '影视'), video('1', 'a.mkv', '0')] } });
+  assert.ok(await api.getFileByPath('/a.mkv'));
+  assert.ok(api.pathToIdCache.size > 0);
+
+  api.applySettings({ exclude: ['/a.mkv'], fileListTtlMs: 5, listConcurrency: 2 });
+  assert.equal(api.pathToIdCache.size, 0);
+  assert.equal(api.fileListTtlMs, 5);
+  assert.equal(api.listConcurrency, 2);
+  assert.equal(await api.getFileByPath('/a.mkv'), null);
+});
@@ -0,0 +1,135 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { coerceValue, schemaAt, validateSchema } from '../src/config-schema.js';
+
+// CONFIG_PATH 在 config.js 加载时确定：先指到临时目录再 import
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+process.env.CONFIG_PATH = path.join(dir, 'config.json');
+const { CONFIG_EXAMPLE_PATH, collectOverrides, defaultConfig, loadConfig, parseCliArgs, stripJsonc, validateConfig } = await import('../src/config.js');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const writeConfig = (text) => fs.writeFileSync(process.env.CONFIG_PATH, text);
+const noCli = { configPath: null, sets: [], errors: [] };
+
+test('stripJsonc 去掉注释和尾随逗号，字符串内容不变，位置不变', () => {
+  const text = `{
+  // 行注释
+  "url": "http://a/b // 不是注释", /* 块
+  注释 */ "re": "a\\"/*b*/",
+  "list": [1, 2,],
+}`;
+  const clean = stripJsonc(text);
+  assert.equal(clean.length, text.length);
+  assert.equal(clean.split('\n').length, text.split('\n').length);
+  assert.deepEqual(JSON.parse(clean), { url: 'http://a/b // 不是注释', re: 'a"/*b*/', list: [1, 2] });
+});
+
+test('config.example.jsonc 能解析且通过校验', () => {
+  const example = JSON.parse(stripJsonc(fs.readFileSync(CONFIG_EXAMPLE_PATH, 'utf-8')));
+  assert.deepEqual(validateSchema(example), { errors: [], warnings: [] });
+  assert.deepEqual(validateSchema(structuredClone(defaultConfig)), { errors: [], warnings: [] });
+});
+
+test('validateSchema 报告类型 / 范围 / 枚举错误，未知字段只警告', () => {
+  const cfg = structuredClone(defaultConfig);
+  cfg.webdav.port = 70000;
+  cfg.webdav.proxy.mode = 'stream';
+  cfg.debug = 'yes';
+  cfg.webdav.extra = 1;
+  cfg.pan115 = [{ name: 'a' }, { name: 'a' }, {}];
+
+  const { errors, warnings } = validateSchema(cfg);
+  assert.ok(errors.some(e => e.startsWith('webdav.port: 必须是 1~65535')));
+  assert.ok(errors.some(e => e.startsWith('webdav.proxy.mode: 只能是')));
+  assert.ok(errors.some(e => e.startsWith('debug: 必须是 true / false')));
+  assert.ok(errors.some(e => e.startsWith('pan115[1].name: 与其他账号重名')));
+  assert.ok(errors.some(e => e.startsWith('pan115[2].name: 多账号时必须填写')));
+  assert.deepEqual(warnings, ['webdav.extra: 未知配置项，将被忽略']);
+  assert.throws(() => validateConfig(cfg), /配置校验失败/);
+});
+
+test('coerceValue 按 schema 转换字符串', () => {
+  assert.equal(coerceValue('3_000', schemaAt(['webdav', 'port']), 'x'), 3000);
+  assert.equal(coerceValue('on', schemaAt(['webdav', 'readOnly']), 'x'), true);
+  assert.equal(coerceValue('0', schemaAt(['webdav', 'readOnly']), 'x'), false);
+  assert.deepEqual(coerceValue('/a, /b', schemaAt(['pan115', 'roots']), 'x'), ['/a', '/b']);
+  assert.deepEqual(coerceValue('["/a"]', schemaAt(['pan115', '0', 'roots']), 'x'), ['/a']);
+  assert.throws(() => coerceValue('abc', schemaAt(['webdav', 'port']), 'WEBDAV_PORT'), /WEBDAV_PORT: 需要整数/);
+  assert.equal(schemaAt(['webdav', 'nope']), null);
+});
+
+test('parseCliArgs 解析 --config、--key=value、--key value 和布尔开关', () => {
+  const cli = parseCliArgs(['--config', '/x.json', '--webdav.port=3001', '--pan115.0.cookie', 'UID=1', '--debug', '--webdav.readOnly', '--nope=1', 'stray']);
+  assert.equal(cli.configPath, '/x.json');
+  assert.deepEqual(cli.sets, [
+    { key: 'webdav.port', value: '3001' },
+    { key: 'pan115.0.cookie', value: 'UID=1' },
+    { key: 'debug', value: true },
+    { key: 'webdav.readOnly', value: true }
+  ]);
+  assert.deepEqual(cli.errors, ['未知的命令行参数: --nope', '无法识别的命令行参数: stray']);
+});
+
+test('collectOverrides：环境变量名由 key 路径生成，命令行优先', () => {
+  const single = structuredClone(defaultConfig);
+  const env = { WEBDAV_PORT: '3001', WEBDAV_PROXY_MODE: 'proxy', PAN115_LIST_MIN_INTERVAL_MS: '500', PAN115_BASE_URL: 'https://x', DEBUG: '1' };
+  const cli = parseCliArgs(['--webdav.port=3002']);
+  const overrides = collectOverrides(single, { env, cli });
+  assert.deepEqual(overrides.map(o => [o.segments.join('.'), o.value, o.source]), [
+    ['pan115.baseURL', 'https://x', '环境变量 PAN115_BASE_URL'],
+    ['pan115.listMinIntervalMs', 500, '环境变量 PAN115_LIST_MIN_INTERVAL_MS'],
+    ['webdav.port', 3001, '环境变量 WEBDAV_PORT'],
+    ['webdav.proxy.mode', 'proxy', '环境变量 WEBDAV_PROXY_MODE'],
+    ['webdav.port', 3002, '--webdav.port']
+  ]);
+
+  const multi = { ...structuredClone(defaultConfig), pan115: [{ name: 'a' }] };
+  assert.deepEqual(collectOverrides(multi, { env: { PAN115_0_COOKIE: 'UID=2' }, cli: noCli }).map(o => o.segments), [['pan115', '0', 'cookie']]);
+  assert.throws(() => collectOverrides(multi, { env: { PAN115_COOKIE: 'x' }, cli: noCli }), /PAN115_<序号>_COOKIE/);
+  assert.throws(() => collectOverrides(single, { env: { PAN115_0_COOKIE: 'x' }, cli: noCli }), /单账号时请使用 PAN115_COOKIE/);
+  assert.throws(() => collectOverrides(single, { env: { WEBDAV_PORT: 'x' }, cli: noCli }), /WEBDAV_PORT/);
+});
+
+test('loadConfig：默认值 <- JSONC 文件 <- 环境变量；token 只在文件为空时被覆盖', (t) => {
+  writeConfig(`{
+    // 注释
+    "pan115": { "cookie": "UID=file", "accessToken": "file-token", },
+    "webdav": { "port": 3005 },
+  }`);
+  const saved = { ...process.env };
+  t.after(() => {
+    for (const k of ['WEBDAV_PORT', 'PAN115_COOKIE', 'PAN115_ACCESS_TOKEN', 'PAN115_REFRESH_TOKEN']) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+  });
+  Object.assign(process.env, { WEBDAV_PORT: '3006', PAN115_COOKIE: 'UID=env', PAN115_ACCESS_TOKEN: 'env-token', PAN115_REFRESH_TOKEN: 'env-refresh' });
+
+  const cfg = loadConfig();
+  assert.equal(cfg.webdav.port, 3006);
+  assert.equal(cfg.pan115.cookie, 'UID=env');
+  assert.equal(cfg.pan115.accessToken, 'file-token');
+  assert.equal(cfg.pan115.refreshToken, 'env-refresh');
+  assert.equal(cfg.webdav.username, defaultConfig.webdav.username);
+
+  const raw = loadConfig({ applyOverrides: false });
+  assert.equal(raw.webdav.port, 3005);
+  assert.equal(raw.pan115.cookie, 'UID=file');
+});
+
+test('loadConfig：JSON 语法错误时给出行列号', () => {
+  writeConfig('{\n  "webdav": {\n    "port": 3000 3001\n  }\n}');
+  assert.throws(() => loadConfig(), /第 3 行第 \d+ 列/);
+});
+
+test('loadConfig：多账号时每个账号各自合并默认值', () => {
+  writeConfig(JSON.stringify({ pan115: [{ name: 'a', cookie: 'UID=1' }, { name: 'b', fileListTtlMs: 1 }] }));
+  const cfg = loadConfig({ applyOverrides: false });
+  assert.equal(cfg.pan115[0].fileListTtlMs, defaultConfig.pan115.fileListTtlMs);
+  assert.equal(cfg.pan115[1].fileListTtlMs, 1);
+  assert.equal(cfg.pan115[1].cookie, defaultConfig.pan115.cookie);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAV_NS, XmlParseError, findChild, getBodyText, parsePropfindRequest, parseXml, unescapeXml } from '../src/dav-xml.js';
+
+test('unescapeXml 还原实体和字符引用', () => {
+  assert.equal(unescapeXml('&lt;a&gt; &quot;b&quot; &apos;c&apos; &amp;lt;'), '<a> "b" \'c\' &lt;');
+  assert.equal(unescapeXml('&#x5F71;&#35270;&#x1F3AC;'), '影视🎬');
+});
+
+test('unescapeXml 字符引用超出范围时抛 XmlParseError', () => {
+  for (const ref of ['&#x110000;', '&#1114112;', '&#xFFFFFFFFFFFF;', '&#99999999999999999999;', '&#xD800;', '&#0;', '&#x1;', '&#xFFFE;']) {
+    assert.throws(() => unescapeXml(ref), XmlParseError, ref);
+  }
+  assert.equal(unescapeXml('&#x10FFFF;'), '\u{10FFFF}');
+  assert.equal(unescapeXml('&#9;&#10;&#13;'), '\t\n\r');
+});
+
+test('parseXml 解析命名空间、属性、文本和 CDATA', () => {
+  const root = parseXml(`<?xml version="1.0"?>
+    <!-- c -->
+    <D:multistatus xmlns:D="DAV:" xmlns:x="urn:x">
+      <D:href a="1&amp;2">/a%20b</D:href>
+      <x:note><![CDATA[<raw>]]></x:note>
+      <empty xmlns="urn:e"/>
+    </D:multistatus>`);
+  assert.equal(root.name, 'multistatus');
+  assert.equal(root.ns, DAV_NS);
+  const href = findChild(root, DAV_NS, 'href');
+  assert.equal(href.text, '/a%20b');
+  assert.equal(href.attrs.a, '1&2');
+  assert.equal(findChild(root, 'urn:x', 'note').text, '<raw>');
+  assert.equal(findChild(root, 'urn:e', 'empty').children.length, 0);
+});
+
+test('parseXml 拒绝不合法的文档', () => {
+  assert.throws(() => parseXml('<a><b></a>'), XmlParseError);
+  assert.throws(() => parseXml('<a>'), /未闭合/);
+  assert.throws(() => parseXml('<a/><b/>'), /多个根元素/);
+  assert.throws(() => parseXml('text'), XmlParseError);
+  assert.throws(() => parseXml('<p:a/>'), /未声明的命名空间前缀/);
+  assert.throws(() => parseXml(''), /缺少根元素/);
+  assert.throws(() => parseXml('<a>&#x110000;</a>'), XmlParseError);
+  assert.throws(() => parseXml('<a b="&#x110000;"/>'), XmlParseError);
+});
+
+test('parsePropfindRequest：allprop / propname / prop', () => {
+  assert.deepEqual(parsePropfindRequest(''), { mode: 'allprop', props: [] });
+  assert.deepEqual(parsePropfindRequest('<propfind xmlns="DAV:"><propname/></propfind>'), { mode: 'propname', props: [] });
+  assert.deepEqual(
+    parsePropfindRequest('<D:propfind xmlns:D="DAV:"><D:allprop/><D:include><D:quota-used-bytes/></D:include></D:propfind>'),
+    { mode: 'allprop', props: [{ ns: DAV_NS, name: 'quota-used-bytes' }] }
+  );
+  assert.deepEqual(
+    parsePropfindRequest('<D:propfind xmlns:D="DAV:" xmlns:Z="urn:z"><D:prop><D:getcontentlength/><Z:custom/></D:prop></D:propfind>'),
+    { mode: 'prop', props: [{ ns: DAV_NS, name: 'getcontentlength' }, { ns: 'urn:z', name: 'custom' }] }
+  );
+});
+
+test('parsePropfindRequest 拒绝错误的根元素和内容', () => {
+  assert.throws(() => parsePropfindRequest('<propfind/>'), /DAV:propfind/);
+  assert.throws(() => parsePropfindRequest('<propfind xmlns="DAV:"/>'), /缺少 allprop/);
+  assert.throws(() => parsePropfindRequest('<propfind xmlns="DAV:"><prop><a>&#x110000;</a></prop></propfind>'), XmlParseError);
+});
+
+test('getBodyText 兼容 Buffer / 字符串 / 空 body', () => {
+  assert.equal(getBodyText({ body: Buffer.from('<a/>') }), '<a/>');
+  assert.equal(getBodyText({ body: '<a/>' }), '<a/>');
+  assert.equal(getBodyText({ body: {} }), '');
+});
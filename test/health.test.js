@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HealthChecker } from '../src/health.js';
+import { FAILED, makeApi, startServer, video } from './helpers.js';
+
+function healthyApi() {
+  const api = makeApi({ '0': { state: true, count: 1, data: [video('1', 'a.mkv', '0')] } });
+  api.checkToken = async () => true;
+  return api;
+}
+
+test('凭证正常时就绪', async () => {
+  const checker = new HealthChecker([{ name: 'a', api: healthyApi() }, { name: 'b', api: healthyApi() }]);
+  const report = await checker.check();
+  assert.equal(report.ready, true);
+  assert.deepEqual(report.accounts.map(a => [a.name, a.ok, a.cookie.ok, a.token.ok]), [['a', true, true, true], ['b', true, true, true]]);
+  assert.ok(report.accounts[0].lastListOkAt);
+  assert.equal(checker.lastReport, report);
+});
+
+test('cookie 失效或 token 无法刷新时未就绪，并给出原因', async () => {
+  const badCookie = makeApi({ '0': FAILED });
+  badCookie.checkToken = async () => true;
+  const badToken = healthyApi();
+  badToken.checkToken = async () => { throw new Error('refresh_token 已失效'); };
+
+  const report = await new HealthChecker([{ name: 'cookie', api: badCookie }, { name: 'token', api: badToken }]).check();
+  assert.equal(report.ready, false);
+  const [cookie, token] = report.accounts;
+  assert.equal(cookie.ok, false);
+  assert.ok(cookie.cookie.error);
+  assert.equal(cookie.token.ok, true);
+  assert.equal(token.cookie.ok, true);
+  assert.equal(token.token.error, 'refresh_token 已失效');
+});
+
+test('并发检查合并成一次', async () => {
+  const api = healthyApi();
+  let calls = 0;
+  api.checkToken = async () => {
+    calls++;
+    return true;
+  };
+  const checker = new HealthChecker(api);
+  const [a, b] = await Promise.all([checker.check(), checker.check()]);
+  assert.equal(a, b);
+  assert.equal(calls, 1);
+  assert.equal(a.accounts[0].name, 'default');
+});
+
+test('/__health 不需要认证；/__ready 按检查结果返回 200 / 503', async () => {
+  const noAuth = { headers: { authorization: '' } };
+
+  const ok = await startServer(healthyApi(), { healthChecker: new HealthChecker(healthyApi()) });
+  try {
+    const health = await ok.request('GET', '/__health', noAuth);
+    assert.equal(health.status, 200);
+    assert.equal((await health.json()).status, 'ok');
+    const ready = await ok.request('GET', '/__ready', noAuth);
+    assert.equal(ready.status, 200);
+    assert.equal((await ready.json()).ready, true);
+  } finally {
+    await ok.close();
+  }
+
+  const bad = makeApi({ '0': FAILED });
+  bad.checkToken = async () => true;
+  const failing = await startServer(bad, { healthChecker: new HealthChecker(bad) });
+  try {
+    assert.equal((await failing.request('GET', '/__ready', noAuth)).status, 503);
+  } finally {
+    await failing.close();
+  }
+
+  const none = await startServer(healthyApi());
+  try {
+    assert.equal((await none.request('GET', '/__ready', noAuth)).status, 404);
+  } finally {
+    await none.close();
+  }
+});
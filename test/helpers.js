@@ -0,0 +1,43 @@
+// 测试共用的夹具：不联网的 Pan115API、115 列表条目、本地 WebDAVServer
+import { Pan115API } from '../src/115api.js';
+import { WebDAVServer } from '../src/webdav-server.js';
+
+// 115 列表接口的失败响应（cookie 过期）
+export const FAILED = { state: false, errNo: 990001 };
+
+export const dir = (cid, name, pid = '0') => ({ cid, n: name, pid });
+export const video = (fid, name, cid) => ({ fid, n: name, s: '100', cid, pc: `pc${fid}` });
+
+/**
+ * 列表接口被替换掉的 Pan115API
+ * @param {Object} pages cid -> 第一页响应，可在测试中途修改；不在表里的目录返回 FAILED
+ * @param {Object} [options] 额外的 Pan115API 选项
+ */
+export function makeApi(pages = {}, options = {}) {
+  const api = new Pan115API({ cookie: 'UID=1', ...options });
+  api._getFileListPage = async (cid) => pages[cid] ?? FAILED;
+  return api;
+}
+
+/**
+ * 在 127.0.0.1 的随机端口上启动 WebDAVServer（用户 u / p）
+ * @returns {Promise<{server: WebDAVServer, request: Function, close: Function}>}
+ *          request(method, path, { headers, body }) 自动带 Basic Auth，不跟随重定向
+ */
+export async function startServer(api, options = {}) {
+  const server = new WebDAVServer(api, { username: 'u', password: 'p', ...options });
+  const http = await new Promise(resolve => {
+    const s = server.app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${http.address().port}`;
+  const authorization = `Basic ${Buffer.from('u:p').toString('base64')}`;
+  return {
+    server,
+    request: (method, path, { headers = {}, body } = {}) =>
+      fetch(base + path, { method, headers: { authorization, ...headers }, body, redirect: 'manual' }),
+    close: () => new Promise(resolve => {
+      http.closeAllConnections();
+      http.close(resolve);
+    })
+  };
+}
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLinkExpiry } from '../src/115api.js';
+import { makeApi } from './helpers.js';
+
+const now = Date.parse('2025-01-01T00:00:00Z');
+const inOneHour = now + 3600_000;
+
+test('parseLinkExpiry 支持 10 位秒和 13 位毫秒时间戳', () => {
+  assert.equal(parseLinkExpiry(`https://cdn.example/a?t=${inOneHour / 1000}`, now), inOneHour);
+  assert.equal(parseLinkExpiry(`https://cdn.example/a?t=${inOneHour}`, now), inOneHour);
+});
+
+test('parseLinkExpiry 识别 t / expires / Expires / e 参数', () => {
+  for (const name of ['t', 'expires', 'Expires', 'e']) {
+    assert.equal(parseLinkExpiry(`https://cdn.example/a?x=1&${name}=${inOneHour / 1000}`, now), inOneHour, name);
+  }
+  // 按参数优先级取第一个合法的值
+  assert.equal(parseLinkExpiry(`https://cdn.example/a?e=${inOneHour / 1000}&t=${(inOneHour + 1000) / 1000}`, now), inOneHour + 1000);
+});
+
+test('parseLinkExpiry 忽略不像时间戳的值', () => {
+  const farFuture = now + 31 * 24 * 3600_000;
+  const farPast = now - 31 * 24 * 3600_000;
+  assert.equal(parseLinkExpiry(`https://cdn.example/a?t=${farFuture / 1000}`, now), null);
+  assert.equal(parseLinkExpiry(`https://cdn.example/a?t=${farPast}`, now), null);
+  assert.equal(parseLinkExpiry('https://cdn.example/a?t=12345', now), null);
+  assert.equal(parseLinkExpiry('https://cdn.example/a?t=abc', now), null);
+  // 范围外的值跳过，继续看后面的参数
+  assert.equal(parseLinkExpiry(`https://cdn.example/a?t=${farFuture / 1000}&e=${inOneHour / 1000}`, now), inOneHour);
+  assert.equal(parseLinkExpiry('https://cdn.example/a', now), null);
+});
+
+test('parseLinkExpiry 非法 URL 返回 null', () => {
+  assert.equal(parseLinkExpiry('not a url', now), null);
+  assert.equal(parseLinkExpiry('', now), null);
+});
+
+function apiWithDownurl(url, options) {
+  const api = makeApi({}, options);
+  api.requestWithAutoRefresh = async () => ({
+    data: { state: true, data: { '1': { pick_code: 'pc1', url: { url } } } }
+  });
+  return api;
+}
+
+function cachedEntry(api) {
+  return api._downloadUrlCache.get(api._downloadUrlCacheKey('1', 'pc1', api.userAgent));
+}
+
+test('getDownloadUrl 按直链过期时间减 margin 缓存', async () => {
+  const linkExpiresAt = Math.floor((Date.now() + 3600_000) / 1000) * 1000;
+  const api = apiWithDownurl(`https://cdn.example/a?t=${linkExpiresAt / 1000}`, { downloadUrlExpiryMarginMs: 120_000 });
+
+  const info = await api.getDownloadUrl('1', 'pc1');
+  assert.equal(info.url, `https://cdn.example/a?t=${linkExpiresAt / 1000}`);
+
+  const entry = cachedEntry(api);
+  assert.equal(entry.linkExpiresAt, linkExpiresAt);
+  assert.equal(entry.expiresAt, linkExpiresAt - 120_000);
+
+  // 未过期前直接命中缓存
+  api.requestWithAutoRefresh = async () => { throw new Error('不应再次请求'); };
+  assert.equal((await api.getDownloadUrl('1', 'pc1')).fromCache, true);
+});
+
+test('getDownloadUrl 直链即将过期时不会缓存到过去', async () => {
+  const linkExpiresAt = Math.floor((Date.now() + 30_000) / 1000) * 1000;
+  const api = apiWithDownurl(`https://cdn.example/a?t=${linkExpiresAt / 1000}`, { downloadUrlExpiryMarginMs: 60_000 });
+
+  const before = Date.now();
+  await api.getDownloadUrl('1', 'pc1');
+  const entry = cachedEntry(api);
+  assert.equal(entry.linkExpiresAt, linkExpiresAt);
+  assert.ok(entry.expiresAt >= before && entry.expiresAt <= Date.now());
+});
+
+test('getDownloadUrl 解析不到过期时间时按 downloadUrlTtlMs 缓存', async () => {
+  const api = apiWithDownurl('https://cdn.example/a?x=1', { downloadUrlTtlMs: 5000 });
+
+  const before = Date.now();
+  await api.getDownloadUrl('1', 'pc1');
+  const entry = cachedEntry(api);
+  assert.equal(entry.linkExpiresAt, null);
+  assert.ok(entry.expiresAt >= before + 5000 && entry.expiresAt <= Date.now() + 5000);
+});
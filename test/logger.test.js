@@ -0,0 +1,170 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  Logger, RotatingFile, configureLogging, logAccess, redact, runWithRequestId, serializeError
+} from '../src/logger.js';
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+});
+
+afterEach(() => {
+  // 关闭日志文件并恢复默认设置
+  configureLogging({ level: 'info', format: 'text', modules: {}, file: { path: '' }, accessLog: { enabled: false } });
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean);
+}
+
+test('redact 去掉 cookie、Authorization 和签名参数', () => {
+  assert.equal(redact('UID=123_abc; CID=def; SEID=ghi; KID=jkl'), 'UID=***; CID=***; SEID=***; KID=***');
+  assert.equal(redact('Basic dTpw'), 'Basic ***');
+  assert.doesNotMatch(redact('Authorization: Basic dTpw'), /dTpw/);
+  assert.equal(redact('Bearer eyJ.abc-def'), 'Bearer ***');
+  assert.equal(
+    redact('https://cdn.115.com/a.mkv?t=1700000000&sign=abc123&name=a'),
+    'https://cdn.115.com/a.mkv?t=1700000000&sign=***&name=a'
+  );
+  assert.equal(redact('/__pc/abc?sig=xyz#frag'), '/__pc/abc?sig=***#frag');
+  assert.equal(redact('{"accessToken":"tok","name":"a"}'), '{"accessToken":"***","name":"a"}');
+  assert.equal(redact('password=hunter2'), 'password=***');
+  // 普通文本不变
+  assert.equal(redact('获取文件列表 cid=0'), '获取文件列表 cid=0');
+});
+
+test('serializeError 只保留 axios 错误的方法、URL 和状态码', () => {
+  const err = new Error('Request failed with status code 403');
+  err.isAxiosError = true;
+  err.code = 'ERR_BAD_REQUEST';
+  err.config = { method: 'post', baseURL: 'https://proapi.115.com', url: '/open/ufile/downurl?token=abc', headers: { Cookie: 'UID=1' } };
+  err.response = { status: 403, data: { secret: 'x' }, headers: {} };
+
+  assert.deepEqual(serializeError(err), {
+    name: 'Error',
+    message: 'Request failed with status code 403',
+    code: 'ERR_BAD_REQUEST',
+    status: 403,
+    method: 'POST',
+    url: 'https://proapi.115.com/open/ufile/downurl?token=***'
+  });
+});
+
+test('serializeError 处理 cause、普通错误和非 Error 值', () => {
+  const err = new Error('外层', { cause: new Error('cookie=abc') });
+  const out = serializeError(err);
+  assert.equal(out.message, '外层');
+  assert.match(out.stack, /外层/);
+  assert.equal(out.cause.message, 'cookie=***');
+
+  assert.equal(serializeError('UID=1'), 'UID=***');
+  assert.equal(serializeError({ password: 'p' }), '{"password":"***"}');
+});
+
+test('RotatingFile 按大小轮转，最多保留 maxFiles 个旧文件', () => {
+  const file = path.join(tmpDir, 'logs', 'app.log');
+  // 约 100 字节
+  const rf = new RotatingFile({ path: file, rotate: 'size', maxSizeMb: 100 / 1024 / 1024, maxFiles: 2 });
+  const line = `${'x'.repeat(59)}\n`;
+  for (let i = 0; i < 8; i++) rf.write(line);
+  rf.close();
+
+  assert.deepEqual(fs.readdirSync(path.dirname(file)).sort(), ['app.log', 'app.log.1', 'app.log.2']);
+  for (const name of ['app.log', 'app.log.1', 'app.log.2']) {
+    assert.equal(fs.statSync(path.join(tmpDir, 'logs', name)).size, 60);
+  }
+});
+
+test('RotatingFile 单行超过上限时也照常写入', () => {
+  const file = path.join(tmpDir, 'app.log');
+  const rf = new RotatingFile({ path: file, maxSizeMb: 10 / 1024 / 1024, maxFiles: 1 });
+  rf.write(`${'y'.repeat(50)}\n`);
+  rf.close();
+  assert.deepEqual(fs.readdirSync(tmpDir), ['app.log']);
+});
+
+test('RotatingFile 按天轮转并清理旧文件', () => {
+  const file = path.join(tmpDir, 'app.log');
+  for (const day of ['2024-01-01', '2024-01-02', '2024-01-03']) fs.writeFileSync(`${file}.${day}`, 'old\n');
+  // 不属于轮转文件的不动
+  fs.writeFileSync(`${file}.bak`, 'keep\n');
+
+  const rf = new RotatingFile({ path: file, rotate: 'daily', maxFiles: 2 });
+  rf.write('昨天\n');
+  rf.day = '2024-01-04';
+  rf.write('今天\n');
+  rf.close();
+
+  assert.deepEqual(fs.readdirSync(tmpDir).sort(), ['app.log', 'app.log.2024-01-03', 'app.log.2024-01-04', 'app.log.bak']);
+  assert.equal(fs.readFileSync(`${file}.2024-01-04`, 'utf-8'), '昨天\n');
+  assert.equal(fs.readFileSync(file, 'utf-8'), '今天\n');
+});
+
+test('Logger 按全局和模块级别过滤，写文件时脱敏', () => {
+  const file = path.join(tmpDir, 'app.log');
+  configureLogging({ level: 'warn', modules: { api: 'debug' }, file: { path: file } });
+
+  new Logger(false, 'webdav').info('不输出');
+  new Logger(false, 'webdav').warn('webdav 警告');
+  new Logger(false, 'api').log('api 调试 cookie=abc');
+  new Logger(true, 'proxy').log('旧 debug 开关');
+  new Logger(false, 'proxy').log('不输出');
+
+  const lines = readLines(file);
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^\[\d{4}-\d{2}-\d{2} [\d:.]+\] \[WARN\] webdav 警告$/);
+  assert.match(lines[1], /\[DEBUG\] api 调试 cookie=\*\*\*$/);
+  assert.match(lines[2], /\[DEBUG\] 旧 debug 开关$/);
+});
+
+test('Logger json 格式带模块、请求 ID 和序列化后的错误', async () => {
+  const file = path.join(tmpDir, 'app.log');
+  configureLogging({ format: 'json', file: { path: file } });
+
+  const logger = new Logger(false, 'api');
+  await runWithRequestId('req-1', async () => {
+    await Promise.resolve();
+    logger.error('请求失败', new Error('cookie=abc'));
+  });
+  logger.info('请求外');
+
+  const [first, second] = readLines(file).map(line => JSON.parse(line));
+  assert.equal(first.level, 'error');
+  assert.equal(first.module, 'api');
+  assert.equal(first.reqId, 'req-1');
+  assert.equal(first.msg, '请求失败');
+  assert.equal(first.err.message, 'cookie=***');
+  assert.equal(second.reqId, undefined);
+});
+
+test('logAccess 写入单独的访问日志，未开启时不输出', () => {
+  const file = path.join(tmpDir, 'app.log');
+  const access = path.join(tmpDir, 'access.log');
+  const entry = {
+    ip: '127.0.0.1', user: 'u', method: 'GET', url: '/a.mkv?sig=abc', httpVersion: '1.1',
+    status: 206, bytes: 1024, userAgent: 'VLC/3.0', latencyMs: 12, requestId: 'req-2'
+  };
+
+  configureLogging({ file: { path: file } });
+  logAccess(entry);
+  assert.equal(fs.readFileSync(file, 'utf-8'), '');
+
+  configureLogging({ file: { path: file }, accessLog: { enabled: true, path: access } });
+  logAccess(entry);
+  const [line] = readLines(access);
+  assert.match(line, /^127\.0\.0\.1 - u \[\d{2}\/\w{3}\/\d{4}:[\d:]+ [+-]\d{4}\] "GET \/a\.mkv\?sig=\*\*\* HTTP\/1\.1" 206 1024 "-" "VLC\/3\.0" 12ms req-2$/);
+  assert.equal(fs.readFileSync(file, 'utf-8'), '');
+
+  configureLogging({ format: 'json' });
+  logAccess(entry);
+  const json = JSON.parse(readLines(access)[1]);
+  assert.equal(json.module, 'access');
+  assert.equal(json.url, '/a.mkv?sig=***');
+  assert.equal(json.status, 206);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { QrLoginManager } from '../src/login.js';
+
+/**
+ * 替换掉 manager.http：按 URL 片段返回响应
+ * statuses 为依次返回的扫码状态（undefined 表示二维码失效）
+ */
+function setup({ statuses = [], accounts = {}, loginData } = {}) {
+  const updates = [];
+  const api = { updateCredentials: async (creds) => { updates.push(creds); } };
+  const manager = new QrLoginManager([{ name: 'a', api }], { accounts });
+  const requests = [];
+
+  manager.http = {
+    get: async (url, opts) => {
+      requests.push(['GET', url, opts?.params]);
+      if (url.includes('/token/')) return { data: { state: 1, data: { uid: 'qr-uid', time: 1, sign: 's', qrcode: 'https://115.com/scan/qr-uid' } } };
+      if (url.includes('/get/status/')) {
+        const status = statuses.shift();
+        if (status instanceof Error) throw status;
+        return { data: status === undefined ? { state: 0 } : { state: 1, data: { status } } };
+      }
+      throw new Error(`unexpected GET ${url}`);
+    },
+    post: async (url, body) => {
+      const form = Object.fromEntries(new URLSearchParams(body));
+      requests.push(['POST', url, form]);
+      if (url.includes('/open/authDeviceCode')) return { data: { state: 1, data: { uid: 'dev-uid', time: 2, sign: 't', qrcode: 'https://115.com/scan/dev-uid' } } };
+      if (url.includes('/open/deviceCodeToToken')) return { data: { state: 1, data: { access_token: 'AT', refresh_token: 'RT' } } };
+      if (url.includes('/login/qrcode/')) return { data: loginData ?? { state: 1, data: { cookie: { UID: '1_A', CID: 'c', SEID: 's' } } } };
+      throw new Error(`unexpected POST ${url}`);
+    }
+  };
+  return { manager, updates, requests };
+}
+
+test('cookie 扫码：等待 -> 已扫码 -> 确认后热替换 cookie', async () => {
+  const { manager, updates, requests } = setup({ statuses: [0, 1, 2] });
+  const session = await manager.start('a', 'cookie');
+  assert.equal(session.qrcode, 'https://115.com/scan/qr-uid');
+
+  assert.equal((await manager.poll(session.id)).status, 'waiting');
+  assert.equal((await manager.poll(session.id)).status, 'scanned');
+  assert.equal((await manager.poll(session.id)).status, 'done');
+  assert.deepEqual(updates, [{ cookie: 'UID=1_A; CID=c; SEID=s' }]);
+
+  const login = requests.find(r => r[1].includes('/login/qrcode/'));
+  assert.match(login[1], /\/app\/1\.0\/alipaymini\//);
+  assert.deepEqual(login[2], { account: 'qr-uid', app: 'alipaymini' });
+
+  // 完成后不再请求 115
+  const count = requests.length;
+  assert.equal((await manager.poll(session.id)).status, 'done');
+  assert.equal(requests.length, count);
+});
+
+test('token 授权：PKCE challenge 与 verifier 对应，确认后热替换 token', async () => {
+  const { manager, updates, requests } = setup({ statuses: [2], accounts: { a: { appId: '100' } } });
+  const session = await manager.start('a', 'token');
+  const [, , auth] = requests[0];
+  assert.equal(auth.client_id, '100');
+  assert.equal(auth.code_challenge, crypto.createHash('sha256').update(session.codeVerifier).digest('base64'));
+
+  assert.equal((await manager.poll(session.id)).status, 'done');
+  const exchange = requests.find(r => r[1].includes('/open/deviceCodeToToken'));
+  assert.deepEqual(exchange[2], { uid: 'dev-uid', code_verifier: session.codeVerifier });
+  assert.deepEqual(updates, [{ accessToken: 'AT', refreshToken: 'RT' }]);
+});
+
+test('未配置 appId、账号不存在、类型不支持、会话不存在时报错', async () => {
+  const { manager } = setup();
+  await assert.rejects(manager.start('a', 'token'), /appId/);
+  await assert.rejects(manager.start('nope', 'cookie'), /账号不存在/);
+  await assert.rejects(manager.start('a', 'password'), /不支持的登录类型/);
+  await assert.rejects(manager.poll('nope'), /会话不存在/);
+});
+
+test('二维码失效、长轮询超时、换取凭证失败', async () => {
+  const timeout = Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+  const { manager, updates } = setup({ statuses: [timeout, undefined] });
+  const expired = await manager.start('a');
+  assert.equal((await manager.poll(expired.id)).status, 'waiting');
+  assert.equal((await manager.poll(expired.id)).status, 'expired');
+
+  const failing = setup({ statuses: [2], loginData: { state: 0, message: '登录失败' } });
+  const session = await failing.manager.start('a');
+  const result = await failing.manager.poll(session.id);
+  assert.equal(result.status, 'error');
+  assert.equal(result.message, '登录失败');
+  assert.deepEqual(updates, []);
+});
+
+test('并发轮询同一会话只发一次状态请求', async () => {
+  const { manager, requests } = setup({ statuses: [1] });
+  const session = await manager.start('a');
+  const [a, b] = await Promise.all([manager.poll(session.id), manager.poll(session.id)]);
+  assert.equal(a.status, 'scanned');
+  assert.equal(b.status, 'scanned');
+  assert.equal(requests.filter(r => r[1].includes('/get/status/')).length, 1);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRegistry } from '../src/metrics.js';
+import { makeApi, startServer } from './helpers.js';
+
+test('Counter / Gauge 按 label 分序列输出', () => {
+  const reg = new MetricsRegistry();
+  const c = reg.counter('req_total', '请求数', ['method']);
+  const g = reg.gauge('depth', '队列长度');
+  c.inc({ method: 'GET' });
+  c.inc({ method: 'GET' }, 2);
+  c.inc({ method: 'PUT' });
+  g.set({}, 5);
+
+  assert.equal(reg.render(), [
+    '# HELP req_total 请求数',
+    '# TYPE req_total counter',
+    'req_total{method="GET"} 3',
+    'req_total{method="PUT"} 1',
+    '# HELP depth 队列长度',
+    '# TYPE depth gauge',
+    'depth 5',
+    ''
+  ].join('\n'));
+});
+
+test('label 值转义，缺省 label 为空字符串', () => {
+  const reg = new MetricsRegistry();
+  const c = reg.counter('x_total', 'x', ['a', 'b']);
+  c.inc({ a: 'say "hi"\\\n' });
+  assert.match(reg.render(), /^x_total\{a="say \\"hi\\"\\\\\\n",b=""\} 1$/m);
+});
+
+test('Histogram 输出累计 bucket、sum、count', () => {
+  const reg = new MetricsRegistry();
+  const h = reg.histogram('dur_seconds', '耗时', ['ep'], [1, 0.1]);
+  h.observe({ ep: '/files' }, 0.05);
+  h.observe({ ep: '/files' }, 0.5);
+  h.observe({ ep: '/files' }, 3);
+
+  const lines = reg.render().split('\n');
+  assert.deepEqual(lines.slice(2, 7), [
+    'dur_seconds_bucket{ep="/files",le="0.1"} 1',
+    'dur_seconds_bucket{ep="/files",le="1"} 2',
+    'dur_seconds_bucket{ep="/files",le="+Inf"} 3',
+    'dur_seconds_sum{ep="/files"} 3.55',
+    'dur_seconds_count{ep="/files"} 3'
+  ]);
+
+  const done = h.startTimer({ ep: '/x' });
+  assert.ok(done() >= 0);
+  assert.match(reg.render(), /dur_seconds_count\{ep="\/x"\} 1/);
+});
+
+test('重复注册同名指标报错', () => {
+  const reg = new MetricsRegistry();
+  reg.counter('a_total', 'a');
+  assert.throws(() => reg.gauge('a_total', 'a'), /重复注册/);
+});
+
+test('/__metrics 输出全局指标，包含 WebDAV 请求计数', async () => {
+  const { request, close } = await startServer(makeApi({ '0': { state: true, count: 0, data: [] } }));
+  try {
+    await (await request('PROPFIND', '/', { headers: { Depth: '0' } })).text();
+    const res = await request('GET', '/__metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/plain/);
+    const text = await res.text();
+    assert.match(text, /^webdav_requests_total\{method="PROPFIND",status="207"\} \d+$/m);
+    assert.match(text, /# TYPE pan115_api_request_duration_seconds histogram/);
+  } finally {
+    await close();
+  }
+});
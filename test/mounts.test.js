@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MountTable } from '../src/mounts.js';
+import { dir, makeApi, startServer, video } from './helpers.js';
+
+test('单账号挂在根目录，路径原样交给该账号', () => {
+  const api = {};
+  const mounts = MountTable.from(api);
+  assert.equal(mounts.isMulti, false);
+  assert.equal(mounts.isVirtualRoot('/'), false);
+  assert.deepEqual(mounts.resolve('/影视'), { name: '', api, subPath: '/影视', mountPath: '/' });
+  assert.equal(mounts.join('', '/影视'), '/影视');
+  assert.equal(MountTable.from(mounts), mounts);
+});
+
+test('多账号挂在 /<name>/ 下，根目录是虚拟目录', () => {
+  const a = {};
+  const b = {};
+  const mounts = MountTable.from([{ name: 'a', api: a }, { name: 'b', api: b }]);
+  assert.equal(mounts.isMulti, true);
+  assert.equal(mounts.isVirtualRoot('/'), true);
+  assert.equal(mounts.resolve('/'), null);
+  assert.equal(mounts.resolve('/c/x'), null);
+  assert.deepEqual(mounts.resolve('/a'), { name: 'a', api: a, subPath: '/', mountPath: '/a' });
+  assert.deepEqual(mounts.resolve('/b/影视/x.mkv'), { name: 'b', api: b, subPath: '/影视/x.mkv', mountPath: '/b' });
+  assert.equal(mounts.join('b', '/'), '/b');
+  assert.equal(mounts.join('b', '/影视'), '/b/影视');
+  assert.deepEqual(mounts.rootItems().map(i => [i.name, i.type, i.path]), [['a', 'directory', '/a'], ['b', 'directory', '/b']]);
+  assert.deepEqual(mounts.apis, [a, b]);
+});
+
+test('挂载名为空、包含 / 或重复时报错', () => {
+  assert.throws(() => new MountTable([]), /至少需要一个/);
+  assert.throws(() => new MountTable([{ name: 'a', api: {} }, { name: '', api: {} }]), /挂载名无效/);
+  assert.throws(() => new MountTable([{ name: 'a/b', api: {} }]), /挂载名无效/);
+  assert.throws(() => new MountTable([{ name: 'a', api: {} }, { name: 'a', api: {} }]), /挂载名重复/);
+});
+
+test('多账号：根目录列出各账号，路径按挂载名分发到对应账号', async () => {
+  const accountApi = (fid, name) => {
+    const api = makeApi({ '0': { state: true, count: 2, data: [dir('10', '影视'), video(fid, name, '0')] } });
+    api.getDownloadUrl = async () => ({ url: `https://cdn.example/${name}`, userAgent: 'ua' });
+    return api;
+  };
+  const mounts = [{ name: 'a', api: accountApi('1', 'a.mkv') }, { name: 'b', api: accountApi('2', 'b.mkv') }];
+  const { request, close } = await startServer(mounts);
+  try {
+    const root = await request('PROPFIND', '/', { headers: { Depth: '1' } });
+    assert.equal(root.status, 207);
+    const xml = await root.text();
+    assert.match(xml, /<d:href>\/a\/<\/d:href>/);
+    assert.match(xml, /<d:href>\/b\/<\/d:href>/);
+
+    const listing = await (await request('PROPFIND', '/b/', { headers: { Depth: '1' } })).text();
+    assert.match(listing, /\/b\/b\.mkv/);
+    assert.doesNotMatch(listing, /a\.mkv/);
+
+    const get = await request('GET', '/a/a.mkv');
+    assert.equal(get.status, 302);
+    assert.equal(get.headers.get('location'), 'https://cdn.example/a.mkv');
+
+    assert.equal((await request('PROPFIND', '/c/', { headers: { Depth: '0' } })).status, 404);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pan115API } from '../src/115api.js';
+
+// 按 offset 返回预设的分页响应，不发真实请求
+function stubPages(api, pages) {
+  api._getFileListPage = async (fileId, offset) => pages[offset];
+  return api;
+}
+
+const file = (n) => ({ fid: `f${n}`, n: `${n}.mkv`, s: '1', cid: '100', pc: `pc${n}` });
+
+test('第一页失败时抛错，不返回空列表', async () => {
+  const api = stubPages(new Pan115API({ cookie: 'UID=1' }), { 0: { state: false, errNo: 990001 } });
+  await assert.rejects(api.getFileList('100'), (e) => e.errNo === 990001);
+  assert.equal(api._fileListCache.has('100'), false);
+  assert.equal(api.health.lastListOkAt, null);
+  assert.ok(api.health.lastError);
+});
+
+test('第一页返回 null 时同样抛错', async () => {
+  const api = stubPages(new Pan115API({ cookie: 'UID=1' }), { 0: null });
+  await assert.rejects(api.getFileList('100'), /获取文件列表失败/);
+});
+
+test('中途某页失败时抛错，半截列表不缓存', async () => {
+  const api = stubPages(new Pan115API({ cookie: 'UID=1', listPageSize: 2 }), {
+    0: { state: true, count: 3, data: [file(1), file(2)] },
+    2: { state: false, errNo: 990001 }
+  });
+  await assert.rejects(api.getFileList('100'), /第 2 页失败/);
+  assert.equal(api._fileListCache.has('100'), false);
+});
+
+test('按 count 翻页取全并缓存', async () => {
+  const api = stubPages(new Pan115API({ cookie: 'UID=1', listPageSize: 2 }), {
+    0: { state: true, count: 3, data: [file(1), file(2)] },
+    2: { state: true, count: 3, data: [file(3)] }
+  });
+  const files = await api.getFileList('100');
+  assert.deepEqual(files.map(f => f.name), ['1.mkv', '2.mkv', '3.mkv']);
+  assert.equal(api._fileListCache.has('100'), true);
+  assert.ok(api.health.lastListOkAt);
+});
+
+test('空目录正常返回空数组', async () => {
+  const api = stubPages(new Pan115API({ cookie: 'UID=1' }), { 0: { state: true, count: 0, data: [] } });
+  assert.deepEqual(await api.getFileList('100'), []);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PathRules, compileRule, globToRegExp, normalizeRoots } from '../src/path-rules.js';
+
+test('globToRegExp：* 不跨目录，** 跨目录，? 匹配单个字符，不区分大小写', () => {
+  assert.ok(globToRegExp('*.nfo').test('Movie.NFO'));
+  assert.ok(!globToRegExp('/影视/*').test('/影视/a/b.mkv'));
+  assert.ok(globToRegExp('/影视/**').test('/影视/a/b.mkv'));
+  assert.ok(globToRegExp('/影视/**/b.mkv').test('/影视/b.mkv'));
+  assert.ok(globToRegExp('S0?E01.mkv').test('S01E01.mkv'));
+  assert.ok(!globToRegExp('S0?E01.mkv').test('S010E01.mkv'));
+  assert.ok(globToRegExp('a+b(1).mkv').test('a+b(1).mkv'));
+});
+
+test('compileRule：按文件名 / 完整路径 / 正则', () => {
+  assert.equal(compileRule('@eaDir').byName, true);
+  assert.equal(compileRule('备份/**').byName, false);
+  assert.ok(compileRule('备份/**').re.test('/备份/x'));
+  assert.ok(compileRule('/影视/私人/').re.test('/影视/私人'));
+  const re = compileRule('re:\\.(txt|url)$');
+  assert.equal(re.byName, false);
+  assert.ok(re.re.test('/a/说明.TXT'));
+});
+
+test('exclude 隐藏文件和目录（连同其下内容），include 只限制文件', () => {
+  const rules = new PathRules({ include: ['*.mkv', '*.srt'], exclude: ['@eaDir', '*sample*', '/影视/私人'] });
+
+  assert.equal(rules.isVisible('/影视/a.mkv', 'file'), true);
+  assert.equal(rules.isVisible('/影视/a.txt', 'file'), false);
+  assert.equal(rules.isVisible('/影视/子目录', 'directory'), true);
+  assert.equal(rules.isVisible('/影视/a-sample.mkv', 'file'), false);
+  assert.equal(rules.isVisible('/影视/@eaDir', 'directory'), false);
+
+  assert.equal(rules.isPathVisible('/影视/私人/a.mkv', 'file'), false);
+  assert.equal(rules.isPathVisible('/影视/@eaDir/x/a.mkv', 'file'), false);
+  assert.equal(rules.isPathVisible('/影视/公开/a.mkv', 'file'), true);
+  assert.equal(rules.isPathVisible('/', 'directory'), true);
+});
+
+test('filter 按目录真实路径过滤列表', () => {
+  const rules = new PathRules({ exclude: ['/影视/私人', '.DS_Store'] });
+  const files = [
+    { name: '私人', type: 'directory' },
+    { name: '公开', type: 'directory' },
+    { name: '.DS_Store', type: 'file' },
+    { name: 'a.mkv', type: 'file' }
+  ];
+  assert.deepEqual(rules.filter('/影视', files).map(f => f.name), ['公开', 'a.mkv']);
+  assert.deepEqual(rules.filter('/', files).map(f => f.name), ['私人', '公开', 'a.mkv']);
+
+  const none = new PathRules();
+  assert.equal(none.empty, true);
+  assert.equal(none.filter('/影视', files), files);
+});
+
+test('normalizeRoots', () => {
+  assert.deepEqual(normalizeRoots(), []);
+  assert.deepEqual(normalizeRoots(['/']), []);
+  assert.deepEqual(normalizeRoots(['影视/', '/资料//音乐']), [
+    { name: '影视', path: '/影视' },
+    { name: '音乐', path: '/资料/音乐' }
+  ]);
+  assert.throws(() => normalizeRoots(['/a/影视', '/b/影视']), /名称重复/);
+});
@@ -0,0 +1,97 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PersistentCacheStore } from '../src/persistent-cache.js';
+import { CircuitOpenError } from '../src/throttle.js';
+import { makeApi, video } from './helpers.js';
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  filePath = path.join(dir, 'cache.jsonl');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const MIN = 60_000;
+
+function writeRecords(records) {
+  fs.writeFileSync(filePath, records.map(r => JSON.stringify(r)).join('\n') + '\n');
+}
+
+test('写入、删除、清空后重新加载', () => {
+  const store = new PersistentCacheStore({ filePath });
+  const map = store.createMap('fileList');
+  map.set('1', { expiresAt: Date.now() + MIN, files: ['a'] });
+  map.set('2', { expiresAt: Date.now() + MIN, files: ['b'] });
+  map.delete('2');
+  const other = store.createMap('other');
+  other.set('x', { expiresAt: Date.now() + MIN });
+  other.clear();
+  store.flushSync();
+
+  const reloaded = new PersistentCacheStore({ filePath });
+  assert.deepEqual([...reloaded.createMap('fileList').keys()], ['1']);
+  assert.equal(reloaded.createMap('fileList').get('1').files[0], 'a');
+  assert.equal(reloaded.createMap('other').size, 0);
+});
+
+test('过期条目在 staleMaxAgeMs 内保留，超过才丢弃', () => {
+  const now = Date.now();
+  writeRecords([
+    { m: 'fileList', k: 'fresh', v: { expiresAt: now + MIN } },
+    { m: 'fileList', k: 'stale', v: { expiresAt: now - MIN } },
+    { m: 'fileList', k: 'dead', v: { expiresAt: now - 31 * MIN } },
+    { m: 'downloadUrl', k: 'link-gone', v: { expiresAt: now - MIN, linkExpiresAt: now - 1 } },
+    { m: 'downloadUrl', k: 'link-ok', v: { expiresAt: now - MIN, linkExpiresAt: now + MIN } }
+  ]);
+
+  const store = new PersistentCacheStore({ filePath, staleMaxAgeMs: 30 * MIN });
+  assert.deepEqual([...store.createMap('fileList').keys()].sort(), ['fresh', 'stale']);
+  assert.deepEqual([...store.createMap('downloadUrl').keys()], ['link-ok']);
+});
+
+test('路径映射按 cachedAt 保留 maxAgeMs', () => {
+  const now = Date.now();
+  writeRecords([
+    { m: 'pathToId', k: '/new', v: { id: '1', cachedAt: now - MIN } },
+    { m: 'pathToId', k: '/old', v: { id: '2', cachedAt: now - 2 * MIN } }
+  ]);
+
+  const store = new PersistentCacheStore({ filePath, maxAgeMs: 1.5 * MIN });
+  assert.deepEqual([...store.createMap('pathToId').keys()], ['/new']);
+});
+
+test('压缩时按同样的保留期丢弃条目', () => {
+  const now = Date.now();
+  const store = new PersistentCacheStore({ filePath, staleMaxAgeMs: 30 * MIN, maxAgeMs: MIN });
+  const list = store.createMap('fileList');
+  const paths = store.createMap('pathToId');
+  list.set('stale', { expiresAt: now - MIN });
+  list.set('dead', { expiresAt: now - 31 * MIN });
+  paths.set('/old', { id: '1', cachedAt: now - 2 * MIN });
+  store.compactSync();
+
+  const keys = fs.readFileSync(filePath, 'utf-8').trim().split('\n').map(l => JSON.parse(l).k);
+  assert.deepEqual(keys, ['stale']);
+});
+
+test('重启后熔断时仍可使用持久化的过期目录列表', async () => {
+  const pages = { '0': { state: true, count: 1, data: [video('1', 'a.mkv', '0')] } };
+  const store = new PersistentCacheStore({ filePath });
+  const before = makeApi(pages, { cacheStore: store, fileListTtlMs: 1 });
+  await before.getFileList('0');
+  await new Promise(r => setTimeout(r, 5));
+  store.flushSync();
+
+  const after = makeApi({}, { cacheStore: new PersistentCacheStore({ filePath }) });
+  after._getFileListPage = async () => { throw new CircuitOpenError('/files', MIN); };
+  const files = await after.getFileList('0');
+  assert.deepEqual(files.map(f => f.name), ['a.mkv']);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeApi, video } from './helpers.js';
+
+function setup() {
+  const api = makeApi({ '0': { state: true, count: 1, data: [video('1', 'a.mkv', '0')] } }, { accessToken: 'x' });
+  const calls = { downurl: 0, info: 0 };
+  api.getFileInfo = async (id) => {
+    calls.info++;
+    return String(id) === '1'
+      ? { id: '1', name: 'a.mkv', type: 'file', size: 100, pickcode: 'pc1', realPath: '/a.mkv' }
+      : null;
+  };
+  api.getDownloadUrl = async () => {
+    calls.downurl++;
+    return { url: 'https://cdn.example/a.mkv', userAgent: 'ua', fileId: '1' };
+  };
+  return { api, calls };
+}
+
+test('pickcode 在索引里时只走文件详情，不获取直链', async () => {
+  const { api, calls } = setup();
+  await api.getFileList('0');
+
+  const file = await api.getFileByPickcode('pc1');
+  assert.equal(file.id, '1');
+  assert.equal(file.path, '/a.mkv');
+  assert.deepEqual(calls, { downurl: 0, info: 1 });
+});
+
+test('索引未命中时借获取直链查出文件 id', async () => {
+  const { api, calls } = setup();
+  const file = await api.getFileByPickcode('pc1');
+  assert.equal(file.id, '1');
+  assert.equal(calls.downurl, 1);
+});
+
+test('索引里的文件已不存在时作废并重新确认', async () => {
+  const { api, calls } = setup();
+  api._rememberPickcode('pc1', '999');
+  const file = await api.getFileByPickcode('pc1');
+  assert.equal(file.id, '1');
+  assert.equal(calls.downurl, 1);
+});
+
+test('文件详情走列表限流器，与风控分组一致，并记入 pickcode 索引', async () => {
+  const api = makeApi({}, { accessToken: 'x' });
+  const seen = [];
+  api._request = async (fn, opts) => {
+    seen.push(opts);
+    return {
+      data: {
+        state: true,
+        data: {
+          file_id: '1', file_name: 'a.mkv', file_category: '1', size_byte: '100', pick_code: 'pc1',
+          paths: [{ file_id: '0', file_name: '根目录' }, { file_id: '10', file_name: '影视' }]
+        }
+      }
+    };
+  };
+
+  const file = await api.getFileInfo('1');
+  assert.equal(file.realPath, '/影视/a.mkv');
+  assert.equal(file.size, 100);
+  assert.equal(seen[0].endpoint, '/open/folder/get_info');
+  assert.equal(seen[0].limiter, api._listLimiter);
+  assert.equal(api._pickcodeIds.get('pc1').id, '1');
+
+  await api.getFileInfo('1');
+  assert.equal(seen.length, 1);
+});
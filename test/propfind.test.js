@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAV_NS, findChild, parseXml } from '../src/dav-xml.js';
+import { dir, makeApi, startServer, video } from './helpers.js';
+
+// / -> 影视(10) -> 电影(11) -> a.mkv
+function treeApi() {
+  return makeApi({
+    '0': { state: true, count: 1, data: [dir('10', '影视')] },
+    '10': { state: true, count: 2, data: [dir('11', '电影', '10'), video('1', 'b.mkv', '10')] },
+    '11': { state: true, count: 1, data: [video('2', 'a.mkv', '11')] }
+  });
+}
+
+async function propfind(request, path, depth, body) {
+  const res = await request('PROPFIND', path, { headers: depth === undefined ? {} : { Depth: depth }, body });
+  const text = await res.text();
+  if (res.status !== 207) return { status: res.status, text };
+  const hrefs = parseXml(text).children.map(r => decodeURIComponent(findChild(r, DAV_NS, 'href').text));
+  return { status: res.status, text, hrefs };
+}
+
+async function withServer(options, fn) {
+  const { request, close } = await startServer(treeApi(), options);
+  try {
+    await fn(request);
+  } finally {
+    await close();
+  }
+}
+
+test('Depth 0 / 1 / 缺省', async () => {
+  await withServer({}, async (request) => {
+    assert.deepEqual((await propfind(request, '/影视', '0')).hrefs, ['/影视/']);
+    assert.deepEqual((await propfind(request, '/影视', '1')).hrefs, ['/影视/', '/影视/电影/', '/影视/b.mkv']);
+    assert.deepEqual((await propfind(request, '/影视')).hrefs, ['/影视/', '/影视/电影/', '/影视/b.mkv']);
+    assert.deepEqual((await propfind(request, '/影视/b.mkv', '1')).hrefs, ['/影视/b.mkv']);
+    assert.equal((await propfind(request, '/nope', '0')).status, 404);
+    assert.equal((await propfind(request, '/影视', '2')).status, 400);
+  });
+});
+
+test('Depth infinity 默认拒绝', async () => {
+  await withServer({}, async (request) => {
+    const res = await propfind(request, '/', 'infinity');
+    assert.equal(res.status, 403);
+    assert.match(res.text, /propfind-finite-depth/);
+  });
+});
+
+test('Depth infinity 允许时递归，超过上限拒绝', async () => {
+  await withServer({ propfind: { allowInfinity: true } }, async (request) => {
+    assert.deepEqual((await propfind(request, '/', 'infinity')).hrefs,
+      ['/', '/影视/', '/影视/电影/', '/影视/b.mkv', '/影视/电影/a.mkv']);
+  });
+  await withServer({ propfind: { allowInfinity: true, infinityMaxItems: 2 } }, async (request) => {
+    assert.equal((await propfind(request, '/', 'infinity')).status, 403);
+  });
+});
+
+test('prop / propname 请求体，非法请求体返回 400', async () => {
+  await withServer({}, async (request) => {
+    const prop = await propfind(request, '/影视/b.mkv', '0',
+      '<D:propfind xmlns:D="DAV:" xmlns:Z="urn:z"><D:prop><D:getcontentlength/><Z:custom/></D:prop></D:propfind>');
+    assert.match(prop.text, /<d:getcontentlength>100<\/d:getcontentlength>/);
+    assert.match(prop.text, /HTTP\/1\.1 404 Not Found/);
+    assert.doesNotMatch(prop.text, /getlastmodified/);
+
+    const names = await propfind(request, '/影视/b.mkv', '0', '<propfind xmlns="DAV:"><propname/></propfind>');
+    assert.match(names.text, /<d:getcontentlength\/>/);
+
+    assert.equal((await propfind(request, '/影视', '0', '<propfind xmlns="DAV:">')).status, 400);
+    assert.equal((await propfind(request, '/影视', '0', '<propfind xmlns="DAV:"><prop>&#x110000;</prop></propfind>')).status, 400);
+  });
+});
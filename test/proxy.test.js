@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+import { StreamProxy } from '../src/proxy.js';
+
+const CONTENT = Buffer.from(Array.from({ length: 100 }, (_, i) => i));
+const file = { id: '1', pickcode: 'pc1', size: CONTENT.length, name: 'a.mkv' };
+
+const listen = (server) => new Promise(r => server.listen(0, '127.0.0.1', () => r(server.address().port)));
+const close = (server) => new Promise(r => {
+  server.closeAllConnections();
+  server.close(r);
+});
+
+/**
+ * 本地 CDN：handlers[n] 处理第 n 次请求，默认按 Range 返回 CONTENT
+ * 记录每次请求的 Range 头
+ */
+async function startCdn(handlers = []) {
+  const ranges = [];
+  const server = http.createServer((req, res) => {
+    ranges.push(req.headers.range);
+    const handler = handlers[ranges.length - 1];
+    if (handler) return handler(req, res);
+
+    const m = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (!m) {
+      res.writeHead(200, { 'Content-Length': CONTENT.length });
+      return res.end(CONTENT);
+    }
+    const start = Number(m[1]);
+    const end = m[2] ? Number(m[2]) : CONTENT.length - 1;
+    res.writeHead(206, { 'Content-Length': end - start + 1, 'Content-Range': `bytes ${start}-${end}/${CONTENT.length}` });
+    res.end(CONTENT.subarray(start, end + 1));
+  });
+  const port = await listen(server);
+  return { server, ranges, url: `http://127.0.0.1:${port}/a.mkv` };
+}
+
+// 通过 StreamProxy 代理 CDN 的本地服务；closeListeners 记录 pipe 结束时 res 上的 close 监听数
+async function startProxy(cdn, options = {}) {
+  const proxy = new StreamProxy({ timeoutMs: 2000, ...options });
+  const api = {
+    invalidated: 0,
+    getDownloadUrl: async () => ({ url: cdn.url, userAgent: 'ua' }),
+    invalidateDownloadUrl() { this.invalidated++; }
+  };
+  const closeListeners = [];
+  const app = express();
+  app.get('/a.mkv', async (req, res) => {
+    try {
+      await proxy.pipe(req, res, { api, file, clientUserAgent: 'ua' });
+    } catch {
+      res.status(502).end();
+    }
+    closeListeners.push(res.listenerCount('close'));
+  });
+  const server = http.createServer(app);
+  const port = await listen(server);
+  return { server, api, closeListeners, url: `http://127.0.0.1:${port}/a.mkv` };
+}
+
+async function fetchBody(url, headers = {}) {
+  const res = await fetch(url, { headers });
+  return { status: res.status, headers: res.headers, body: Buffer.from(await res.arrayBuffer()) };
+}
+
+test('parseRange 解析单段 Range', () => {
+  const p = new StreamProxy();
+  assert.deepEqual(p.parseRange('bytes=10-19', 100), { start: 10, end: 19 });
+  assert.deepEqual(p.parseRange('bytes=10-', 100), { start: 10 });
+  assert.deepEqual(p.parseRange('bytes=-10', 100), { start: 90, end: 99 });
+  assert.deepEqual(p.parseRange('bytes=90-200', 100), { start: 90, end: 99 });
+  assert.equal(p.parseRange('bytes=100-', 100), 'unsatisfiable');
+  assert.equal(p.parseRange('bytes=0-1,5-6', 100), null);
+  assert.equal(p.parseRange('bytes=5-1', 100), null);
+  assert.equal(p.parseRange(undefined, 100), null);
+});
+
+test('透传 Range / 206 和 Content-Range', async () => {
+  const cdn = await startCdn();
+  const proxy = await startProxy(cdn);
+  try {
+    const res = await fetchBody(proxy.url, { Range: 'bytes=10-19' });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), 'bytes 10-19/100');
+    assert.deepEqual(res.body, CONTENT.subarray(10, 20));
+    assert.deepEqual(cdn.ranges, ['bytes=10-19']);
+  } finally {
+    await close(proxy.server);
+    await close(cdn.server);
+  }
+});
+
+test('直链首包 403 时换直链重试', async () => {
+  const cdn = await startCdn([(req, res) => res.writeHead(403).end()]);
+  const proxy = await startProxy(cdn);
+  try {
+    const res = await fetchBody(proxy.url);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, CONTENT);
+    assert.equal(proxy.api.invalidated, 1);
+  } finally {
+    await close(proxy.server);
+    await close(cdn.server);
+  }
+});
+
+test('传输中断后从已发送位置续传，不累积 close 监听', async () => {
+  // 前两次都只发一部分就断开
+  const cut = (n) => (req, res) => {
+    const m = /^bytes=(\d+)-/.exec(req.headers.range || '');
+    const start = m ? Number(m[1]) : 0;
+    res.writeHead(m ? 206 : 200, { 'Content-Length': CONTENT.length - start });
+    res.write(CONTENT.subarray(start, start + n), () => setTimeout(() => res.destroy(), 20));
+  };
+  const cdn = await startCdn([cut(30), cut(30)]);
+  const proxy = await startProxy(cdn);
+  try {
+    const res = await fetchBody(proxy.url);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, CONTENT);
+    assert.deepEqual(cdn.ranges, [undefined, 'bytes=30-', 'bytes=60-']);
+    assert.equal(proxy.api.invalidated, 2);
+    // 续传过两次的请求结束后，res 上的 close 监听数与一次传完的请求相同
+    const baseline = proxy.closeListeners[0];
+    const again = await fetchBody(proxy.url, { Range: 'bytes=0-9' });
+    assert.equal(again.status, 206);
+    assert.equal(proxy.closeListeners[1], baseline);
+  } finally {
+    await close(proxy.server);
+    await close(cdn.server);
+  }
+});
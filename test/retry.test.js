@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryPolicy, isRetryableError, parseRetryAfter } from '../src/retry.js';
+import { AdaptiveThrottle, CircuitOpenError, RiskControlError } from '../src/throttle.js';
+import { Pan115API } from '../src/115api.js';
+
+// axios 风格的错误
+function httpError(status, headers = {}) {
+  const e = new Error(`Request failed with status code ${status}`);
+  e.response = { status, headers, data: '' };
+  return e;
+}
+
+function netError(code) {
+  const e = new Error(code);
+  e.code = code;
+  return e;
+}
+
+test('parseRetryAfter 支持秒数和 HTTP 日期', () => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('3', now), 3000);
+  assert.equal(parseRetryAfter('0.5', now), 500);
+  assert.equal(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', now), 10_000);
+  assert.equal(parseRetryAfter('Tue, 31 Dec 2024 00:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter(undefined), null);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('isRetryableError：网络错误和 5xx', () => {
+  assert.equal(isRetryableError(netError('ECONNRESET')), true);
+  assert.equal(isRetryableError(netError('ECONNRESET'), { idempotent: false }), false);
+  assert.equal(isRetryableError(netError('ECONNREFUSED'), { idempotent: false }), true);
+  assert.equal(isRetryableError(httpError(502)), true);
+  assert.equal(isRetryableError(httpError(502), { idempotent: false }), false);
+  assert.equal(isRetryableError(httpError(503), { idempotent: false }), true);
+  assert.equal(isRetryableError(httpError(404)), false);
+  assert.equal(isRetryableError(new Error('state=false')), false);
+});
+
+test('isRetryableError：熔断不重试，429 只在带 Retry-After 时重试', () => {
+  assert.equal(isRetryableError(new CircuitOpenError('list', 1000)), false);
+  assert.equal(isRetryableError(new RiskControlError('list', 'http_429', httpError(429))), false);
+  assert.equal(isRetryableError(new RiskControlError('list', 'http_429', httpError(429, { 'retry-after': '2' }))), true);
+  assert.equal(isRetryableError(new RiskControlError('list', 'http_429', httpError(429, { 'retry-after': '2' })), { idempotent: false }), true);
+  assert.equal(isRetryableError(new RiskControlError('list', 'http_405', httpError(405, { 'retry-after': '2' }))), false);
+});
+
+test('delayFor：优先按 Retry-After，超过 maxDelayMs 时放弃', () => {
+  const policy = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 5000 });
+  assert.equal(policy.delayFor(1, httpError(503, { 'retry-after': '2' })), 2000);
+  assert.equal(policy.delayFor(1, new RiskControlError('list', 'http_429', httpError(429, { 'retry-after': '3' }))), 3000);
+  assert.equal(policy.delayFor(1, httpError(503, { 'retry-after': '60' })), null);
+
+  const d = policy.delayFor(3, httpError(502));
+  assert.ok(d >= 200 && d <= 400);
+});
+
+test('run 按次数重试，成功后返回结果', async () => {
+  const policy = new RetryPolicy({ maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 });
+  let calls = 0;
+  const result = await policy.run(async () => {
+    if (++calls < 3) throw netError('ECONNRESET');
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(policy.run(async () => { calls++; throw netError('ECONNRESET'); }), /ECONNRESET/);
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(policy.run(async () => { calls++; throw httpError(404); }));
+  assert.equal(calls, 1);
+});
+
+test('Retry-After 写入 throttle：短的等待，长的直接拒绝', async () => {
+  const t = new AdaptiveThrottle('list', { baseDelayMs: 0, maxDelayMs: 1000, threshold: 5 });
+  t.onRiskSignal('http_429', { retryAfterMs: 60_000 });
+  assert.equal(t.state, 'closed');
+  assert.equal(t.blocked, true);
+  await assert.rejects(t.acquire(), CircuitOpenError);
+  assert.ok(t.toJSON().retryInMs > 59_000);
+
+  t.notBefore = Date.now() + 50;
+  const startedAt = Date.now();
+  await t.acquire();
+  assert.ok(Date.now() - startedAt >= 40);
+});
+
+test('Retry-After 超过熔断剩余时间时延长熔断', () => {
+  const t = new AdaptiveThrottle('list', { threshold: 1, openMs: 1000 });
+  t.onRiskSignal('http_429', { retryAfterMs: 120_000 });
+  assert.equal(t.state, 'open');
+  assert.ok(t.openUntil - Date.now() > 119_000);
+});
+
+test('Pan115API：429 带 Retry-After 时等待后重试成功', async () => {
+  const api = new Pan115API({
+    cookie: 'UID=1',
+    throttle: { baseDelayMs: 1, threshold: 5 },
+    retry: { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1000 }
+  });
+  let calls = 0;
+  const startedAt = Date.now();
+  const response = await api._request(async () => {
+    if (++calls === 1) throw httpError(429, { 'retry-after': '0.05' });
+    return { status: 200, data: { state: true } };
+  }, { endpoint: '/files' });
+
+  assert.equal(response.data.state, true);
+  assert.equal(calls, 2);
+  assert.ok(Date.now() - startedAt >= 40);
+  assert.equal(api._throttles.list.counts.signals, 1);
+});
+
+test('Pan115API：429 没有 Retry-After 时不重试，记为风控', async () => {
+  const api = new Pan115API({ cookie: 'UID=1', throttle: { baseDelayMs: 1 }, retry: { baseDelayMs: 1 } });
+  let calls = 0;
+  await assert.rejects(api._request(async () => { calls++; throw httpError(429); }, { endpoint: '/files' }), RiskControlError);
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { XmlParseError, parseSearchRequest } from '../src/dav-xml.js';
+import { makeApi, startServer } from './helpers.js';
+
+const searchBody = (href, where = '<D:like><D:prop><D:displayname/></D:prop><D:literal>%阿凡达%</D:literal></D:like>') => `
+  <D:searchrequest xmlns:D="DAV:">
+    <D:basicsearch>
+      <D:select><D:prop><D:displayname/></D:prop></D:select>
+      <D:from><D:scope><D:href>${href}</D:href><D:depth>infinity</D:depth></D:scope></D:from>
+      <D:where>${where}</D:where>
+      <D:limit><D:nresults>5</D:nresults></D:limit>
+    </D:basicsearch>
+  </D:searchrequest>`;
+
+test('parseSearchRequest 解析 scope / 关键字 / 类型 / 条数', () => {
+  const req = parseSearchRequest(searchBody('/影视', '<D:and><D:not><D:is-collection/></D:not><D:contains>阿凡达</D:contains></D:and>'));
+  assert.deepEqual(req.scopes, [{ href: '/影视', depth: 'infinity' }]);
+  assert.equal(req.keyword, '阿凡达');
+  assert.equal(req.collection, false);
+  assert.equal(req.limit, 5);
+  assert.equal(req.mode, 'prop');
+
+  assert.equal(parseSearchRequest(searchBody('/')).keyword, '阿凡达');
+});
+
+test('parseSearchRequest 拒绝不支持或不完整的请求', () => {
+  assert.throws(() => parseSearchRequest(''), XmlParseError);
+  assert.throws(() => parseSearchRequest('<D:searchrequest xmlns:D="DAV:"/>'), /basicsearch/);
+  assert.throws(() => parseSearchRequest(searchBody('/', '<D:eq/>')), /不支持的查询条件/);
+  assert.throws(() => parseSearchRequest(searchBody('/', '<D:is-collection/>')), /关键字/);
+  assert.throws(() => parseSearchRequest(searchBody('&#x110000;')), XmlParseError);
+});
+
+function searchApi() {
+  const api = makeApi({});
+  api.searchPath = async () => ({
+    total: 1,
+    truncated: false,
+    items: [{ path: '/影视/阿凡达.mkv', file: { id: '1', name: '阿凡达.mkv', type: 'file', size: 100, pickcode: 'pc1' } }]
+  });
+  return api;
+}
+
+test('SEARCH 返回 207 multistatus', async () => {
+  const { request, close } = await startServer(searchApi());
+  try {
+    const res = await request('SEARCH', '/', { body: searchBody('/') });
+    assert.equal(res.status, 207);
+    assert.match(await res.text(), /阿凡达\.mkv/);
+  } finally {
+    await close();
+  }
+});
+
+test('SEARCH 请求体里的非法字符引用返回 400，服务继续可用', async () => {
+  const { request, close } = await startServer(searchApi());
+  try {
+    const bad = await request('SEARCH', '/', { body: searchBody('&#x110000;') });
+    assert.equal(bad.status, 400);
+    await bad.text();
+
+    const ok = await request('SEARCH', '/', { body: searchBody('/') });
+    assert.equal(ok.status, 207);
+    await ok.text();
+  } finally {
+    await close();
+  }
+});
+
+test('SEARCH 处理出错时返回 500', async () => {
+  const api = searchApi();
+  api.searchPath = async () => { throw new TypeError('boom'); };
+  const { request, close } = await startServer(api);
+  try {
+    const res = await request('SEARCH', '/', { body: searchBody('/') });
+    assert.equal(res.status, 500);
+    await res.text();
+  } finally {
+    await close();
+  }
+});
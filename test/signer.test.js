@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UrlSigner, checkSignKeys, normalizeIp, parseIpRanges } from '../src/signer.js';
+
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+
+function parse(url) {
+  const u = new URL(url, 'http://localhost');
+  return { path: decodeURIComponent(u.pathname), query: Object.fromEntries(u.searchParams) };
+}
+
+test('签名后能通过验证，改路径 / 过期时间 / 签名都会失败', () => {
+  const signer = new UrlSigner({ secret: 's3cret', keyId: 'k1' });
+  const { url, expiresAt } = signer.signUrl('/影视/a b.mkv', { ttlSec: 60, now: NOW });
+  assert.equal(expiresAt, NOW / 1000 + 60);
+
+  const { path, query } = parse(url);
+  assert.equal(path, '/影视/a b.mkv');
+  assert.equal(query.kid, 'k1');
+  assert.deepEqual(signer.verify(path, query, '1.2.3.4', NOW), { ok: true });
+
+  assert.equal(signer.verify('/影视/b.mkv', query, '1.2.3.4', NOW).ok, false);
+  assert.equal(signer.verify(path, { ...query, exp: String(Number(query.exp) + 1) }, '1.2.3.4', NOW).ok, false);
+  assert.equal(signer.verify(path, { ...query, sig: query.sig.slice(1) }, '1.2.3.4', NOW).ok, false);
+  assert.equal(signer.verify(path, { exp: query.exp }, '1.2.3.4', NOW).reason, '签名参数不完整');
+});
+
+test('过期后验证失败', () => {
+  const signer = new UrlSigner({ secret: 's3cret' });
+  const { query } = parse(signer.signUrl('/a.mkv', { ttlSec: 60, now: NOW }).url);
+  assert.equal(signer.verify('/a.mkv', query, '', NOW + 59_000).ok, true);
+  assert.equal(signer.verify('/a.mkv', query, '', NOW + 60_000).reason, '链接已过期');
+});
+
+test('有效期不超过 maxTtlSec', () => {
+  const signer = new UrlSigner({ secret: 's', maxTtlSec: 3600 });
+  assert.equal(signer.sign('/a', { ttlSec: 86400, now: NOW }).expiresAt, NOW / 1000 + 3600);
+});
+
+test('未启用时不能签名，也不接受签名', () => {
+  const signer = new UrlSigner();
+  assert.equal(signer.enabled, false);
+  assert.throws(() => signer.sign('/a'), /未启用/);
+  assert.equal(signer.verify('/a', { exp: '1', sig: 'x' }, '').ok, false);
+});
+
+test('绑定 IP 段：范围内通过，范围外和篡改 ip 参数都失败', () => {
+  const signer = new UrlSigner({ secret: 's' });
+  const { path, query } = parse(signer.signUrl('/a.mkv', { ip: '192.168.1.0/24,2001:db8::/32', now: NOW }).url);
+
+  assert.equal(signer.verify(path, query, '192.168.1.20', NOW).ok, true);
+  assert.equal(signer.verify(path, query, '::ffff:192.168.1.20', NOW).ok, true);
+  assert.equal(signer.verify(path, query, '2001:db8::1', NOW).ok, true);
+  assert.match(signer.verify(path, query, '10.0.0.1', NOW).reason, /不在允许范围内/);
+  assert.equal(signer.verify(path, { ...query, ip: '0.0.0.0/0' }, '10.0.0.1', NOW).reason, '签名无效');
+  assert.throws(() => signer.sign('/a', { ip: '300.1.1.1' }), /不是有效的 IP/);
+});
+
+test('密钥轮换：旧密钥在 validUntil 之前仍然有效', () => {
+  const old = new UrlSigner({ secret: 'old', keyId: 'k1' });
+  const { path, query } = parse(old.signUrl('/a.mkv', { ttlSec: 86400, now: NOW }).url);
+
+  const rotated = new UrlSigner({
+    secret: 'new', keyId: 'k2',
+    previousKeys: [{ keyId: 'k1', secret: 'old', validUntil: '2025-06-01T12:00:00Z' }]
+  });
+  assert.equal(rotated.verify(path, query, '', NOW).ok, true);
+  assert.match(rotated.verify(path, query, '', NOW + 13 * 3600_000).reason, /宽限期/);
+  assert.match(new UrlSigner({ secret: 'new', keyId: 'k2' }).verify(path, query, '', NOW).reason, /未知的密钥 id/);
+});
+
+test('clientIp 只在 trustProxy 时取 X-Forwarded-For', () => {
+  const req = { headers: { 'x-forwarded-for': '203.0.113.5, 10.0.0.1' }, socket: { remoteAddress: '::ffff:10.0.0.1' } };
+  assert.equal(new UrlSigner({ secret: 's' }).clientIp(req), '10.0.0.1');
+  assert.equal(new UrlSigner({ secret: 's', trustProxy: true }).clientIp(req), '203.0.113.5');
+});
+
+test('parseIpRanges / normalizeIp / checkSignKeys', () => {
+  assert.equal(normalizeIp('::ffff:1.2.3.4'), '1.2.3.4');
+  assert.equal(normalizeIp('::1'), '::1');
+  assert.ok(parseIpRanges('10.0.0.0/8').check('10.1.2.3', 'ipv4'));
+  assert.throws(() => parseIpRanges(''), /不能为空/);
+  assert.throws(() => parseIpRanges('10.0.0.0/33'), /前缀长度无效/);
+
+  assert.doesNotThrow(() => checkSignKeys([{ keyId: 'a', secret: 'x', validUntil: '2026-01-01T00:00:00Z' }]));
+  assert.throws(() => checkSignKeys([{ keyId: 'a', secret: 'x', validUntil: 'soon' }]), /validUntil/);
+  assert.throws(() => checkSignKeys([
+    { keyId: 'a', secret: 'x', validUntil: '2026-01-01' },
+    { keyId: 'a', secret: 'y', validUntil: '2026-01-01' }
+  ]), /重复/);
+});
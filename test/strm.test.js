@@ -0,0 +1,135 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { StrmSyncer } from '../src/strm.js';
+import { dir, makeApi, video } from './helpers.js';
+
+let outputDir;
+
+beforeEach(() => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strm-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+function writeLocal(rel, content = 'x\n') {
+  const full = path.join(outputDir, rel);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  fs.writeFileSync(full, content);
+  return full;
+}
+
+test('子目录列表失败时不删除该目录下已有的 STRM', async () => {
+  const api = makeApi({
+    '0': { state: true, count: 2, data: [dir('10', '影视'), video('1', 'a.mkv', '0')] }
+  });
+  const kept = writeLocal('影视/b.strm');
+  const stale = writeLocal('old.strm');
+
+  const syncer = new StrmSyncer(api, { outputDir });
+  const stats = await syncer.sync();
+
+  assert.equal(stats.ok, false);
+  assert.deepEqual(stats.errors.map(e => e.path), ['/影视']);
+  assert.ok(fs.existsSync(kept));
+  assert.ok(fs.existsSync(path.join(outputDir, 'a.strm')));
+  // 列表成功的目录照常清理
+  assert.equal(fs.existsSync(stale), false);
+});
+
+test('根目录列表失败时不删除任何文件', async () => {
+  const api = makeApi({});
+  const files = [writeLocal('a.strm'), writeLocal('影视/b.strm')];
+
+  const syncer = new StrmSyncer(api, { outputDir });
+  const stats = await syncer.sync();
+
+  assert.equal(stats.ok, false);
+  assert.equal(stats.removed, 0);
+  for (const f of files) assert.ok(fs.existsSync(f));
+});
+
+test('同步目录查找失败时记为错误，不抛出', async () => {
+  const api = makeApi({});
+  writeLocal('影视/b.strm');
+
+  const syncer = new StrmSyncer(api, { outputDir, folders: ['/影视'] });
+  const stats = await syncer.sync();
+
+  assert.equal(stats.ok, false);
+  assert.equal(stats.errors[0].path, '/影视');
+  assert.ok(fs.existsSync(path.join(outputDir, '影视/b.strm')));
+});
+
+test('同步运行中收到的请求排队并合并，不丢目录', async () => {
+  const syncer = new StrmSyncer(makeApi({}), { outputDir });
+  const calls = [];
+  let release;
+  const gate = new Promise(r => { release = r; });
+  syncer._syncImpl = async (opts) => {
+    calls.push(opts);
+    if (calls.length === 1) await gate;
+    return { ok: true, folders: opts.folders };
+  };
+
+  const first = syncer.sync({ folders: ['/a'] });
+  const second = syncer.sync({ folders: ['/b'] });
+  const third = syncer.sync({ folders: ['/c', '/b/x'] });
+  const dry = syncer.sync({ folders: ['/d'], dryRun: true });
+  assert.equal(syncer.running, true);
+
+  release();
+  assert.deepEqual((await first).folders, ['/a']);
+  assert.deepEqual((await second).folders, ['/b', '/c']);
+  assert.equal(await second, await third);
+  assert.deepEqual((await dry).folders, ['/d']);
+
+  assert.deepEqual(calls.map(c => [c.folders, c.dryRun]), [
+    [['/a'], false],
+    [['/b', '/c'], false],
+    [['/d'], true]
+  ]);
+  assert.equal(syncer.running, false);
+});
+
+test('排队的请求包含全部目录时合并成全量同步', async () => {
+  const syncer = new StrmSyncer(makeApi({}), { outputDir });
+  const calls = [];
+  syncer._syncImpl = async (opts) => {
+    calls.push(opts.folders);
+    return { ok: true };
+  };
+
+  syncer.sync({ folders: ['/a'] });
+  syncer.sync({ folders: ['/b'] });
+  await syncer.sync();
+  assert.deepEqual(calls, [['/a'], null]);
+});
+
+test('附属文件下载卡住时超时失败，不留下 .part', async () => {
+  // 只发响应头和一小段数据，之后不再发送
+  const cdn = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Length': '100' });
+    res.write('partial');
+  });
+  await new Promise(r => cdn.listen(0, '127.0.0.1', r));
+
+  const api = makeApi({ '0': { state: true, count: 1, data: [video('2', 'a.srt', '0')] } });
+  api.getDownloadUrl = async () => ({ url: `http://127.0.0.1:${cdn.address().port}/a.srt`, userAgent: 'ua' });
+
+  try {
+    const syncer = new StrmSyncer(api, { outputDir, sidecarMode: 'copy', sidecarTimeoutMs: 200 });
+    const stats = await syncer.sync();
+    assert.equal(stats.ok, false);
+    assert.deepEqual(stats.errors.map(e => e.path), ['/a.srt']);
+    assert.deepEqual(fs.readdirSync(outputDir), []);
+  } finally {
+    cdn.closeAllConnections();
+    await new Promise(r => cdn.close(r));
+  }
+});
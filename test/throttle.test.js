@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AdaptiveThrottle, CircuitOpenError, RiskControlError, DEFAULT_RISK_CODES,
+  detectRiskSignal, isThrottleError, mergeRiskCodes
+} from '../src/throttle.js';
+import { Pan115API } from '../src/115api.js';
+
+const stateFalse = (data) => ({ response: { status: 200, data: { state: false, ...data } } });
+
+test('riskCodes 追加到默认值之后，不替换', () => {
+  assert.deepEqual(mergeRiskCodes(), DEFAULT_RISK_CODES);
+  assert.deepEqual(mergeRiskCodes([]), [911]);
+  assert.deepEqual(mergeRiskCodes(['990009', 911]), [911, 990009]);
+
+  const api = new Pan115API({ cookie: 'UID=1', throttle: { riskCodes: [990009] } });
+  assert.deepEqual(api.riskCodes, [911, 990009]);
+  api.applySettings({ throttle: { riskCodes: [123] } });
+  assert.deepEqual(api.riskCodes, [911, 123]);
+  api.applySettings({ throttle: {} });
+  assert.deepEqual(api.riskCodes, [911]);
+});
+
+test('detectRiskSignal 识别各类风控信号', () => {
+  assert.equal(detectRiskSignal(stateFalse({ errNo: 911 })), 'code_911');
+  assert.equal(detectRiskSignal(stateFalse({ errNo: 990009 })), null);
+  assert.equal(detectRiskSignal(stateFalse({ errNo: 990009 }), mergeRiskCodes([990009])), 'code_990009');
+  assert.equal(detectRiskSignal(stateFalse({ errNo: 990001, error: '操作太频繁' })), 'message');
+  assert.equal(detectRiskSignal(stateFalse({})), 'empty_state_false');
+  assert.equal(detectRiskSignal({ response: { status: 200, data: '<!DOCTYPE html><html>' } }), 'captcha');
+  assert.equal(detectRiskSignal({ error: { response: { status: 429, data: '' } } }), 'http_429');
+  assert.equal(detectRiskSignal({ error: { response: { status: 500, data: '' } } }), null);
+  assert.equal(detectRiskSignal({ response: { status: 200, data: { state: true } } }), null);
+  assert.equal(detectRiskSignal({ error: new Error('ECONNRESET') }), null);
+});
+
+test('isThrottleError 只认熔断 / 风控错误', () => {
+  assert.equal(isThrottleError(new CircuitOpenError('list', 1000)), true);
+  assert.equal(isThrottleError(new RiskControlError('list', 'http_429')), true);
+  assert.equal(isThrottleError(new Error('x')), false);
+});
+
+test('连续风控信号降速，达到阈值后熔断', async () => {
+  const t = new AdaptiveThrottle('list', { baseDelayMs: 1, maxDelayMs: 4, threshold: 3, openMs: 60_000 });
+  t.onRiskSignal('http_429');
+  assert.equal(t.state, 'closed');
+  assert.equal(t.delayMs, 1);
+  t.onRiskSignal('http_429');
+  assert.equal(t.delayMs, 2);
+  t.onRiskSignal('http_429');
+  assert.equal(t.state, 'open');
+  assert.equal(t.trips, 1);
+  assert.equal(t.blocked, true);
+
+  await assert.rejects(t.acquire(), CircuitOpenError);
+  assert.equal(t.counts.rejected, 1);
+});
+
+test('成功会清零连续计数并逐步减小延迟', () => {
+  const t = new AdaptiveThrottle('list', { baseDelayMs: 100, threshold: 3 });
+  t.onRiskSignal('message');
+  t.onRiskSignal('message');
+  t.onSuccess();
+  assert.equal(t.strikes, 0);
+  assert.equal(t.delayMs, 100);
+  t.onRiskSignal('message');
+  assert.equal(t.state, 'closed');
+});
+
+test('熔断到期后只放行一个探测请求，成功则恢复', async () => {
+  const t = new AdaptiveThrottle('list', { baseDelayMs: 0, threshold: 1, openMs: 60_000, probeIntervalMs: 60_000 });
+  t.onRiskSignal('http_405');
+  assert.equal(t.state, 'open');
+  t.openUntil = Date.now() - 1;
+
+  await t.acquire();
+  assert.equal(t.state, 'half-open');
+  await assert.rejects(t.acquire(), CircuitOpenError);
+
+  t.onSuccess();
+  assert.equal(t.state, 'closed');
+  assert.equal(t.trips, 0);
+  assert.equal(t.blocked, false);
+});
+
+test('探测仍遇风控时立即重新熔断，时长翻倍', async () => {
+  const t = new AdaptiveThrottle('list', { baseDelayMs: 0, threshold: 1, openMs: 1000, maxOpenMs: 10_000 });
+  t.onRiskSignal('http_405');
+  t.openUntil = Date.now() - 1;
+  await t.acquire();
+
+  const before = Date.now();
+  t.onRiskSignal('http_405');
+  assert.equal(t.state, 'open');
+  assert.equal(t.trips, 2);
+  // 第二次熔断 2000ms ±50%
+  assert.ok(t.openUntil - before >= 1000 && t.openUntil - before <= 3000);
+});
@@ -0,0 +1,78 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { sha1OfRange, spoolToTempFile } from '../src/upload.js';
+import { makeApi } from './helpers.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const sha1 = (buf) => crypto.createHash('sha1').update(buf).digest('hex').toUpperCase();
+
+// 200KB，分成几块不对齐 128KB 的 chunk
+const DATA = crypto.randomBytes(200 * 1024);
+const chunks = () => Readable.from([DATA.subarray(0, 1000), DATA.subarray(1000, 150_000), DATA.subarray(150_000)]);
+
+test('spoolToTempFile 落盘并计算 SHA1 和前 128KB 的 preid', async () => {
+  const spool = await spoolToTempFile(chunks(), { dir });
+  assert.equal(path.dirname(spool.filePath), dir);
+  assert.equal(spool.size, DATA.length);
+  assert.equal(spool.sha1, sha1(DATA));
+  assert.equal(spool.preid, sha1(DATA.subarray(0, 128 * 1024)));
+  assert.ok(fs.readFileSync(spool.filePath).equals(DATA));
+});
+
+test('spoolToTempFile 请求体出错时删除临时文件', async () => {
+  const broken = new Readable({
+    read() {
+      this.push(DATA.subarray(0, 10));
+      this.destroy(new Error('boom'));
+    }
+  });
+  await assert.rejects(spoolToTempFile(broken, { dir }), /boom/);
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('sha1OfRange 按闭区间计算', async () => {
+  const file = path.join(dir, 'a.bin');
+  fs.writeFileSync(file, DATA);
+  assert.equal(await sha1OfRange(file, 100, 199), sha1(DATA.subarray(100, 200)));
+});
+
+test('uploadFile 通过二次校验后秒传成功，不走 OSS', async () => {
+  const spool = await spoolToTempFile(chunks(), { dir });
+  const api = makeApi();
+  const forms = [];
+  api._openPostForm = async (url, form) => {
+    forms.push(form);
+    return forms.length === 1
+      ? { sign_key: 'k', sign_check: '10-19' }
+      : { status: 2, file_id: 9, pick_code: 'pc9' };
+  };
+  api._openGet = async () => { throw new Error('不应获取 OSS 凭证'); };
+
+  const result = await api.uploadFile('10', 'a.bin', spool);
+  assert.deepEqual(result, { rapid: true, fileId: '9', pickcode: 'pc9' });
+  assert.equal(forms[0].fileid, sha1(DATA));
+  assert.equal(forms[0].target, 'U_1_10');
+  assert.equal(forms[1].sign_key, 'k');
+  assert.equal(forms[1].sign_val, sha1(DATA.subarray(10, 20)));
+});
+
+test('uploadFile 初始化没有返回 bucket/object 时报错', async () => {
+  const spool = await spoolToTempFile(chunks(), { dir });
+  const api = makeApi();
+  api._openPostForm = async () => ({ status: 1 });
+  await assert.rejects(api.uploadFile('10', 'a.bin', spool), /bucket\/object/);
+});
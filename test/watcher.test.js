@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChangeWatcher } from '../src/watcher.js';
+import { CircuitOpenError } from '../src/throttle.js';
+import { FAILED, dir, makeApi, video } from './helpers.js';
+
+// pages 可在测试中途修改：cid -> 第一页响应
+function setup() {
+  const pages = {
+    '0': { state: true, count: 1, data: [dir('10', '影视')] },
+    '10': { state: true, count: 2, data: [video('1', 'a.mkv', '10'), video('2', 'b.mkv', '10')] }
+  };
+  const api = makeApi(pages);
+  const watcher = new ChangeWatcher(api, { intervalMs: 0 });
+  const events = [];
+  watcher.on('change', e => events.push(e));
+  return { pages, api, watcher, events };
+}
+
+test('子目录列表失败时不报告删除，保留快照，检查记为失败', async () => {
+  const { pages, watcher, events } = setup();
+  assert.equal((await watcher.scan()).ok, true);
+
+  const ok = pages['10'];
+  pages['10'] = FAILED;
+  const failed = await watcher.scan();
+  assert.equal(failed.ok, false);
+  assert.deepEqual(failed.errors.map(e => e.path), ['/影视']);
+  assert.equal(failed.removed, 0);
+  assert.equal(watcher._dirs.get('/影视').items.size, 2);
+
+  // 恢复后不会把原有内容当成新增
+  pages['10'] = ok;
+  const recovered = await watcher.scan();
+  assert.equal(recovered.ok, true);
+  assert.equal(recovered.added, 0);
+  assert.deepEqual(events, []);
+});
+
+test('根目录列表失败时整棵树跳过', async () => {
+  const { pages, watcher, events } = setup();
+  await watcher.scan();
+
+  pages['0'] = FAILED;
+  const failed = await watcher.scan();
+  assert.equal(failed.ok, false);
+  assert.equal(failed.dirs, 0);
+  assert.equal(watcher._dirs.size, 2);
+  assert.deepEqual(events, []);
+});
+
+test('列表成功时正常报告变化', async () => {
+  const { pages, watcher, events } = setup();
+  await watcher.scan();
+
+  pages['10'] = { state: true, count: 2, data: [video('1', 'a2.mkv', '10'), video('3', 'c.mkv', '10')] };
+  const result = await watcher.scan();
+  assert.equal(result.ok, true);
+  assert.deepEqual(events.map(e => [e.type, e.path]).sort(), [
+    ['added', '/影视/c.mkv'],
+    ['removed', '/影视/b.mkv'],
+    ['renamed', '/影视/a2.mkv']
+  ]);
+});
+
+test('fresh 列表熔断时不退回过期缓存（普通列表照常退回）', async () => {
+  const { api } = setup();
+  await api.getFileList('10');
+  api._fileListCache.get('10').expiresAt = Date.now() - 1;
+  api._getFileListPage = async () => { throw new CircuitOpenError('/files', 60_000); };
+
+  assert.equal((await api.getFileList('10')).length, 2);
+  await assert.rejects(api.getFileList('10', { fresh: true }), CircuitOpenError);
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dir, makeApi, startServer, video } from './helpers.js';
+
+// /docs（cid 10）下有 a.txt（fid 1），/backup（cid 20）下有 old.txt（fid 3）；写接口只记录调用
+function writableApi() {
+  const pages = {
+    '0': { state: true, count: 2, data: [dir('10', 'docs'), dir('20', 'backup')] },
+    '10': { state: true, count: 1, data: [video('1', 'a.txt', '10')] },
+    '20': { state: true, count: 1, data: [video('3', 'old.txt', '20')] }
+  };
+  const api = makeApi(pages);
+  const calls = [];
+  api.uploadFile = async (parentId, name, file) => {
+    calls.push(['upload', parentId, name, file.size]);
+    return { rapid: false, fileId: '2', pickcode: 'pc2' };
+  };
+  api.deleteFiles = async (ids, parentId) => {
+    calls.push(['delete', ids, parentId]);
+  };
+  api.moveFiles = async (ids, parentId) => {
+    calls.push(['move', ids, parentId]);
+  };
+  api.renameFile = async (id, name) => {
+    calls.push(['rename', id, name]);
+  };
+  // 复制后新副本出现在目标目录（fid 4）
+  api.copyFiles = async (ids, parentId) => {
+    calls.push(['copy', ids, parentId]);
+    pages[parentId].data.push(video('4', 'a.txt', parentId));
+    pages[parentId].count++;
+  };
+  return { api, calls, pages };
+}
+
+async function withServer(api, options, fn) {
+  const { request, close } = await startServer(api, { readOnly: false, ...options });
+  try {
+    await fn(request);
+  } finally {
+    await close();
+  }
+}
+
+test('PUT 新文件：上传到父目录，返回 201', async () => {
+  const { api, calls } = writableApi();
+  await withServer(api, {}, async (request) => {
+    const res = await request('PUT', '/docs/b.txt', { body: 'hello' });
+    assert.equal(res.status, 201);
+  });
+  assert.deepEqual(calls, [['upload', '10', 'b.txt', 5]]);
+});
+
+test('PUT 覆盖：上传成功后再删除旧文件，返回 204', async () => {
+  const { api, calls } = writableApi();
+  await withServer(api, {}, async (request) => {
+    const res = await request('PUT', '/docs/a.txt', { body: 'hello' });
+    assert.equal(res.status, 204);
+  });
+  assert.deepEqual(calls, [['upload', '10', 'a.txt', 5], ['delete', ['1'], '10']]);
+});
+
+test('PUT 覆盖：上传结果没有文件 id 时不删除旧文件', async () => {
+  const { api, calls } = writableApi();
+  api.uploadFile = async () => ({ rapid: true, fileId: '', pickcode: '' });
+  await withServer(api, {}, async (request) => {
+    assert.equal((await request('PUT', '/docs/a.txt', { body: 'hello' })).status, 204);
+  });
+  assert.deepEqual(calls, []);
+});
+
+test('PUT 覆盖：上传失败时旧文件保留', async () => {
+  const { api, calls } = writableApi();
+  api.uploadFile = async () => { throw new Error('upload failed'); };
+  await withServer(api, {}, async (request) => {
+    assert.equal((await request('PUT', '/docs/a.txt', { body: 'hello' })).status, 500);
+  });
+  assert.deepEqual(calls, []);
+});
+
+test('PUT 到目录、不存在的父目录、只读模式', async () => {
+  const { api, calls } = writableApi();
+  await withServer(api, {}, async (request) => {
+    assert.equal((await request('PUT', '/docs', { body: 'x' })).status, 405);
+    assert.equal((await request('PUT', '/nope/b.txt', { body: 'x' })).status, 409);
+  });
+  await withServer(api, { readOnly: true }, async (request) => {
+    assert.equal((await request('PUT', '/docs/b.txt', { body: 'x' })).status, 405);
+  });
+  assert.deepEqual(calls, []);
+});
+
+test('DELETE 移入回收站；不存在 404，根目录 403，只读 405', async () => {
+  const { api, calls } = writableApi();
+  await withServer(api, {}, async (request) => {
+    assert.equal((await request('DELETE', '/docs/a.txt')).status, 204);
+    assert.equal((await request('DELETE', '/docs/nope.txt')).status, 404);
+    assert.equal((await request('DELETE', '/')).status, 403);
+  });
+  await withServer(api, { readOnly: true }, async (request) => {
+    assert.equal((await request('DELETE', '/docs/a.txt')).status, 405);
+  });
+  assert.deepEqual(calls, [['delete', ['1'], '10']]);
+});
+
+test('MOVE 同目录只改名', async () => {
+  const { api, calls } = writableApi();
+  await withServer(api, {}, async (request) => {
+    const res = await request('MOVE', '/docs/a.txt', { headers: { Destination: 'http://localhost/docs/b.txt' } });
+    assert.equal(res.status, 201);
+  });
+  assert.deepEqual(calls, [['rename', '1', 'b.txt']]);
+});
+
+test('MOVE 覆盖：移动、改名成功后才删除原目标', async () => {
+  const { api, calls } = writableApi();
+  await withServer(api, {}, async (request) => {
+    const res = await request('MOVE', '/docs/a.txt', { headers: { Destination: '/backup/old.txt' } });
+    assert.equal(res.status, 204);
+  });
+  assert.deepEqual(calls, [['move', ['1'], '20'], ['rename', '1', 'old.txt'], ['delete', ['3'], '20']]);
+});
+
+test('MOVE 失败时原目标保留', async () => {
+  const { api, calls } = writableApi();
+  api.moveFiles = async () => { throw new Error('move failed'); };
+  await withServer(api, {}, async (request) => {
+    assert.equal((await request('MOVE', '/docs/a.txt', { headers: { Destination: '/backup/old.txt' } })).status, 500);
+  });
+  assert.deepEqual(calls, []);
+});
+
+test('MOVE / COPY 的前置检查', async () => {
+  const { api, calls } = writableApi();
+  await withServer(api, {}, async (request) => {
+    const move = (src, headers) => request('MOVE', src, { headers });
+    assert.equal((await move('/docs/a.txt', { Destination: '/backup/old.txt', Overwrite: 'F' })).status, 412);
+    assert.equal((await move('/docs/a.txt', {})).status, 400);
+    assert.equal((await move('/docs/a.txt', { Destination: '/docs/a.txt' })).status, 403);
+    assert.equal((await move('/docs', { Destination: '/docs/sub' })).status, 409);
+    assert.equal((await move('/docs/nope.txt', { Destination: '/backup/x.txt' })).status, 404);
+    assert.equal((await move('/docs/a.txt', { Destination: '/nope/x.txt' })).status, 409);
+  });
+  assert.deepEqual(calls, []);
+});
+
+test('COPY 找到目标目录里新出现的副本再改名', async () => {
+  const { api, calls } = writableApi();
+  await withServer(api, {}, async (request) => {
+    const res = await request('COPY', '/docs/a.txt', { headers: { Destination: '/backup/c.txt' } });
+    assert.equal(res.status, 201);
+  });
+  assert.deepEqual(calls, [['copy', ['1'], '20'], ['rename', '4', 'c.txt']]);
+});
+
+test('COPY 后无法确定新副本时报错，不改名也不删除', async () => {
+  const { api, calls, pages } = writableApi();
+  // 115 把两个副本都自动改了名
+  api.copyFiles = async (ids, parentId) => {
+    calls.push(['copy', ids, parentId]);
+    pages[parentId].data.push(video('4', 'a(1).txt', parentId), video('5', 'a(2).txt', parentId));
+  };
+  await withServer(api, {}, async (request) => {
+    const res = await request('COPY', '/docs/a.txt', { headers: { Destination: '/backup/old.txt' } });
+    assert.equal(res.status, 500);
+  });
+  assert.deepEqual(calls, [['copy', ['1'], '20']]);
+});